@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+// Bundles the browser entry point of the built SDK, failing if it still pulls
+// in a Node built-in module or one of the Node-only files that the "browser"
+// field in package.json should substitute
+//
+// usage: node scripts/check-browser.mjs (after tsc has written build/)
+
+import { build } from 'esbuild';
+import fs from 'fs';
+import { builtinModules } from 'module';
+
+const pkg = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+const entry = pkg.exports['.'].browser;
+
+const fail = (message) => {
+  console.error(`Browser build check failed: ${message}`);
+  process.exit(1);
+};
+
+// A substitution for a file that is no longer built would silently stop applying
+for (const [file, substitute] of Object.entries(pkg.browser)) {
+  for (const f of [file, substitute]) {
+    if (!fs.existsSync(f)) {
+      fail(`${f} from the "browser" field in package.json does not exist`);
+    }
+  }
+}
+
+const nodeOnly = new Set(Object.keys(pkg.browser).map((f) => f.replace(/^\.\//, '')));
+const builtins = new Set(builtinModules.flatMap((m) => [m, `node:${m}`]));
+
+let result;
+try {
+  result = await build({
+    entryPoints: [entry],
+    bundle: true,
+    write: false,
+    platform: 'browser',
+    format: 'esm',
+    metafile: true,
+    logLevel: 'silent',
+  });
+} catch (err) {
+  // With the browser platform, esbuild cannot resolve Node built-ins
+  const where = (e) => (e.location ? `${e.location.file}: ` : '');
+  fail((err.errors ?? [err]).map((e) => `\n  ${where(e)}${e.text ?? e.message}`).join(''));
+}
+
+const problems = [];
+for (const [input, { imports }] of Object.entries(result.metafile.inputs)) {
+  if (nodeOnly.has(input)) {
+    problems.push(`${input} is bundled in place of its browser substitute`);
+  }
+  for (const { path } of imports) {
+    if (builtins.has(path)) {
+      problems.push(`${input} imports the Node built-in "${path}"`);
+    }
+  }
+}
+if (problems.length > 0) {
+  fail(problems.map((p) => `\n  ${p}`).join(''));
+}
+console.log(`Bundled ${entry} for browsers (${Object.keys(result.metafile.inputs).length} modules)`);
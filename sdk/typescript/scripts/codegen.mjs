@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+
+// Generates typed PentePrivateContract classes from Hardhat artifacts
+//
+// usage: node scripts/codegen.mjs --out <dir> [--sdk <module>] <artifact.json | artifacts dir>...
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+
+const SDK_MODULE = '@lfdecentralizedtrust-labs/paladin-sdk';
+
+// Members of PentePrivateContract that generated methods must not override
+const RESERVED = new Set([
+  'abi', 'address', 'call', 'constructor', 'decodeEvents', 'deploy', 'evm', 'on',
+  'sendTransaction', 'using',
+]);
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+const identifier = (name) => name.replace(/[^A-Za-z0-9_$]/g, '_');
+
+const methodName = (name) => (RESERVED.has(name) ? `${name}_` : identifier(name));
+
+const propertyName = (name) => (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name));
+
+const indent = (text, spaces) => text.replace(/\n(?!\n)/g, `\n${' '.repeat(spaces)}`);
+
+// Parameter types, matching the JSON Paladin accepts (input) or returns (output)
+function paramType(param, output) {
+  const arrayMatch = param.type.match(/^(.*)\[\d*\]$/);
+  if (arrayMatch) {
+    const child = paramType({ ...param, type: arrayMatch[1] }, output);
+    return /[|{]/.test(child) ? `(${child})[]` : `${child}[]`;
+  }
+  if (param.type === 'tuple') {
+    return structType(param.components, output);
+  }
+  if (/^u?int\d*$/.test(param.type)) {
+    return output ? 'string' : 'string | number';
+  }
+  if (param.type === 'bool') {
+    return 'boolean';
+  }
+  return 'string'; // address, string, bytes, bytesN
+}
+
+function structType(params, output) {
+  if (params.length === 0) {
+    return '{}';
+  }
+  const fields = params.map((p, i) => `  ${propertyName(p.name || `${i}`)}: ${indent(paramType(p, output), 2)};`);
+  return `{\n${fields.join('\n')}\n}`;
+}
+
+// Unnamed inputs can only be supplied positionally
+const inputsType = (params) =>
+  params.some((p) => !p.name)
+    ? `[${params.map((p) => paramType(p, false)).join(', ')}]`
+    : structType(params, false);
+
+function generate(contractName, artifact, sdkModule) {
+  const name = identifier(contractName);
+  const abi = artifact.abi;
+  const deployable = typeof artifact.bytecode === 'string' && artifact.bytecode !== '0x';
+  const types = [];
+  const members = [];
+  const seen = new Set();
+
+  const ctor = abi.find((entry) => entry.type === 'constructor');
+  const ctorInputs = ctor?.inputs ?? [];
+  const ctorType = ctorInputs.length > 0 ? `${name}ConstructorParams` : '{}';
+  if (ctorInputs.length > 0) {
+    types.push(`export type ${ctorType} = ${inputsType(ctorInputs)};`);
+  }
+
+  for (const entry of abi) {
+    if (entry.type !== 'function' && entry.type !== 'event') {
+      continue;
+    }
+    if (seen.has(`${entry.type}:${entry.name}`)) {
+      console.warn(`${contractName}: skipping overloaded ${entry.type} ${entry.name}`);
+      continue;
+    }
+    seen.add(`${entry.type}:${entry.name}`);
+    const typePrefix = `${name}${capitalize(identifier(entry.name))}`;
+    const inputs = entry.inputs ?? [];
+
+    if (entry.type === 'event') {
+      types.push(`export interface ${typePrefix}Event ${structType(inputs, true)}`);
+      members.push(
+        [
+          `decode${capitalize(identifier(entry.name))}Events(receipt: ITransactionReceipt | undefined): ${typePrefix}Event[] {`,
+          `  return this.decodeEvents(receipt, ${JSON.stringify(entry.name)}).map((e) => e.data);`,
+          '}',
+        ].join('\n')
+      );
+      members.push(
+        [
+          `on${capitalize(identifier(entry.name))}(`,
+          `  handler: (event: ${typePrefix}Event, receipt: ITransactionReceipt) => void | Promise<void>,`,
+          '  options?: PenteEventListenerOptions',
+          ') {',
+          `  return this.on(${JSON.stringify(entry.name)}, (e, receipt) => handler(e.data, receipt), options);`,
+          '}',
+        ].join('\n')
+      );
+      continue;
+    }
+
+    const args = ['from: PaladinVerifier'];
+    if (inputs.length > 0) {
+      types.push(`export type ${typePrefix}Params = ${inputsType(inputs)};`);
+      args.push(`params: ${typePrefix}Params`);
+    }
+    const data = inputs.length > 0 ? 'params' : '{}';
+    const readOnly = entry.stateMutability === 'view' || entry.stateMutability === 'pure';
+
+    if (readOnly) {
+      const outputs = entry.outputs ?? [];
+      types.push(`export interface ${typePrefix}Result ${structType(outputs, true)}`);
+      args.push('txOptions?: Partial<IPrivacyGroupEVMCall>');
+      members.push(
+        [
+          `async ${methodName(entry.name)}(${args.join(', ')}): Promise<${typePrefix}Result> {`,
+          '  return this.call(',
+          `    { from: from.lookup, function: ${JSON.stringify(entry.name)}, data: ${data} },`,
+          '    txOptions',
+          '  );',
+          '}',
+        ].join('\n')
+      );
+    } else {
+      args.push('txOptions?: Partial<IPrivacyGroupEVMTXInput>');
+      members.push(
+        [
+          `${methodName(entry.name)}(${args.join(', ')}) {`,
+          '  return this.sendTransaction(',
+          `    { from: from.lookup, function: ${JSON.stringify(entry.name)}, data: ${data} },`,
+          '    txOptions',
+          '  );',
+          '}',
+        ].join('\n')
+      );
+    }
+  }
+
+  if (deployable) {
+    members.unshift(
+      [
+        'static async deploy(',
+        '  group: PentePrivacyGroup,',
+        '  from: PaladinVerifier,',
+        ...(ctorInputs.length > 0 ? [`  params: ${ctorType},`] : []),
+        '  txOptions?: Partial<IPrivacyGroupEVMTXInput>,',
+        '  waitMs?: number',
+        ') {',
+        '  const address = await group',
+        `    .deploy<${ctorType}>(`,
+        '      {',
+        `        abi: ${name}.abi,`,
+        `        bytecode: ${name}.bytecode,`,
+        '        from: from.lookup,',
+        `        inputs: ${ctorInputs.length > 0 ? 'params' : '{}'},`,
+        '      },',
+        '      txOptions',
+        '    )',
+        '    .waitForDeploy(waitMs);',
+        `  return address ? new ${name}(group, address) : undefined;`,
+        '}',
+      ].join('\n')
+    );
+  }
+
+  const statics = [`static readonly abi: ethers.JsonFragment[] = ${JSON.stringify(abi, null, 2)};`];
+  if (deployable) {
+    statics.push(`static readonly bytecode = ${JSON.stringify(artifact.bytecode)};`);
+  }
+
+  return `// Generated by paladin-sdk scripts/codegen.mjs from the ${contractName} artifact - do not edit
+
+import { ethers } from "ethers";
+import PaladinClient, {
+  IPrivacyGroupEVMCall,
+  IPrivacyGroupEVMTXInput,
+  ITransactionReceipt,
+  PaladinVerifier,
+  PenteEventListenerOptions,
+  PentePrivacyGroup,
+  PentePrivateContract,
+} from ${JSON.stringify(sdkModule)};
+
+${types.join('\n\n')}${types.length > 0 ? '\n\n' : ''}export class ${name} extends PentePrivateContract<${ctorType}> {
+  ${indent(statics.join('\n\n'), 2)}
+
+  constructor(
+    protected evm: PentePrivacyGroup,
+    public readonly address: string
+  ) {
+    super(evm, ${name}.abi, address);
+  }
+
+  using(paladin: PaladinClient) {
+    return new ${name}(this.evm.using(paladin), this.address);
+  }
+${members.map((m) => `\n  ${indent(m, 2)}\n`).join('')}}
+`;
+}
+
+// Hardhat writes <Contract>.json next to a <Contract>.dbg.json for each contract,
+// alongside the compiler inputs and outputs in build-info
+function findArtifacts(target) {
+  if (!fs.statSync(target).isDirectory()) {
+    return [target];
+  }
+  return fs
+    .readdirSync(target, { withFileTypes: true })
+    .flatMap((entry) => {
+      const entryPath = path.join(target, entry.name);
+      if (entry.isDirectory()) {
+        return entry.name === 'build-info' ? [] : findArtifacts(entryPath);
+      }
+      return entry.name.endsWith('.json') && !entry.name.endsWith('.dbg.json') ? [entryPath] : [];
+    });
+}
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    out: { type: 'string', short: 'o' },
+    sdk: { type: 'string', default: SDK_MODULE },
+  },
+});
+
+if (values.out === undefined || positionals.length === 0) {
+  console.error('usage: codegen.mjs --out <dir> [--sdk <module>] <artifact.json | artifacts dir>...');
+  process.exit(1);
+}
+
+fs.mkdirSync(values.out, { recursive: true });
+for (const file of positionals.flatMap(findArtifacts)) {
+  const artifact = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(artifact.abi)) {
+    console.warn(`Skipping ${file}: no ABI found`);
+    continue;
+  }
+  const contractName = artifact.contractName ?? path.basename(file, '.json');
+  const outFile = path.join(values.out, `${contractName}.ts`);
+  fs.writeFileSync(outFile, generate(contractName, artifact, values.sdk));
+  console.log(`Generated ${outFile}`);
+}
@@ -0,0 +1,133 @@
+import { AxiosInstance, AxiosRequestConfig, AxiosResponse } from "axios";
+import {
+  newPaladinRpcError,
+  PaladinNotFoundError,
+  PaladinRpcError,
+  PaladinTransportError,
+  toPaladinRpcError,
+} from "./errors";
+import { JsonRpcError } from "./interfaces";
+
+export interface JsonRpcRequest {
+  jsonrpc: string;
+  id: number;
+  method: string;
+  params: any[];
+}
+
+interface JsonRpcResponse {
+  id: number;
+  result?: any;
+  error?: JsonRpcError;
+}
+
+type BatchResponse<T> = Pick<AxiosResponse<T>, "status" | "data">;
+
+interface BatchEntry {
+  payload: JsonRpcRequest;
+  config?: AxiosRequestConfig;
+  resolve: (res: BatchResponse<any>) => void;
+  reject: (err: PaladinRpcError) => void;
+}
+
+// Collects JSON-RPC calls so they can be sent as a single batch array
+export class PaladinBatch {
+  private entries: BatchEntry[] = [];
+
+  get size() {
+    return this.entries.length;
+  }
+
+  enqueue<T>(payload: JsonRpcRequest, config?: AxiosRequestConfig) {
+    // Request IDs only need to be unique within the batch
+    payload.id = this.entries.length + 1;
+    return new Promise<BatchResponse<T>>((resolve, reject) => {
+      this.entries.push({ payload, config, resolve, reject });
+    });
+  }
+
+  async send(http: AxiosInstance, config: AxiosRequestConfig) {
+    if (this.entries.length === 0) {
+      return;
+    }
+
+    let responses: JsonRpcResponse[];
+    try {
+      // The node replies 500 when every call in the batch fails, but still
+      // with a response per call
+      const res = await http.post<JsonRpcResponse[] | JsonRpcResponse>(
+        "/",
+        this.entries.map((e) => e.payload),
+        { ...config, validateStatus: () => true }
+      );
+      const data: any = res.data;
+      if (Array.isArray(data)) {
+        responses = data;
+      } else if (data?.id !== undefined && data?.id !== null) {
+        responses = [data];
+      } else if (data?.error !== undefined) {
+        // An error for the batch as a whole
+        this.rejectAll((method, requestId) =>
+          newPaladinRpcError(data.error, {
+            method,
+            requestId,
+            httpStatus: res.status,
+          })
+        );
+        return;
+      } else {
+        this.rejectAll(
+          (method, requestId) =>
+            new PaladinTransportError(
+              `JSON-RPC request ${method} failed [${res.status} ${res.statusText}]: no JSON-RPC response`,
+              { method, requestId, httpStatus: res.status }
+            )
+        );
+        return;
+      }
+    } catch (err) {
+      this.rejectAll((method, requestId) =>
+        toPaladinRpcError(err, method, requestId)
+      );
+      return;
+    }
+
+    const byId = new Map(responses.map((r) => [r.id, r]));
+    for (const entry of this.entries) {
+      const { method, id } = entry.payload;
+      const response = byId.get(id);
+      if (response === undefined) {
+        entry.reject(
+          new PaladinRpcError(`No response for ${method} in JSON-RPC batch`, {
+            method,
+            requestId: id,
+          })
+        );
+      } else if (response.error !== undefined) {
+        const err = newPaladinRpcError(response.error, {
+          method,
+          requestId: id,
+        });
+        if (
+          err instanceof PaladinNotFoundError &&
+          entry.config?.validateStatus?.(404)
+        ) {
+          // Mirror the 404 handling of single requests for getters
+          entry.resolve({ status: 404, data: response });
+        } else {
+          entry.reject(err);
+        }
+      } else {
+        entry.resolve({ status: 200, data: response });
+      }
+    }
+  }
+
+  private rejectAll(
+    error: (method: string, requestId: number) => PaladinRpcError
+  ) {
+    for (const entry of this.entries) {
+      entry.reject(error(entry.payload.method, entry.payload.id));
+    }
+  }
+}
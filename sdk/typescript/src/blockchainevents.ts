@@ -0,0 +1,257 @@
+import { ethers } from "ethers";
+import { Abi, AbiEventName, PublicContract } from "./contract";
+import {
+  IBlockchainEventListener,
+  IBlockchainEventListenerOptions,
+  IBlockchainEventListenerSource,
+  IBlockchainEventListenerStatus,
+} from "./interfaces";
+import PaladinClient from "./paladin";
+
+// An event chosen by name, or by signature where the name is overloaded
+export type AbiEventSelector<TAbi extends Abi> =
+  | AbiEventName<TAbi>
+  | `${AbiEventName<TAbi>}(${string})`;
+
+export interface BlockchainEventSourceOptions {
+  // Names or signatures of the events to deliver (default all in the ABI)
+  events?: string[];
+  // Contracts to deliver events from (default any contract)
+  addresses?: string[];
+}
+
+export interface BlockchainEventListenerProgress
+  extends IBlockchainEventListenerStatus {
+  // Whether the listener is running - a stopped listener does not catch up
+  started: boolean;
+  // Whether the listener has processed the confirmed blocks - catchup alone
+  // is false before the node starts catching the listener up
+  caughtUp: boolean;
+  blockHeight: number;
+  // How far the listener has caught up to the confirmed block height
+  percent: number;
+}
+
+interface SourceSpec extends BlockchainEventSourceOptions {
+  abi: ethers.InterfaceAbi | Abi;
+}
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The selected event fragments of an ABI, checking the ABI parses and each
+// selection matches exactly one event
+const selectEvents = (name: string, { abi, events }: SourceSpec) => {
+  let iface: ethers.Interface;
+  try {
+    iface = new ethers.Interface(abi as ethers.InterfaceAbi);
+  } catch (err: any) {
+    throw new Error(`Invalid ABI for listener '${name}': ${err.message}`);
+  }
+  const all = iface.fragments.filter(ethers.Fragment.isEvent);
+  if (all.length === 0) {
+    throw new Error(`ABI for listener '${name}' has no events`);
+  }
+  if (events === undefined) {
+    return all;
+  }
+  const selected = new Map<string, ethers.EventFragment>();
+  for (const event of events) {
+    let fragment: ethers.EventFragment | null;
+    try {
+      fragment = iface.getEvent(event);
+    } catch (err: any) {
+      // Overloaded names must be selected by signature
+      throw new Error(
+        `Event '${event}' for listener '${name}' is ambiguous: ${err.message}`
+      );
+    }
+    if (fragment === null) {
+      throw new Error(`Event '${event}' for listener '${name}' not in ABI`);
+    }
+    selected.set(fragment.topicHash, fragment);
+  }
+  return Array.from(selected.values());
+};
+
+/**
+ * Builds a blockchain event listener definition, selecting events from
+ * contract ABIs and validating them before the listener is created:
+ *
+ *   const builder = new BlockchainEventListenerBuilder(paladin, "tokens");
+ *   const listener = await builder
+ *     .contract(token, ["Transfer"])
+ *     .source(erc20Abi, { events: ["Approval"], addresses: [a, b] })
+ *     .fromBlock(1000)
+ *     .create();
+ *   await listener.waitUntilCaughtUp();
+ */
+export class BlockchainEventListenerBuilder {
+  private sources: SourceSpec[] = [];
+  private options: IBlockchainEventListenerOptions = {};
+
+  constructor(private paladin: PaladinClient, private name: string) {}
+
+  // Events from a deployed contract
+  contract<TAbi extends Abi>(
+    contract: PublicContract<TAbi>,
+    events?: AbiEventSelector<TAbi>[]
+  ) {
+    return this.source(contract.abi, {
+      events,
+      addresses: [contract.address],
+    });
+  }
+
+  source(
+    abi: ethers.InterfaceAbi | Abi,
+    options?: BlockchainEventSourceOptions
+  ) {
+    this.sources.push({ ...options, abi });
+    return this;
+  }
+
+  batchSize(batchSize: number) {
+    if (!Number.isInteger(batchSize) || batchSize <= 0) {
+      throw new Error(`Invalid batch size ${batchSize}`);
+    }
+    this.options.batchSize = batchSize;
+    return this;
+  }
+
+  // A duration such as "500ms" or "5s"
+  batchTimeout(batchTimeout: string) {
+    this.options.batchTimeout = batchTimeout;
+    return this;
+  }
+
+  fromBlock(block: number | bigint | "latest") {
+    const valid =
+      block === "latest" ||
+      (typeof block === "bigint"
+        ? block >= 0n
+        : Number.isInteger(block) && block >= 0);
+    if (!valid) {
+      throw new Error(`Invalid start block ${block}`);
+    }
+    this.options.fromBlock = `${block}`;
+    return this;
+  }
+
+  build(): IBlockchainEventListener {
+    if (this.sources.length === 0) {
+      throw new Error(`No sources for listener '${this.name}'`);
+    }
+    const sources: IBlockchainEventListenerSource[] = [];
+    for (const spec of this.sources) {
+      const abi: ethers.JsonFragment[] = selectEvents(this.name, spec).map(
+        (fragment) => JSON.parse(fragment.format("json"))
+      );
+      const addresses = new Set<string>();
+      for (const address of spec.addresses ?? []) {
+        if (!ethers.isAddress(address)) {
+          throw new Error(
+            `Invalid address '${address}' for listener '${this.name}'`
+          );
+        }
+        addresses.add(address.toLowerCase());
+      }
+      if (addresses.size === 0) {
+        sources.push({ abi });
+      }
+      // Each source has a single address
+      for (const address of addresses) {
+        sources.push({ abi, address });
+      }
+    }
+    return {
+      name: this.name,
+      sources,
+      options: Object.keys(this.options).length > 0 ? this.options : undefined,
+    };
+  }
+
+  async create() {
+    const definition = this.build();
+    await this.paladin.ptx.createBlockchainEventListener(definition);
+    return new BlockchainEventListener(this.paladin, definition);
+  }
+}
+
+// A blockchain event listener on the node, with its catch-up progress
+export class BlockchainEventListener {
+  constructor(
+    private paladin: PaladinClient,
+    public readonly definition: IBlockchainEventListener
+  ) {}
+
+  static async get(paladin: PaladinClient, name: string) {
+    const definition = await paladin.ptx.getBlockchainEventListener(name);
+    return definition != undefined
+      ? new BlockchainEventListener(paladin, definition)
+      : undefined;
+  }
+
+  get name() {
+    return this.definition.name;
+  }
+
+  async status(): Promise<BlockchainEventListenerProgress> {
+    // The status does not say whether the listener is started
+    const [status, listener, blockHeight] = await Promise.all([
+      this.paladin.ptx.getBlockchainEventListenerStatus(this.name),
+      this.paladin.ptx.getBlockchainEventListener(this.name),
+      this.paladin.bidx.getConfirmedBlockHeight(),
+    ]);
+    if (status == undefined || listener == undefined) {
+      throw new Error(`Blockchain event listener '${this.name}' not found`);
+    }
+    // Measured from the start block, so a listener starting near the head
+    // does not begin almost complete
+    const fromBlock = Number(this.definition.options?.fromBlock);
+    const start = Number.isInteger(fromBlock) ? fromBlock : 0;
+    const checkpoint = status.checkpoint?.blockNumber ?? -1;
+    const caughtUp = !status.catchup && checkpoint >= blockHeight;
+    let percent = 100;
+    if (!caughtUp) {
+      percent =
+        blockHeight > start
+          ? Math.floor(((checkpoint - start) / (blockHeight - start)) * 100)
+          : 0;
+      percent = Math.min(99, Math.max(0, percent));
+    }
+    return {
+      ...status,
+      started: listener.started !== false,
+      caughtUp,
+      blockHeight,
+      percent,
+    };
+  }
+
+  // Resolves once the listener has caught up with the chain - or rejects if
+  // it is stopped, or after waitMs if set
+  async waitUntilCaughtUp(waitMs?: number, pollIntervalMs = 1000) {
+    const deadline = waitMs !== undefined ? Date.now() + waitMs : undefined;
+    for (;;) {
+      const progress = await this.status();
+      if (!progress.started) {
+        throw new Error(
+          `Blockchain event listener '${this.name}' is stopped (${progress.percent}%)`
+        );
+      }
+      if (progress.caughtUp) {
+        return progress;
+      }
+      if (deadline !== undefined && Date.now() >= deadline) {
+        throw new Error(
+          `Blockchain event listener '${this.name}' still catching up after ${waitMs}ms (${progress.percent}%)`
+        );
+      }
+      await sleep(pollIntervalMs);
+    }
+  }
+
+  delete() {
+    return this.paladin.ptx.deleteBlockchainEventListener(this.name);
+  }
+}
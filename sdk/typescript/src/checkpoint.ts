@@ -0,0 +1,129 @@
+import { readTextFile, writeTextFile } from "./fs-node";
+
+// Where a listener got to, recorded after each batch is processed
+export interface ListenerCheckpoint {
+  batchId: number;
+  // Sequence of the last receipt or message processed
+  sequence?: number;
+  // Position of the last blockchain event processed
+  blockNumber?: number;
+  transactionIndex?: number;
+  logIndex?: number;
+  updated: string;
+}
+
+export interface CheckpointStore {
+  get(name: string): Promise<ListenerCheckpoint | undefined>;
+  put(name: string, checkpoint: ListenerCheckpoint): Promise<void>;
+  delete(name: string): Promise<void>;
+}
+
+export class MemoryCheckpointStore implements CheckpointStore {
+  private checkpoints = new Map<string, ListenerCheckpoint>();
+
+  async get(name: string) {
+    const checkpoint = this.checkpoints.get(name);
+    return checkpoint !== undefined ? { ...checkpoint } : undefined;
+  }
+
+  async put(name: string, checkpoint: ListenerCheckpoint) {
+    this.checkpoints.set(name, { ...checkpoint });
+  }
+
+  async delete(name: string) {
+    this.checkpoints.delete(name);
+  }
+}
+
+// Keeps every checkpoint in one JSON file (Node.js only)
+export class FileCheckpointStore implements CheckpointStore {
+  // Writes are queued, so concurrent updates are not lost
+  private writing: Promise<unknown> = Promise.resolve();
+
+  constructor(private path: string) {}
+
+  private async readAll(): Promise<Record<string, ListenerCheckpoint>> {
+    const text = await readTextFile(this.path);
+    return text !== undefined ? JSON.parse(text) : {};
+  }
+
+  private update(fn: (all: Record<string, ListenerCheckpoint>) => void) {
+    const result = this.writing.then(async () => {
+      const all = await this.readAll();
+      fn(all);
+      await writeTextFile(this.path, JSON.stringify(all, null, 2));
+    });
+    this.writing = result.catch(() => {});
+    return result;
+  }
+
+  async get(name: string) {
+    await this.writing;
+    return (await this.readAll())[name];
+  }
+
+  put(name: string, checkpoint: ListenerCheckpoint) {
+    return this.update((all) => {
+      all[name] = checkpoint;
+    });
+  }
+
+  delete(name: string) {
+    return this.update((all) => {
+      delete all[name];
+    });
+  }
+}
+
+// The subset of a synchronous SQLite API used by SqliteCheckpointStore, which
+// is satisfied by both "better-sqlite3" and the built-in "node:sqlite"
+export interface SqliteDatabase {
+  exec(sql: string): unknown;
+  prepare(sql: string): {
+    run(...params: any[]): unknown;
+    get(...params: any[]): unknown;
+  };
+}
+
+export class SqliteCheckpointStore implements CheckpointStore {
+  private created = false;
+
+  constructor(private db: SqliteDatabase, private table = "checkpoints") {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+      throw new Error(`Invalid checkpoint table name '${table}'`);
+    }
+  }
+
+  private init() {
+    if (!this.created) {
+      this.db.exec(
+        `CREATE TABLE IF NOT EXISTS ${this.table} (name TEXT PRIMARY KEY, checkpoint TEXT NOT NULL)`
+      );
+      this.created = true;
+    }
+    return this.db;
+  }
+
+  async get(name: string) {
+    const row = this.init()
+      .prepare(`SELECT checkpoint FROM ${this.table} WHERE name = ?`)
+      .get(name) as { checkpoint: string } | undefined;
+    return row !== undefined
+      ? (JSON.parse(row.checkpoint) as ListenerCheckpoint)
+      : undefined;
+  }
+
+  async put(name: string, checkpoint: ListenerCheckpoint) {
+    this.init()
+      .prepare(
+        `INSERT INTO ${this.table} (name, checkpoint) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET checkpoint = excluded.checkpoint`
+      )
+      .run(name, JSON.stringify(checkpoint));
+  }
+
+  async delete(name: string) {
+    this.init()
+      .prepare(`DELETE FROM ${this.table} WHERE name = ?`)
+      .run(name);
+  }
+}
@@ -0,0 +1,306 @@
+import {
+  IEventWithData,
+  ITransactionCall,
+  ITransactionInput,
+  ITransactionReceipt,
+  PublicTxOptions,
+  TransactionType,
+} from "./interfaces";
+import PaladinClient from "./paladin";
+import { TransactionFuture } from "./transaction";
+import { PaladinVerifier } from "./verifier";
+
+// The subset of a JSON ABI needed to infer types (declare ABIs "as const")
+export interface AbiParameter {
+  readonly name?: string;
+  readonly type: string;
+  readonly indexed?: boolean;
+  readonly components?: readonly AbiParameter[];
+}
+
+export interface AbiEntry {
+  readonly type: string;
+  readonly name?: string;
+  readonly inputs?: readonly AbiParameter[];
+  readonly outputs?: readonly AbiParameter[];
+  readonly stateMutability?: string;
+}
+
+export type Abi = readonly AbiEntry[];
+
+// "uint256[2][]" => "uint256[2]"
+type ArrayElementType<T extends string> =
+  T extends `${infer Head}[${infer Tail}`
+    ? Tail extends `${string}[${string}`
+      ? `${Head}[${ArrayElementType<Tail>}`
+      : Head
+    : T;
+
+// Values as accepted by Paladin (inputs) or as returned by it (outputs),
+// where integers are returned as decimal strings
+export type AbiParameterValue<
+  P extends AbiParameter,
+  Output extends boolean
+> = P["type"] extends `${string}]`
+  ? AbiParameterValue<
+      { type: ArrayElementType<P["type"]>; components: P["components"] },
+      Output
+    >[]
+  : P["type"] extends "tuple"
+  ? AbiParameterValues<NonNullable<P["components"]>, Output>
+  : P["type"] extends `uint${string}` | `int${string}`
+  ? Output extends true
+    ? string
+    : string | number
+  : P["type"] extends "bool"
+  ? boolean
+  : string;
+
+// Named parameters are keyed by name, and unnamed ones by position
+export type AbiParameterValues<
+  Ps extends readonly AbiParameter[],
+  Output extends boolean
+> = {
+  [I in keyof Ps as I extends `${number}`
+    ? Ps[I] extends { name: infer N extends string }
+      ? N extends ""
+        ? I
+        : N
+      : I
+    : never]: Ps[I] extends AbiParameter
+    ? AbiParameterValue<Ps[I], Output>
+    : never;
+};
+
+export type AbiFunction<TAbi extends Abi, Name> = Extract<
+  TAbi[number],
+  { type: "function"; name: Name }
+>;
+
+export type AbiFunctionName<
+  TAbi extends Abi,
+  ReadOnly extends boolean
+> = Extract<
+  TAbi[number],
+  ReadOnly extends true
+    ? { type: "function"; stateMutability: "view" | "pure" }
+    : { type: "function"; stateMutability: "nonpayable" | "payable" }
+>["name"] &
+  string;
+
+export type AbiEventName<TAbi extends Abi> = Extract<
+  TAbi[number],
+  { type: "event" }
+>["name"] &
+  string;
+
+export type AbiParameters<P> = P extends readonly AbiParameter[] ? P : [];
+
+// Unnamed inputs can only be supplied positionally
+type AbiInputValues<Ps extends readonly AbiParameter[]> = Extract<
+  Ps[number],
+  { name: "" }
+> extends never
+  ? AbiParameterValues<Ps, false>
+  : unknown[];
+
+export type AbiFunctionArgs<F> = F extends { inputs: readonly [] }
+  ? []
+  : F extends { inputs: infer Ps extends readonly AbiParameter[] }
+  ? [data: AbiInputValues<Ps>]
+  : [];
+
+export type PublicContractOptions = Partial<
+  Omit<ITransactionInput, "type" | "abi" | "function" | "to" | "data">
+> &
+  PublicTxOptions;
+
+export type PublicContractSend<TAbi extends Abi> = {
+  [N in AbiFunctionName<TAbi, false>]: (
+    from: string | PaladinVerifier,
+    ...args: [
+      ...AbiFunctionArgs<AbiFunction<TAbi, N>>,
+      PublicContractOptions?
+    ]
+  ) => TransactionFuture;
+};
+
+export type PublicContractCall<TAbi extends Abi> = {
+  [N in AbiFunctionName<TAbi, true>]: (
+    ...args: [
+      ...AbiFunctionArgs<AbiFunction<TAbi, N>>,
+      PublicContractOptions?
+    ]
+  ) => Promise<
+    AbiParameterValues<AbiParameters<AbiFunction<TAbi, N>["outputs"]>, true>
+  >;
+};
+
+export type PublicContractEvent<TAbi extends Abi> = {
+  [N in AbiEventName<TAbi>]: Omit<IEventWithData, "data"> & {
+    name: N;
+    data: AbiParameterValues<
+      AbiParameters<
+        Extract<TAbi[number], { type: "event"; name: N }>["inputs"]
+      >,
+      true
+    >;
+  };
+}[AbiEventName<TAbi>];
+
+// "event Transfer(address indexed from, ...)" => "Transfer"
+const eventName = (soliditySignature: string) =>
+  soliditySignature.replace(/^event\s+/, "").split("(")[0];
+
+// The data argument is omitted for functions without inputs
+export const splitArgs = (
+  abi: Abi,
+  type: string,
+  name: string | undefined,
+  args: any[]
+) => {
+  const entry = abi.find((e) => e.type === type && e.name === name);
+  const hasData = (entry?.inputs?.length ?? 0) > 0;
+  return {
+    data: hasData ? args[0] : {},
+    options: (hasData ? args[1] : args[0]) as PublicContractOptions | undefined,
+  };
+};
+
+// Whether a property of a method proxy is a function in the ABI - anything
+// else (including "then", so the proxy is not mistaken for a promise) is
+// left undefined
+export const hasAbiFunction = (
+  abi: Abi,
+  name: string | symbol
+): name is string =>
+  typeof name === "string" &&
+  name !== "then" &&
+  abi.some((entry) => entry.type === "function" && entry.name === name);
+
+// A contract on the base ledger, with methods typed from its ABI
+export class PublicContract<TAbi extends Abi> {
+  public readonly send: PublicContractSend<TAbi>;
+  public readonly call: PublicContractCall<TAbi>;
+
+  constructor(
+    protected paladin: PaladinClient,
+    public readonly abi: TAbi,
+    public readonly address: string
+  ) {
+    // Methods are looked up by name when invoked, so these are proxies
+    // rather than objects built from the ABI
+    this.send = new Proxy({} as PublicContractSend<TAbi>, {
+      get: (_, name) =>
+        hasAbiFunction(this.abi, name)
+          ? (from: string | PaladinVerifier, ...args: any[]) =>
+              this.sendTransaction(name, from.toString(), args)
+          : undefined,
+    });
+    this.call = new Proxy({} as PublicContractCall<TAbi>, {
+      get: (_, name) =>
+        hasAbiFunction(this.abi, name)
+          ? (...args: any[]) => this.callFunction(name, args)
+          : undefined,
+    });
+  }
+
+  static deploy<TAbi extends Abi>(
+    paladin: PaladinClient,
+    abi: TAbi,
+    bytecode: string,
+    from: string | PaladinVerifier,
+    ...args: [
+      ...AbiFunctionArgs<Extract<TAbi[number], { type: "constructor" }>>,
+      PublicContractOptions?
+    ]
+  ) {
+    const { data, options } = splitArgs(abi, "constructor", undefined, args);
+    return new PublicContractDeployFuture(
+      paladin,
+      abi,
+      paladin.ptx.sendTransaction({
+        ...options,
+        type: TransactionType.PUBLIC,
+        abi,
+        bytecode,
+        function: "",
+        from: from.toString(),
+        data,
+      })
+    );
+  }
+
+  using(paladin: PaladinClient) {
+    return new PublicContract(paladin, this.abi, this.address);
+  }
+
+  // Decode the events emitted by this contract in a transaction
+  async events(
+    receipt: ITransactionReceipt
+  ): Promise<PublicContractEvent<TAbi>[]> {
+    const events = await this.paladin.bidx.decodeTransactionEvents(
+      receipt.transactionHash,
+      this.abi,
+      ""
+    );
+    return events
+      .filter(
+        (event) => event.address.toLowerCase() === this.address.toLowerCase()
+      )
+      .map((event) => ({
+        ...event,
+        name: eventName(event.soliditySignature),
+      })) as PublicContractEvent<TAbi>[];
+  }
+
+  private sendTransaction(name: string, from: string, args: any[]) {
+    const { data, options } = splitArgs(this.abi, "function", name, args);
+    return new TransactionFuture(
+      this.paladin,
+      this.paladin.ptx.sendTransaction({
+        ...options,
+        type: TransactionType.PUBLIC,
+        abi: this.abi,
+        function: name,
+        from,
+        to: this.address,
+        data,
+      })
+    );
+  }
+
+  private callFunction(name: string, args: any[]) {
+    const { data, options } = splitArgs(this.abi, "function", name, args);
+    const call: ITransactionCall = {
+      ...options,
+      type: TransactionType.PUBLIC,
+      abi: this.abi,
+      function: name,
+      from: options?.from ?? "",
+      to: this.address,
+      data,
+    };
+    return this.paladin.ptx.call(call);
+  }
+}
+
+// Represents an in-flight public contract deployment
+export class PublicContractDeployFuture<
+  TAbi extends Abi
+> extends TransactionFuture {
+  constructor(
+    paladin: PaladinClient,
+    private abi: TAbi,
+    id: string | Promise<string>
+  ) {
+    super(paladin, id);
+  }
+
+  async waitForDeploy(waitMs?: number) {
+    const receipt = await this.waitForReceipt(waitMs);
+    return receipt?.contractAddress
+      ? new PublicContract(this.paladin, this.abi, receipt.contractAddress)
+      : undefined;
+  }
+}
@@ -0,0 +1,352 @@
+import {
+  Abi,
+  AbiFunction,
+  AbiFunctionArgs,
+  AbiFunctionName,
+  AbiParameters,
+  AbiParameterValues,
+  hasAbiFunction,
+  splitArgs,
+} from "../contract";
+import { PaladinRpcError } from "../errors";
+import {
+  ISchema,
+  IStateBase,
+  ITransactionInput,
+  StateStatus,
+  TransactionType,
+} from "../interfaces";
+import PaladinClient from "../paladin";
+import { QueryInput } from "../query";
+import { TransactionFuture } from "../transaction";
+import { PaladinVerifier } from "../verifier";
+
+export type DomainTransactionOptions = Partial<
+  Omit<
+    ITransactionInput,
+    "type" | "domain" | "abi" | "function" | "to" | "from" | "data"
+  >
+>;
+
+type DomainMethod<TAbi extends Abi, Name, Result> = (
+  from: string | PaladinVerifier,
+  ...args: [
+    ...AbiFunctionArgs<AbiFunction<TAbi, Name>>,
+    DomainTransactionOptions?
+  ]
+) => Result;
+
+export type DomainSend<TAbi extends Abi> = {
+  [N in AbiFunctionName<TAbi, false>]: DomainMethod<
+    TAbi,
+    N,
+    TransactionFuture
+  >;
+};
+
+// Prepared transactions are returned by ID - see ptx.getPreparedTransaction()
+export type DomainPrepare<TAbi extends Abi> = {
+  [N in AbiFunctionName<TAbi, false>]: DomainMethod<TAbi, N, Promise<string>>;
+};
+
+export type DomainCall<TAbi extends Abi> = {
+  [N in AbiFunctionName<TAbi, true>]: DomainMethod<
+    TAbi,
+    N,
+    Promise<
+      AbiParameterValues<AbiParameters<AbiFunction<TAbi, N>["outputs"]>, true>
+    >
+  >;
+};
+
+export interface DomainSchema extends ISchema {
+  name: string;
+}
+
+export interface DomainDescription {
+  name: string;
+  registryAddress: string;
+  schemas: DomainSchema[];
+}
+
+export interface DomainState<T extends object = any> extends IStateBase {
+  // Unset for states of schemas not registered on this node
+  schemaName?: string;
+  data: T;
+}
+
+export interface DomainReceipt<TReceipt = unknown> {
+  transactionId: string;
+  success: boolean;
+  // Unset for domains that do not build receipts
+  domainReceipt?: TReceipt;
+  states: {
+    spent: DomainState[];
+    read: DomainState[];
+    confirmed: DomainState[];
+    info: DomainState[];
+  };
+}
+
+// "type=NotoCoin(bytes32 salt,...),labels=[...]" => "NotoCoin"
+const schemaName = (schema: ISchema) =>
+  schema.signature.replace(/^type=/, "").split("(")[0];
+
+// Errors returned when a domain receipt cannot be built for a transaction,
+// which may be wrapped by other errors from the domain
+const NO_DOMAIN_RECEIPT_KEYS = [
+  "PD011657", // no state confirmations indexed yet
+  "PD011658", // none of the private states available
+  "PD020302", // domain does not build receipts
+];
+
+const noDomainReceipt = (err: unknown) =>
+  err instanceof PaladinRpcError &&
+  NO_DOMAIN_RECEIPT_KEYS.some((key) => err.message.includes(key));
+
+const describeSchemas = async (paladin: PaladinClient, domain: string) =>
+  (await paladin.pstate.listSchemas(domain)).map(
+    (schema): DomainSchema => ({ ...schema, name: schemaName(schema) })
+  );
+
+// Represents an in-flight deployment of a domain contract
+export class DomainFuture<TInstance> extends TransactionFuture {
+  constructor(
+    paladin: PaladinClient,
+    id: string | Promise<string>,
+    private at: (address: string) => TInstance
+  ) {
+    super(paladin, id);
+  }
+
+  async waitForDeploy(waitMs?: number) {
+    const receipt = await this.waitForReceipt(waitMs);
+    return receipt?.contractAddress
+      ? this.at(receipt.contractAddress)
+      : undefined;
+  }
+}
+
+/**
+ * Base class for the deployer of a domain's contracts. Subclasses supply the
+ * domain's private ABI (declared "as const", including its constructor) and
+ * how to wrap a deployed address:
+ *
+ *   class WidgetFactory extends DomainFactory<typeof widgetAbi, Widget> {
+ *     readonly abi = widgetAbi;
+ *     at(address: string) {
+ *       return new Widget(this.paladin, address, this.domain);
+ *     }
+ *   }
+ */
+export abstract class DomainFactory<
+  TAbi extends Abi,
+  TInstance extends DomainInstance<TAbi, any>
+> {
+  abstract readonly abi: TAbi;
+
+  constructor(
+    protected paladin: PaladinClient,
+    public readonly domain: string
+  ) {}
+
+  abstract at(address: string): TInstance;
+
+  using(paladin: PaladinClient): this {
+    const Factory = this.constructor as new (
+      paladin: PaladinClient,
+      domain: string
+    ) => this;
+    return new Factory(paladin, this.domain);
+  }
+
+  // Check the domain is registered on the node, and list its schemas
+  async describe(): Promise<DomainDescription> {
+    const [domain, schemas] = await Promise.all([
+      this.paladin.domain.getDomain(this.domain),
+      describeSchemas(this.paladin, this.domain),
+    ]);
+    if (domain == undefined) {
+      throw new Error(`Domain '${this.domain}' not found`);
+    }
+    return { ...domain, schemas };
+  }
+
+  deploy(
+    from: string | PaladinVerifier,
+    ...args: [
+      ...AbiFunctionArgs<Extract<TAbi[number], { type: "constructor" }>>,
+      DomainTransactionOptions?
+    ]
+  ) {
+    const { data, options } = splitArgs(
+      this.abi,
+      "constructor",
+      undefined,
+      args
+    );
+    return new DomainFuture(
+      this.paladin,
+      this.paladin.ptx.sendTransaction({
+        ...options,
+        type: TransactionType.PRIVATE,
+        domain: this.domain,
+        abi: this.abi,
+        function: "",
+        from: from.toString(),
+        data,
+      }),
+      (address) => this.at(address)
+    );
+  }
+}
+
+/**
+ * Base class for a contract in a domain, with send, call and prepare methods
+ * typed from the domain's private ABI, and generic access to its states and
+ * receipts. TReceipt is the shape of the domain receipt the domain builds.
+ *
+ * The node does not publish a domain's private ABI, so there is no discovery:
+ * subclasses must supply it, and only functions in it are available as
+ * methods.
+ */
+export abstract class DomainInstance<TAbi extends Abi, TReceipt = unknown> {
+  abstract readonly abi: TAbi;
+  public readonly send: DomainSend<TAbi>;
+  public readonly call: DomainCall<TAbi>;
+  public readonly prepare: DomainPrepare<TAbi>;
+  private schemas?: Promise<DomainSchema[]>;
+
+  constructor(
+    protected paladin: PaladinClient,
+    public readonly address: string,
+    public readonly domain: string
+  ) {
+    // As with PublicContract, methods are looked up by name when invoked
+    const methods = <T extends object>(
+      invoke: (input: ITransactionInput) => unknown
+    ) =>
+      new Proxy({} as T, {
+        get: (_, name) =>
+          hasAbiFunction(this.abi, name)
+            ? (from: string | PaladinVerifier, ...args: any[]) =>
+                invoke(this.transaction(name, from, args))
+            : undefined,
+      });
+    this.send = methods((input) => {
+      return new TransactionFuture(
+        this.paladin,
+        this.paladin.ptx.sendTransaction(input)
+      );
+    });
+    this.call = methods((input) => this.paladin.ptx.call(input));
+    this.prepare = methods((input) =>
+      this.paladin.ptx.prepareTransaction(input)
+    );
+  }
+
+  using(paladin: PaladinClient): this {
+    const Instance = this.constructor as new (
+      paladin: PaladinClient,
+      address: string,
+      domain: string
+    ) => this;
+    return new Instance(paladin, this.address, this.domain);
+  }
+
+  // Schemas are registered once for the domain, so are cached
+  protected schemaList() {
+    if (this.schemas === undefined) {
+      this.schemas = describeSchemas(this.paladin, this.domain).catch(
+        (err) => {
+          this.schemas = undefined;
+          throw err;
+        }
+      );
+    }
+    return this.schemas;
+  }
+
+  // The states of this contract with the named schema
+  async *iterateStates<T extends object = any>(
+    schemaName: string,
+    query: QueryInput = {},
+    status: StateStatus = "available"
+  ): AsyncGenerator<DomainState<T>> {
+    const schema = (await this.schemaList()).find(
+      (s) => s.name === schemaName
+    );
+    if (schema === undefined) {
+      throw new Error(
+        `Schema '${schemaName}' not found in domain '${this.domain}'`
+      );
+    }
+    for await (const state of this.paladin.pstate.iterateContractStates(
+      this.domain,
+      this.address,
+      schema.id,
+      query,
+      status
+    )) {
+      yield { ...state, schemaName } as DomainState<T>;
+    }
+  }
+
+  // The outcome of a transaction on this contract, with the states it
+  // spent, read and created labelled by schema name
+  async decodeReceipt(
+    txID: string
+  ): Promise<DomainReceipt<TReceipt> | undefined> {
+    const receipt = await this.paladin.ptx.getTransactionReceipt(txID);
+    if (receipt === undefined) {
+      return undefined;
+    }
+    const [domainReceipt, states, schemas] = await Promise.all([
+      this.paladin.ptx.getDomainReceipt(this.domain, txID).catch((err) => {
+        if (noDomainReceipt(err)) {
+          return undefined;
+        }
+        throw err;
+      }),
+      this.paladin.ptx.getStateReceipt(txID),
+      this.schemaList(),
+    ]);
+    const names = new Map(schemas.map((s) => [s.id, s.name]));
+    const label = (list?: IStateBase[]) =>
+      (list ?? [])
+        .filter(
+          (state) =>
+            state.contractAddress.toLowerCase() === this.address.toLowerCase()
+        )
+        .map((state) => ({ ...state, schemaName: names.get(state.schema) }));
+    return {
+      transactionId: txID,
+      success: receipt.success,
+      domainReceipt: domainReceipt as TReceipt | undefined,
+      states: {
+        spent: label(states?.spent),
+        read: label(states?.read),
+        confirmed: label(states?.confirmed),
+        info: label(states?.info),
+      },
+    };
+  }
+
+  private transaction(
+    name: string,
+    from: string | PaladinVerifier,
+    args: any[]
+  ): ITransactionInput {
+    const { data, options } = splitArgs(this.abi, "function", name, args);
+    return {
+      ...options,
+      type: TransactionType.PRIVATE,
+      domain: this.domain,
+      abi: this.abi,
+      function: name,
+      from: from.toString(),
+      to: this.address,
+      data,
+    };
+  }
+}
@@ -0,0 +1,276 @@
+import { IStateBase, ITransactionReceipt } from "../interfaces";
+import PaladinClient from "../paladin";
+import { QueryBuilder } from "../query";
+
+// A coin state of a token, as seen by the history
+export interface TokenHistoryState {
+  owner: string;
+  amount: bigint;
+  locked: boolean;
+  lockId?: string;
+}
+
+export interface TokenHistoryTransfer {
+  from?: string;
+  to?: string;
+  amount: string;
+}
+
+// Adapts a token domain to the history - see NotoInstance.history() and
+// ZetoInstance.history()
+export interface TokenHistorySource {
+  domain: string;
+  address: string;
+  // IDs of the schemas of the token's coin states
+  schemas: string[];
+  // Returns undefined for states that are not coins (such as lock info)
+  parseState(state: IStateBase): TokenHistoryState | undefined;
+  // Transfers reported by the domain receipt, for domains that build one
+  transfers?(receipt: ITransactionReceipt): TokenHistoryTransfer[];
+}
+
+export type TokenHistoryEntryType =
+  | "mint"
+  | "burn"
+  | "transfer-in"
+  | "transfer-out"
+  | "self-transfer"
+  | "lock"
+  | "unlock";
+
+export interface TokenHistoryEntry {
+  transactionId: string;
+  sequence: number;
+  blockNumber: number;
+  transactionHash: string;
+  type: TokenHistoryEntryType;
+  // The amount moved, which is always positive
+  amount: string;
+  counterparties: string[];
+  lockId?: string;
+  // Signed changes to the owner's unlocked and locked balances
+  change: string;
+  lockedChange: string;
+  // Running balances after this transaction
+  balance: string;
+  lockedBalance: string;
+}
+
+const CSV_COLUMNS: (keyof TokenHistoryEntry)[] = [
+  "sequence",
+  "transactionId",
+  "blockNumber",
+  "transactionHash",
+  "type",
+  "amount",
+  "counterparties",
+  "lockId",
+  "change",
+  "balance",
+  "lockedChange",
+  "lockedBalance",
+];
+
+const csvValue = (value: unknown) => {
+  const text = Array.isArray(value) ? value.join(";") : `${value ?? ""}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const sum = (states: TokenHistoryState[]) =>
+  states.reduce((total, state) => total + state.amount, 0n);
+
+const unique = (values: (string | undefined)[]) =>
+  Array.from(new Set(values.filter((v): v is string => !!v)));
+
+// Receipts are queried and fetched this many at a time
+const CHUNK_SIZE = 100;
+
+const chunks = <T>(values: T[]) => {
+  const result: T[][] = [];
+  for (let i = 0; i < values.length; i += CHUNK_SIZE) {
+    result.push(values.slice(i, i + CHUNK_SIZE));
+  }
+  return result;
+};
+
+// The successful receipts of every transaction that confirmed or spent one of
+// the token's coins, in order
+const tokenReceipts = async (
+  paladin: PaladinClient,
+  source: TokenHistorySource
+) => {
+  const ids = new Set<string>();
+  for (const schema of source.schemas) {
+    const states = paladin.pstate.iterateContractStates(
+      source.domain,
+      source.address,
+      schema,
+      {},
+      "all"
+    );
+    for await (const state of states) {
+      // Zeto records spends against the nullifier, rather than the state
+      const spent = state.spent ?? state.nullifier?.spent;
+      for (const tx of [state.confirmed?.transaction, spent?.transaction]) {
+        if (tx !== undefined) {
+          ids.add(tx);
+        }
+      }
+    }
+  }
+  const receipts: ITransactionReceipt[] = [];
+  for (const chunk of chunks(Array.from(ids))) {
+    receipts.push(
+      ...(await paladin.ptx.queryTransactionReceipts(
+        new QueryBuilder()
+          .in("id", chunk)
+          .eq("success", true)
+          .limit(chunk.length)
+      ))
+    );
+  }
+  return receipts.sort((a, b) => a.sequence - b.sequence);
+};
+
+// The ledger of a token from the viewpoint of one owner
+export class TokenHistory {
+  constructor(
+    public readonly owner: string,
+    public readonly entries: TokenHistoryEntry[]
+  ) {}
+
+  get balance() {
+    return this.entries[this.entries.length - 1]?.balance ?? "0";
+  }
+
+  get lockedBalance() {
+    return this.entries[this.entries.length - 1]?.lockedBalance ?? "0";
+  }
+
+  toJSON() {
+    return {
+      owner: this.owner,
+      balance: this.balance,
+      lockedBalance: this.lockedBalance,
+      entries: this.entries,
+    };
+  }
+
+  toCSV() {
+    const rows = this.entries.map((entry) =>
+      CSV_COLUMNS.map((column) => csvValue(entry[column])).join(",")
+    );
+    return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+  }
+}
+
+/**
+ * Reconstruct the history of a token for an owner, by walking the successful
+ * receipts of the transactions that confirmed or spent the token's coins in
+ * order, and reading which of the token's states each one spent and created.
+ *
+ * Only states that have been distributed to this node are visible, so
+ * counterparties on incoming transfers are only known where the domain
+ * receipt reports them.
+ */
+export const buildTokenHistory = async (
+  paladin: PaladinClient,
+  source: TokenHistorySource,
+  owner: string
+) => {
+  owner = owner.toLowerCase();
+  const address = source.address.toLowerCase();
+  const entries: TokenHistoryEntry[] = [];
+  let balance = 0n;
+  let lockedBalance = 0n;
+
+  for (const chunk of chunks(await tokenReceipts(paladin, source))) {
+    // Full receipts include the states and the domain receipt
+    const full = await paladin.batch((b) =>
+      chunk.map((receipt) => b.ptx.getTransactionReceiptFull(receipt.id))
+    );
+    for (const receipt of full) {
+      if (receipt == undefined) {
+        continue;
+      }
+      const states = receipt.states;
+      const parse = (list?: IStateBase[]) =>
+        (list ?? [])
+          .filter((state) => state.contractAddress.toLowerCase() === address)
+          .map((state) => source.parseState(state))
+          .filter((state): state is TokenHistoryState => state !== undefined)
+          .map((state) => ({ ...state, owner: state.owner.toLowerCase() }));
+      const inputs = parse(states?.spent);
+      const outputs = parse(states?.confirmed);
+      if (inputs.length === 0 && outputs.length === 0) {
+        continue; // not a transaction on this token
+      }
+
+      const mine = (list: TokenHistoryState[], locked: boolean) =>
+        list.filter((s) => s.owner === owner && s.locked === locked);
+      const change = sum(mine(outputs, false)) - sum(mine(inputs, false));
+      const lockedChange = sum(mine(outputs, true)) - sum(mine(inputs, true));
+      const involved = [...inputs, ...outputs].some((s) => s.owner === owner);
+      if (!involved) {
+        continue;
+      }
+
+      const transfers = source.transfers?.(receipt) ?? [];
+      const others = (list: TokenHistoryState[]) =>
+        unique(list.filter((s) => s.owner !== owner).map((s) => s.owner));
+      const lockId = [...inputs, ...outputs].find(
+        (s) => s.owner === owner && s.lockId !== undefined
+      )?.lockId;
+
+      let type: TokenHistoryEntryType;
+      let amount: bigint;
+      let counterparties: string[];
+      const hasInputs =
+        inputs.length > 0 || (states?.unavailable?.spent?.length ?? 0) > 0;
+      if (lockedChange > 0n && change <= 0n) {
+        type = "lock";
+        amount = lockedChange;
+        counterparties = [];
+      } else if (lockedChange < 0n) {
+        type = "unlock";
+        amount = -lockedChange;
+        counterparties = others(outputs);
+      } else if (change > 0n) {
+        type = hasInputs ? "transfer-in" : "mint";
+        amount = change;
+        counterparties = unique([
+          ...transfers
+            .filter((t) => t.to?.toLowerCase() === owner)
+            .map((t) => t.from?.toLowerCase()),
+          ...others(inputs),
+        ]);
+      } else if (change < 0n) {
+        counterparties = others(outputs);
+        type = counterparties.length > 0 ? "transfer-out" : "burn";
+        amount = -change;
+      } else {
+        type = "self-transfer";
+        amount = sum(mine(outputs, false));
+        counterparties = [];
+      }
+
+      balance += change;
+      lockedBalance += lockedChange;
+      entries.push({
+        transactionId: receipt.id,
+        sequence: receipt.sequence,
+        blockNumber: receipt.blockNumber,
+        transactionHash: receipt.transactionHash,
+        type,
+        amount: amount.toString(),
+        counterparties,
+        lockId,
+        change: change.toString(),
+        lockedChange: lockedChange.toString(),
+        balance: balance.toString(),
+        lockedBalance: lockedBalance.toString(),
+      });
+    }
+  }
+  return new TokenHistory(owner, entries);
+};
@@ -1,8 +1,22 @@
 import { ethers } from "ethers";
-import { IStateEncoded, TransactionType } from "../interfaces";
+import {
+  INotoCoin,
+  INotoLockedCoin,
+  INotoLockInfo,
+  IState,
+  IStateEncoded,
+  INotoDomainReceipt,
+  IReceiptState,
+  ITransaction,
+  ITransactionReceipt,
+  StateStatus,
+  TransactionType,
+} from "../interfaces";
 import PaladinClient from "../paladin";
+import { QueryBuilder } from "../query";
 import { TransactionFuture } from "../transaction";
 import { PaladinVerifier } from "../verifier";
+import { buildTokenHistory } from "./history";
 import * as notoJSON from "./abis/INoto.json";
 import * as notoPrivateJSON from "./abis/INotoPrivate.json";
 
@@ -155,12 +169,116 @@ export interface NotoBalanceOfResult {
   overflow: boolean;
 }
 
+export interface NotoState<T extends object> extends IState {
+  data: T;
+}
+
+export interface NotoHoldings<T extends object> {
+  balance: string;
+  states: NotoState<T>[];
+}
+
+export interface NotoLockHoldings extends NotoHoldings<INotoLockedCoin> {
+  lockId: string;
+  // Set once the lock has been delegated
+  delegate?: string;
+  info?: NotoState<INotoLockInfo>;
+}
+
+export interface NotoPortfolio {
+  owner: string;
+  // Confirmed coins, both unlocked and locked
+  totalBalance: string;
+  unlocked: NotoHoldings<INotoCoin>;
+  locked: NotoLockHoldings[];
+  // Coins created by transactions that are not yet confirmed
+  pending: {
+    unlocked: NotoHoldings<INotoCoin>;
+    locked: NotoLockHoldings[];
+  };
+}
+
+export interface NotoLockFilter {
+  // A verifier, or an address
+  owner?: PaladinVerifier | string;
+  delegate?: string;
+}
+
+// An unlock prepared for a lock, which the delegate (once the lock is
+// delegated) can execute with unlockAsDelegate()
+export interface NotoPreparedUnlock {
+  transactionId: string;
+  unlockHash?: string;
+  unlockParams?: NotoUnlockPublicParams;
+  unlockCall?: string;
+  outputs: IReceiptState<INotoCoin>[];
+  lockedOutputs: IReceiptState<INotoLockedCoin>[];
+}
+
+export interface NotoLock extends NotoLockHoldings {
+  owner: string;
+  // Only known to the node that submitted the prepareUnlock, and only looked
+  // up when requested with NotoLockOptions
+  preparedUnlock?: NotoPreparedUnlock;
+}
+
+export interface NotoLockOptions {
+  // Find the unlock prepared for each lock. This reads every transaction this
+  // node has sent to the contract, so is off by default.
+  preparedUnlocks?: boolean;
+}
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// The node records the function called by its signature, such as
+// "prepareUnlock(bytes32,string,(string,uint256)[],bytes)"
+const isPrepareUnlock = (transaction: ITransaction) =>
+  transaction.function?.split("(")[0] === "prepareUnlock";
+
+const holdings = <T extends INotoCoin | INotoLockedCoin>(
+  states: NotoState<T>[]
+): NotoHoldings<T> => ({
+  balance: states
+    .reduce((total, state) => total + BigInt(state.data.amount), 0n)
+    .toString(),
+  states,
+});
+
+const lockHoldings = (
+  states: NotoState<INotoLockedCoin>[],
+  lockInfo: Map<string, NotoState<INotoLockInfo>>
+): NotoLockHoldings[] => {
+  const byLockId = new Map<string, NotoState<INotoLockedCoin>[]>();
+  for (const state of states) {
+    const lockId = state.data.lockId.toLowerCase();
+    byLockId.set(lockId, [...(byLockId.get(lockId) ?? []), state]);
+  }
+  return Array.from(byLockId, ([lockId, states]) => {
+    const info = lockInfo.get(lockId);
+    const delegate = info?.data.delegate;
+    return {
+      lockId,
+      ...holdings(states),
+      delegate: delegate && delegate !== ZERO_ADDRESS ? delegate : undefined,
+      info,
+    };
+  });
+};
+
 // Represents an in-flight Noto deployment
 export class NotoFuture extends TransactionFuture {
+  constructor(
+    paladin: PaladinClient,
+    id: string | Promise<string>,
+    private domain = "noto"
+  ) {
+    super(paladin, id);
+  }
+
   async waitForDeploy(waitMs?: number) {
     const receipt = await this.waitForReceipt(waitMs);
     return receipt?.contractAddress
-      ? new NotoInstance(this.paladin, receipt.contractAddress)
+      ? new NotoInstance(this.paladin, receipt.contractAddress, this.domain)
       : undefined;
   }
 }
@@ -196,19 +314,23 @@ export class NotoFactory {
             ...data.options,
           },
         },
-      })
+      }),
+      this.domain
     );
   }
 }
 
 export class NotoInstance {
+  private schemas?: Promise<Map<string, string>>;
+
   constructor(
     private paladin: PaladinClient,
-    public readonly address: string
+    public readonly address: string,
+    public readonly domain = "noto"
   ) {}
 
   using(paladin: PaladinClient) {
-    return new NotoInstance(paladin, this.address);
+    return new NotoInstance(paladin, this.address, this.domain);
   }
 
   mint(from: PaladinVerifier, data: NotoMintParams) {
@@ -216,6 +338,7 @@ export class NotoInstance {
       this.paladin,
       this.paladin.sendTransaction({
         type: TransactionType.PRIVATE,
+        domain: this.domain,
         abi: notoPrivateJSON.abi,
         function: "mint",
         to: this.address,
@@ -233,6 +356,7 @@ export class NotoInstance {
       this.paladin,
       this.paladin.sendTransaction({
         type: TransactionType.PRIVATE,
+        domain: this.domain,
         abi: notoPrivateJSON.abi,
         function: "transfer",
         to: this.address,
@@ -250,6 +374,7 @@ export class NotoInstance {
       this.paladin,
       this.paladin.sendTransaction({
         type: TransactionType.PRIVATE,
+        domain: this.domain,
         abi: notoPrivateJSON.abi,
         function: "transferFrom",
         to: this.address,
@@ -266,6 +391,7 @@ export class NotoInstance {
   prepareTransfer(from: PaladinVerifier, data: NotoTransferParams) {
     return this.paladin.prepareTransaction({
       type: TransactionType.PRIVATE,
+      domain: this.domain,
       abi: notoPrivateJSON.abi,
       function: "transfer",
       to: this.address,
@@ -282,6 +408,7 @@ export class NotoInstance {
       this.paladin,
       this.paladin.sendTransaction({
         type: TransactionType.PRIVATE,
+        domain: this.domain,
         abi: notoPrivateJSON.abi,
         function: "burn",
         to: this.address,
@@ -296,6 +423,7 @@ export class NotoInstance {
       this.paladin,
       this.paladin.sendTransaction({
         type: TransactionType.PRIVATE,
+        domain: this.domain,
         abi: notoPrivateJSON.abi,
         function: "burnFrom",
         to: this.address,
@@ -313,6 +441,7 @@ export class NotoInstance {
       this.paladin,
       this.paladin.sendTransaction({
         type: TransactionType.PRIVATE,
+        domain: this.domain,
         abi: notoPrivateJSON.abi,
         function: "lock",
         to: this.address,
@@ -327,6 +456,7 @@ export class NotoInstance {
       this.paladin,
       this.paladin.sendTransaction({
         type: TransactionType.PRIVATE,
+        domain: this.domain,
         abi: notoPrivateJSON.abi,
         function: "unlock",
         to: this.address,
@@ -362,6 +492,7 @@ export class NotoInstance {
       this.paladin,
       this.paladin.sendTransaction({
         type: TransactionType.PRIVATE,
+        domain: this.domain,
         abi: notoPrivateJSON.abi,
         function: "prepareUnlock",
         to: this.address,
@@ -383,6 +514,7 @@ export class NotoInstance {
       this.paladin,
       this.paladin.sendTransaction({
         type: TransactionType.PRIVATE,
+        domain: this.domain,
         abi: notoPrivateJSON.abi,
         function: "delegateLock",
         to: this.address,
@@ -392,6 +524,26 @@ export class NotoInstance {
     );
   }
 
+  // Unlock all of a lock's coins back to its owner, who must be the sender
+  cancelLock(from: PaladinVerifier, lockId: string, data = "0x") {
+    return new TransactionFuture(
+      this.paladin,
+      this.queryStates<INotoLockedCoin>("NotoLockedCoin", "available", {
+        lockId: lockId.toLowerCase(),
+      }).then((states) => {
+        if (states.length === 0) {
+          throw new Error(`Lock ${lockId} not found`);
+        }
+        return this.unlock(from, {
+          lockId,
+          from,
+          recipients: [{ to: from, amount: holdings(states).balance }],
+          data,
+        }).id;
+      })
+    );
+  }
+
   encodeUnlock(data: NotoUnlockPublicParams) {
     return new ethers.Interface(notoJSON.abi).encodeFunctionData("unlock", [
       data.txId,
@@ -409,7 +561,7 @@ export class NotoInstance {
   ): Promise<NotoBalanceOfResult> {
     return this.paladin.call({
       type: TransactionType.PRIVATE,
-      domain: "noto",
+      domain: this.domain,
       abi: notoPrivateJSON.abi,
       function: "balanceOf",
       to: this.address,
@@ -417,4 +569,310 @@ export class NotoInstance {
       data,
     });
   }
+
+  // Schema IDs by type name - these are registered once for the domain
+  private schemaIds() {
+    if (this.schemas === undefined) {
+      this.schemas = this.paladin.pstate
+        .listSchemas(this.domain)
+        .then(
+          (schemas) =>
+            new Map(
+              schemas.map((schema) => [
+                schema.signature.replace(/^type=/, "").split("(")[0],
+                schema.id,
+              ])
+            )
+        )
+        .catch((err) => {
+          this.schemas = undefined;
+          throw err;
+        });
+    }
+    return this.schemas;
+  }
+
+  private async schemaId(schemaName: string) {
+    const schema = (await this.schemaIds()).get(schemaName);
+    if (schema === undefined) {
+      throw new Error(
+        `Schema '${schemaName}' not found in domain '${this.domain}'`
+      );
+    }
+    return schema;
+  }
+
+  private async queryStates<T extends object>(
+    schemaName: string,
+    status: StateStatus,
+    labels: Record<string, string> = {}
+  ) {
+    const schema = await this.schemaId(schemaName);
+    const query = new QueryBuilder();
+    for (const [label, value] of Object.entries(labels)) {
+      query.eq(label, value);
+    }
+    const states: NotoState<T>[] = [];
+    for await (const state of this.paladin.pstate.iterateContractStates(
+      this.domain,
+      this.address,
+      schema,
+      query,
+      status
+    )) {
+      states.push(state as NotoState<T>);
+    }
+    return states;
+  }
+
+  // Owners are given as verifiers, or as addresses
+  private async ownerAddress(owner: PaladinVerifier | string) {
+    const verifier =
+      typeof owner === "string"
+        ? new PaladinVerifier(this.paladin, owner)
+        : owner;
+    return (
+      ethers.isAddress(verifier.lookup)
+        ? verifier.lookup
+        : await verifier.address()
+    ).toLowerCase();
+  }
+
+  // Lock info is re-issued each time a lock changes, and has no labels to
+  // filter on - so read it newest first, until the latest for each of the
+  // given locks has been found
+  private async lockInfo(lockIds: Set<string>) {
+    const latest = new Map<string, NotoState<INotoLockInfo>>();
+    if (lockIds.size === 0) {
+      return latest;
+    }
+    const states = this.paladin.pstate.iterateContractStates(
+      this.domain,
+      this.address,
+      await this.schemaId("NotoLockInfo"),
+      new QueryBuilder().sort("-.created"),
+      "confirmed"
+    );
+    for await (const state of states) {
+      const info = state as NotoState<INotoLockInfo>;
+      const lockId = info.data.lockId.toLowerCase();
+      if (lockIds.has(lockId) && !latest.has(lockId)) {
+        latest.set(lockId, info);
+        if (latest.size === lockIds.size) {
+          break;
+        }
+      }
+    }
+    return latest;
+  }
+
+  // Find the latest successful prepareUnlock submitted by this node for each
+  // of the given locks. The node cannot filter transactions on the function
+  // called, so this reads every transaction sent to the contract.
+  private async preparedUnlocks(lockIds: Set<string>) {
+    const prepared = new Map<string, NotoPreparedUnlock>();
+    if (lockIds.size === 0) {
+      return prepared;
+    }
+    const candidates: { id: string; lockId: string }[] = [];
+    const transactions = this.paladin.ptx.iterateTransactions(
+      new QueryBuilder()
+        .eq("domain", this.domain)
+        .eq("to", this.address.toLowerCase())
+        .sort("-created")
+    );
+    for await (const transaction of transactions) {
+      const lockId = (
+        transaction.data as { lockId?: string }
+      )?.lockId?.toLowerCase();
+      if (
+        lockId !== undefined &&
+        lockIds.has(lockId) &&
+        isPrepareUnlock(transaction)
+      ) {
+        candidates.push({ id: transaction.id, lockId });
+      }
+    }
+    if (candidates.length === 0) {
+      return prepared;
+    }
+
+    // Full receipts include the domain receipt, so one batch covers both
+    const receipts = await this.paladin.batch((b) =>
+      candidates.map(({ id }) => b.ptx.getTransactionReceiptFull(id))
+    );
+    const latest = new Map<string, ITransactionReceipt>();
+    candidates.forEach(({ lockId }, i) => {
+      if (receipts[i]?.success && !latest.has(lockId)) {
+        latest.set(lockId, receipts[i]!);
+      }
+    });
+    const chosen = Array.from(latest.entries());
+    const events = await this.paladin.batch((b) =>
+      chosen.map(([, receipt]) =>
+        receipt.transactionHash
+          ? b.bidx.decodeTransactionEvents(
+              receipt.transactionHash,
+              notoJSON.abi,
+              ""
+            )
+          : Promise.resolve([])
+      )
+    );
+    chosen.forEach(([lockId, receipt], i) => {
+      const domainReceipt = receipt.domainReceipt as
+        | INotoDomainReceipt
+        | undefined;
+      const event = events[i].find(
+        (e) =>
+          e.address.toLowerCase() === this.address.toLowerCase() &&
+          e.soliditySignature.startsWith("event NotoUnlockPrepared(")
+      );
+      prepared.set(lockId, {
+        transactionId: receipt.id,
+        unlockHash: event?.data.unlockHash,
+        unlockParams: domainReceipt?.lockInfo?.unlockParams,
+        unlockCall: domainReceipt?.lockInfo?.unlockCall,
+        outputs: domainReceipt?.states.preparedOutputs ?? [],
+        lockedOutputs: domainReceipt?.states.preparedLockedOutputs ?? [],
+      });
+    });
+    return prepared;
+  }
+
+  private async describeLocks(
+    states: NotoState<INotoLockedCoin>[],
+    options?: NotoLockOptions
+  ): Promise<NotoLock[]> {
+    const lockIds = new Set(
+      states.map((state) => state.data.lockId.toLowerCase())
+    );
+    const [lockInfo, prepared] = await Promise.all([
+      this.lockInfo(lockIds),
+      options?.preparedUnlocks
+        ? this.preparedUnlocks(lockIds)
+        : new Map<string, NotoPreparedUnlock>(),
+    ]);
+    return lockHoldings(states, lockInfo).map((lock) => ({
+      ...lock,
+      owner: lock.states[0].data.owner.toLowerCase(),
+      preparedUnlock: prepared.get(lock.lockId),
+    }));
+  }
+
+  // Locks with unspent coins, optionally filtered by owner or delegate
+  async queryLocks(filter: NotoLockFilter = {}, options?: NotoLockOptions) {
+    const labels: Record<string, string> = {};
+    if (filter.owner !== undefined) {
+      labels.owner = await this.ownerAddress(filter.owner);
+    }
+    const states = await this.queryStates<INotoLockedCoin>(
+      "NotoLockedCoin",
+      "available",
+      labels
+    );
+    const locks = await this.describeLocks(states, options);
+    const delegate = filter.delegate?.toLowerCase();
+    return delegate === undefined
+      ? locks
+      : locks.filter((lock) => lock.delegate?.toLowerCase() === delegate);
+  }
+
+  // A lock with unspent coins, or undefined if there is none
+  async getLock(
+    lockId: string,
+    options?: NotoLockOptions
+  ): Promise<NotoLock | undefined> {
+    const states = await this.queryStates<INotoLockedCoin>(
+      "NotoLockedCoin",
+      "available",
+      { lockId: lockId.toLowerCase() }
+    );
+    return (await this.describeLocks(states, options))[0];
+  }
+
+  // Break down the coins held by an owner (a verifier, or an address), by
+  // lock and by whether they have been confirmed
+  async portfolio(owner: PaladinVerifier | string): Promise<NotoPortfolio> {
+    const address = await this.ownerAddress(owner);
+    const [coins, pendingCoins, lockedCoins, pendingLockedCoins] =
+      await Promise.all([
+        this.queryStates<INotoCoin>("NotoCoin", "confirmed", {
+          owner: address,
+        }),
+        this.queryStates<INotoCoin>("NotoCoin", "unconfirmed", {
+          owner: address,
+        }),
+        this.queryStates<INotoLockedCoin>("NotoLockedCoin", "confirmed", {
+          owner: address,
+        }),
+        this.queryStates<INotoLockedCoin>("NotoLockedCoin", "unconfirmed", {
+          owner: address,
+        }),
+      ]);
+    const lockInfo = await this.lockInfo(
+      new Set(
+        [...lockedCoins, ...pendingLockedCoins].map((state) =>
+          state.data.lockId.toLowerCase()
+        )
+      )
+    );
+    const unlocked = holdings(coins);
+    const locked = lockHoldings(lockedCoins, lockInfo);
+    return {
+      owner: address,
+      totalBalance: locked
+        .reduce(
+          (total, lock) => total + BigInt(lock.balance),
+          BigInt(unlocked.balance)
+        )
+        .toString(),
+      unlocked,
+      locked,
+      pending: {
+        unlocked: holdings(pendingCoins),
+        locked: lockHoldings(pendingLockedCoins, lockInfo),
+      },
+    };
+  }
+
+  // Transfers, locks, mints and burns affecting an owner (a verifier, or an
+  // address), with running balances
+  async history(owner: PaladinVerifier | string) {
+    const [address, schemaIds] = await Promise.all([
+      this.ownerAddress(owner),
+      this.schemaIds(),
+    ]);
+    const schemaNames = new Map(
+      Array.from(schemaIds, ([name, id]) => [id, name])
+    );
+    return buildTokenHistory(
+      this.paladin,
+      {
+        domain: this.domain,
+        address: this.address,
+        schemas: ["NotoCoin", "NotoLockedCoin"]
+          .map((name) => schemaIds.get(name))
+          .filter((id): id is string => id !== undefined),
+        parseState: (state) => {
+          const data = state.data as Partial<INotoLockedCoin>;
+          switch (schemaNames.get(state.schema)) {
+            case "NotoCoin":
+            case "NotoLockedCoin":
+              return {
+                owner: data.owner!,
+                amount: BigInt(data.amount!),
+                locked: data.lockId !== undefined,
+                lockId: data.lockId,
+              };
+          }
+          return undefined;
+        },
+        transfers: (receipt) =>
+          (receipt.domainReceipt as INotoDomainReceipt | undefined)
+            ?.transfers ?? [],
+      },
+      address
+    );
+  }
 }
@@ -1,12 +1,20 @@
 import { ethers } from "ethers";
-import { TransactionType } from "../interfaces";
+import {
+  IPenteLog,
+  ITransaction,
+  ITransactionReceipt,
+  TransactionType,
+} from "../interfaces";
+import { CheckpointStore, MemoryCheckpointStore } from "../checkpoint";
 import {
   IPrivacyGroup,
   IPrivacyGroupEVMCall,
   IPrivacyGroupEVMTXInput,
   IPrivacyGroupResume,
 } from "../interfaces/privacygroups";
+import { ManagedListener } from "../listener";
 import PaladinClient from "../paladin";
+import { QueryBuilder } from "../query";
 import { TransactionFuture } from "../transaction";
 import { PaladinVerifier } from "../verifier";
 import * as penteJSON from "./abis/PentePrivacyGroup.json";
@@ -28,11 +36,11 @@ export interface PenteContractTransactionInput {
   };
 }
 
-export interface PenteDeploy {
+export interface PenteDeploy<ConstructorParams = any> {
   abi: ReadonlyArray<ethers.JsonFragment>;
   bytecode: string;
   from: string;
-  inputs?: any;
+  inputs?: ConstructorParams;
 }
 
 export interface PentePrivacyGroupParams {
@@ -45,8 +53,98 @@ export interface PentePrivacyGroupParams {
   additionalProperties?: {
     [x: string]: unknown;
   };
+  properties?: Record<string, string>;
+}
+
+export interface PenteForkContract<ConstructorParams = any>
+  extends PenteDeploy<ConstructorParams> {
+  // The contract's address in the group being forked
+  address: string;
+  // Copy state from the original contract to its re-deployment
+  migrate?: (
+    source: { group: PentePrivacyGroup; address: string },
+    target: { group: PentePrivacyGroup; address: string }
+  ) => Promise<void>;
+}
+
+export interface PenteForkParams {
+  name?: string;
+  // The member set of the new group
+  members: (string | PaladinVerifier)[];
+  // Contracts to re-deploy in the new group, in order
+  contracts?: PenteForkContract[];
+  properties?: Record<string, string>;
+  waitMs?: number;
+}
+
+export interface PenteFork {
+  group: PentePrivacyGroup;
+  // Maps the address of each listed contract to its re-deployment
+  contracts: Record<string, string>;
+}
+
+export interface PenteGroupMember {
+  lookup: string;
+  // Unset if the member's node could not resolve the identity
+  address?: string;
+}
+
+export interface PenteDeployedContract {
+  address: string;
+  transactionId: string;
+  from: string;
+  created: string;
+}
+
+export interface PentePrivacyGroupDescription {
+  id: string;
+  domain: string;
+  name: string;
+  address: string;
+  members: PenteGroupMember[];
+  endorsementType?: string;
+  evmVersion?: string;
+  externalCallsEnabled: boolean;
+  properties: Record<string, string>;
+  // The group this one was forked from, if any
+  forkedFrom?: string;
+  // Only deployments submitted by this node are known
+  contracts: PenteDeployedContract[];
+}
+
+export interface PenteReceiptListenerOptions {
+  // Receipt listener to create, or resume if it already exists
+  listenerName: string;
+  // Only deliver receipts after this sequence (by default, receipts written
+  // after the listener is created) - ignored when resuming a listener
+  fromSequence?: number;
+  // Where the checkpoint is recorded after each batch (by default in memory,
+  // so after a restart only the node's checkpoint for the listener applies)
+  store?: CheckpointStore;
+  // Delay before the batch is redelivered after the handler fails
+  retryDelay?: number;
+  // Called when the handler fails, before the batch is redelivered (by
+  // default, the error is logged)
+  onError?: (err: unknown) => void;
 }
 
+export interface PenteEventListenerOptions
+  extends Partial<PenteReceiptListenerOptions> {}
+
+export interface PenteReceiptSubscription {
+  readonly listenerName: string;
+  // The sequence of the last receipt in the stored checkpoint
+  readonly sequence?: number;
+  // Stop receiving receipts, optionally deleting the listener and its
+  // checkpoint (otherwise a new subscription with the same name resumes
+  // where this one stopped)
+  close(deleteListener?: boolean): Promise<void>;
+}
+
+// Lineage recorded in the properties of a forked group
+export const PENTE_FORKED_FROM = "forkedFrom";
+export const PENTE_FORKED_FROM_ADDRESS = "forkedFromAddress";
+
 export interface PenteApproveTransitionParams {
   txId: string;
   delegate: string;
@@ -54,6 +152,11 @@ export interface PenteApproveTransitionParams {
   signatures: string[];
 }
 
+// Contracts are deployed in a group through its private "deploy" function,
+// which the node records by signature
+const isDeploy = (transaction: ITransaction) =>
+  transaction.function?.split("(")[0] === "deploy";
+
 // Represents an in-flight Pente privacy group deployment
 export class PentePrivacyGroupFuture {
   public tx: Promise<TransactionFuture | undefined>;
@@ -98,6 +201,7 @@ export class PenteFactory {
         domain: this.domain,
         name: input.name,
         members: input.members.map((m) => m.toString()),
+        properties: input.properties,
         configuration: {
           evmVersion: input.evmVersion,
           endorsementType: input.endorsementType,
@@ -146,7 +250,10 @@ export class PentePrivacyGroup {
     return new PentePrivacyGroup(paladin, this.group);
   }
 
-  deploy(params: PenteDeploy, txOptions?: Partial<IPrivacyGroupEVMTXInput>) {
+  deploy<ConstructorParams = any>(
+    params: PenteDeploy<ConstructorParams>,
+    txOptions?: Partial<IPrivacyGroupEVMTXInput>
+  ) {
     // Find the constructor in the ABI
     const constructor: ethers.JsonFragment = params.abi.find(
       (entry) => entry.type === "constructor"
@@ -203,6 +310,205 @@ export class PentePrivacyGroup {
     });
   }
 
+  // Summarize the group's configuration, members and contracts
+  async describe(): Promise<PentePrivacyGroupDescription> {
+    const [members, contracts] = await Promise.all([
+      Promise.all(
+        this.members.map(async (lookup) => ({
+          lookup,
+          address: await new PaladinVerifier(this.paladin, lookup)
+            .address()
+            .catch(() => undefined),
+        }))
+      ),
+      this.deployedContracts(),
+    ]);
+    const { configuration, properties } = this.group;
+    return {
+      id: this.group.id,
+      domain: this.group.domain,
+      name: this.group.name,
+      address: this.address,
+      members,
+      endorsementType: configuration.endorsementType,
+      evmVersion: configuration.evmVersion,
+      externalCallsEnabled: configuration.externalCallsEnabled === "true",
+      properties,
+      forkedFrom: properties[PENTE_FORKED_FROM],
+      contracts,
+    };
+  }
+
+  // Contracts deployed in the group by transactions from this node
+  async deployedContracts() {
+    const deploys: ITransaction[] = [];
+    const transactions = this.paladin.ptx.iterateTransactions(
+      new QueryBuilder()
+        .eq("domain", this.group.domain)
+        .eq("to", this.address.toLowerCase())
+        .sort("created")
+    );
+    for await (const transaction of transactions) {
+      if (isDeploy(transaction)) {
+        deploys.push(transaction);
+      }
+    }
+    if (deploys.length === 0) {
+      return [];
+    }
+
+    const receipts = await this.paladin.batch((b) =>
+      deploys.map((transaction) =>
+        b.ptx.getTransactionReceiptFull(transaction.id)
+      )
+    );
+    const contracts: PenteDeployedContract[] = [];
+    deploys.forEach((transaction, i) => {
+      const receipt = receipts[i];
+      const domainReceipt = receipt?.domainReceipt;
+      if (
+        receipt?.success &&
+        domainReceipt !== undefined &&
+        "receipt" in domainReceipt &&
+        domainReceipt.receipt.contractAddress
+      ) {
+        contracts.push({
+          address: domainReceipt.receipt.contractAddress,
+          transactionId: transaction.id,
+          from: transaction.from,
+          created: transaction.created,
+        });
+      }
+    });
+    return contracts;
+  }
+
+  /**
+   * Create a new group with the same configuration and a different member
+   * set, then re-deploy the listed contracts into it. Pente groups cannot
+   * change their members, so this is how membership evolves.
+   *
+   * Each contract is deployed with its constructor inputs, and then its
+   * migrate() callback (if any) copies over its state.
+   */
+  async fork(params: PenteForkParams): Promise<PenteFork> {
+    const { configuration } = this.group;
+    const group = await new PenteFactory(this.paladin, this.group.domain)
+      .newPrivacyGroup({
+        name: params.name ?? this.group.name,
+        members: params.members,
+        evmVersion: configuration.evmVersion,
+        endorsementType: configuration.endorsementType,
+        externalCallsEnabled:
+          configuration.externalCallsEnabled !== undefined
+            ? configuration.externalCallsEnabled === "true"
+            : undefined,
+        properties: {
+          ...params.properties,
+          [PENTE_FORKED_FROM]: this.group.id,
+          [PENTE_FORKED_FROM_ADDRESS]: this.address,
+        },
+      })
+      .waitForDeploy(params.waitMs);
+    if (group === undefined) {
+      throw new Error(
+        `Failed to deploy fork of privacy group ${this.group.id}`
+      );
+    }
+
+    const contracts: Record<string, string> = {};
+    for (const contract of params.contracts ?? []) {
+      const future = group.deploy(contract);
+      const address = await future.waitForDeploy(params.waitMs);
+      if (address === undefined) {
+        throw new Error(
+          `Failed to re-deploy contract ${contract.address} in privacy group ${
+            group.group.id
+          }. Check transaction ${await future.id}`
+        );
+      }
+      await contract.migrate?.(
+        { group: this, address: contract.address },
+        { group, address }
+      );
+      contracts[contract.address] = address;
+    }
+    return { group, contracts };
+  }
+
+  /**
+   * Receive the successful transactions in this group, with their domain
+   * receipts, through a receipt listener on the node.
+   *
+   * This runs a ManagedListener, so the checkpoint is recorded in the store
+   * after each batch, and a subscription using the same listener name later
+   * resumes from there. If the handler throws, the batch is redelivered after
+   * the retry delay, but receipts that were already processed are skipped.
+   */
+  async onReceipt(
+    handler: (receipt: ITransactionReceipt) => void | Promise<void>,
+    options: PenteReceiptListenerOptions
+  ): Promise<PenteReceiptSubscription> {
+    const { listenerName } = options;
+    const paladin = this.paladin;
+    const domain = this.group.domain;
+    const address = this.address.toLowerCase();
+    // The last receipt passed to the handler, including those in a batch
+    // that failed part way through
+    let processed: number | undefined;
+    const listener = new ManagedListener(
+      paladin,
+      {
+        type: "receipts",
+        listener: {
+          name: listenerName,
+          filters: {
+            type: TransactionType.PRIVATE,
+            domain,
+            sequenceAbove: options.fromSequence,
+          },
+          options: {
+            domainReceipts: true,
+            incompleteStateReceiptBehavior: "block_contract",
+          },
+        },
+        store: options.store ?? new MemoryCheckpointStore(),
+        retryDelay: options.retryDelay,
+        onError: options.onError,
+      },
+      async (receipts) => {
+        for (const receipt of receipts) {
+          if (processed !== undefined && receipt.sequence <= processed) {
+            continue; // redelivered
+          }
+          if (receipt.success && receipt.source?.toLowerCase() === address) {
+            await handler(
+              receipt.domainReceipt !== undefined
+                ? receipt
+                : {
+                    ...receipt,
+                    domainReceipt: await paladin.ptx.getDomainReceipt(
+                      domain,
+                      receipt.id
+                    ),
+                  }
+            );
+          }
+          processed = receipt.sequence;
+        }
+      }
+    );
+    await listener.start();
+
+    return {
+      listenerName,
+      get sequence() {
+        return listener.checkpoint?.sequence;
+      },
+      close: (deleteListener = false) => listener.stop(deleteListener),
+    };
+  }
+
   approveTransition(
     from: PaladinVerifier,
     data: PenteApproveTransitionParams
@@ -232,6 +538,45 @@ export class PentePrivateDeployFuture extends TransactionFuture {
   }
 }
 
+export interface PenteDecodedEvent {
+  name: string;
+  signature: string;
+  address: string;
+  data: any;
+}
+
+// Convert values decoded by ethers to the JSON format returned by Paladin
+// (decimal strings for integers, lowercase addresses, named struct fields)
+const toPaladinValue = (param: ethers.ParamType, value: any): any => {
+  if (value instanceof ethers.Indexed) {
+    return value.hash; // dynamic types are only available as a hash when indexed
+  }
+  if (param.isTuple()) {
+    return toPaladinValues(param.components, value);
+  }
+  if (param.isArray()) {
+    return Array.from(value, (v) => toPaladinValue(param.arrayChildren, v));
+  }
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (param.baseType === "address") {
+    return value.toLowerCase();
+  }
+  return value;
+};
+
+const toPaladinValues = (
+  params: ReadonlyArray<ethers.ParamType>,
+  values: ethers.Result
+) =>
+  Object.fromEntries(
+    params.map((param, i) => [
+      param.name || `${i}`,
+      toPaladinValue(param, values[i]),
+    ])
+  );
+
 export abstract class PentePrivateContract<ConstructorParams> {
   constructor(
     protected evm: PentePrivacyGroup,
@@ -284,4 +629,64 @@ export abstract class PentePrivateContract<ConstructorParams> {
       txOptions
     );
   }
+
+  /**
+   * Handle each event of the given name emitted by this contract, as the
+   * transactions that emit them are confirmed. By default the receipt
+   * listener is named after the contract and event, so restarting resumes
+   * from the last event processed.
+   */
+  on(
+    eventName: string,
+    handler: (
+      event: PenteDecodedEvent,
+      receipt: ITransactionReceipt
+    ) => void | Promise<void>,
+    options?: PenteEventListenerOptions
+  ) {
+    return this.evm.onReceipt(
+      async (receipt) => {
+        for (const event of this.decodeEvents(receipt, eventName)) {
+          await handler(event, receipt);
+        }
+      },
+      {
+        ...options,
+        listenerName:
+          options?.listenerName ??
+          `pente-events-${this.address.toLowerCase()}-${eventName}`,
+      }
+    );
+  }
+
+  // Decode the events emitted by this contract in a Pente transaction
+  // (requires the full receipt, which includes the private EVM logs)
+  decodeEvents(receipt: ITransactionReceipt | undefined, eventName?: string) {
+    const domainReceipt = receipt?.domainReceipt;
+    const logs: IPenteLog[] =
+      domainReceipt !== undefined && "receipt" in domainReceipt
+        ? domainReceipt.receipt.logs ?? []
+        : [];
+    const iface = new ethers.Interface(this.abi);
+    const events: PenteDecodedEvent[] = [];
+    for (const log of logs) {
+      if (log.address.toLowerCase() !== this.address.toLowerCase()) {
+        continue;
+      }
+      const parsed = iface.parseLog(log);
+      if (
+        parsed === null ||
+        (eventName !== undefined && parsed.name !== eventName)
+      ) {
+        continue;
+      }
+      events.push({
+        name: parsed.name,
+        signature: parsed.signature,
+        address: log.address,
+        data: toPaladinValues(parsed.fragment.inputs, parsed.args),
+      });
+    }
+    return events;
+  }
 }
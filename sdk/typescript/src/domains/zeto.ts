@@ -1,7 +1,15 @@
-import { TransactionType } from "../interfaces";
+import {
+  IQuery,
+  IState,
+  ITransactionReceipt,
+  TransactionType,
+} from "../interfaces";
+import { paginate } from "../pagination";
 import PaladinClient from "../paladin";
+import { QueryBuilder } from "../query";
 import { TransactionFuture } from "../transaction";
 import { PaladinVerifier } from "../verifier";
+import { buildTokenHistory } from "./history";
 import * as zetoPrivateJSON from "./abis/IZetoFungible.json";
 import * as zetoPublicJSON from "./abis/Zeto_Anon.json";
 
@@ -75,12 +83,65 @@ export interface ZetoBalanceOfResult {
   overflow: boolean;
 }
 
+export interface ZetoCoin {
+  salt: string;
+  owner: string;
+  amount: string;
+  locked: boolean;
+}
+
+export interface ZetoCoinState extends IState {
+  data: ZetoCoin;
+}
+
+export interface ZetoCoinSelectionOptions {
+  // Number of inputs supported by the token's circuits (10 for the batch circuits)
+  maxInputs?: number;
+  // Set for tokens using nullifiers, such as Zeto_AnonNullifier
+  useNullifiers?: boolean;
+}
+
+export interface ZetoTransferPreview {
+  amount: string;
+  // The states the node would consume, in the order it selects them
+  inputs: ZetoCoinState[];
+  inputTotal: string;
+  change: string;
+  spendable: boolean;
+  reason?: "insufficient-funds" | "max-inputs";
+}
+
+export interface ZetoConsolidateProgress {
+  round: number;
+  inputs: ZetoCoinState[];
+  amount: string;
+  receipt: ITransactionReceipt;
+}
+
+export interface ZetoConsolidateOptions extends ZetoCoinSelectionOptions {
+  // Stop as soon as this amount can be transferred in a single transaction,
+  // rather than merging every coin into one
+  amount?: string | number;
+  waitMs?: number;
+  onProgress?: (progress: ZetoConsolidateProgress) => void;
+}
+
+const DEFAULT_MAX_INPUTS = 10;
+
 // Represents an in-flight Zeto deployment
 export class ZetoFuture extends TransactionFuture {
+  constructor(
+    paladin: PaladinClient,
+    id: string | Promise<string>,
+    private domain = "zeto"
+  ) {
+    super(paladin, id);
+  }
+
   async waitForDeploy(waitMs?: number) {
     const receipt = await this.waitForReceipt(waitMs);
     return receipt?.contractAddress
-      ? new ZetoInstance(this.paladin, receipt.contractAddress)
+      ? new ZetoInstance(this.paladin, receipt.contractAddress, this.domain)
       : undefined;
   }
 }
@@ -102,21 +163,24 @@ export class ZetoFactory {
         function: "",
         from: from.lookup,
         data,
-      })
+      }),
+      this.domain
     );
   }
 }
 
 export class ZetoInstance {
   private erc20?: string;
+  private coinSchema?: Promise<string>;
 
   constructor(
     private paladin: PaladinClient,
-    public readonly address: string
+    public readonly address: string,
+    public readonly domain = "zeto"
   ) {}
 
   using(paladin: PaladinClient) {
-    const zeto = new ZetoInstance(paladin, this.address);
+    const zeto = new ZetoInstance(paladin, this.address, this.domain);
     zeto.erc20 = this.erc20;
     return zeto;
   }
@@ -129,6 +193,7 @@ export class ZetoInstance {
       this.paladin,
       this.paladin.sendTransaction({
         type: TransactionType.PRIVATE,
+        domain: this.domain,
         abi: zetoAbi,
         function: "mint",
         to: this.address,
@@ -143,6 +208,7 @@ export class ZetoInstance {
       this.paladin,
       this.paladin.sendTransaction({
         type: TransactionType.PRIVATE,
+        domain: this.domain,
         abi: zetoAbi,
         function: "transfer",
         to: this.address,
@@ -159,6 +225,7 @@ export class ZetoInstance {
       this.paladin,
       this.paladin.sendTransaction({
         type: TransactionType.PRIVATE,
+        domain: this.domain,
         abi: zetoAbi,
         function: "transferLocked",
         to: this.address,
@@ -177,6 +244,7 @@ export class ZetoInstance {
       this.paladin,
       this.paladin.prepareTransaction({
         type: TransactionType.PRIVATE,
+        domain: this.domain,
         abi: zetoAbi,
         function: "transferLocked",
         to: this.address,
@@ -195,6 +263,7 @@ export class ZetoInstance {
       this.paladin,
       this.paladin.sendTransaction({
         type: TransactionType.PRIVATE,
+        domain: this.domain,
         abi: zetoAbi,
         function: "lock",
         to: this.address,
@@ -242,6 +311,7 @@ export class ZetoInstance {
       this.paladin,
       this.paladin.sendTransaction({
         type: TransactionType.PRIVATE,
+        domain: this.domain,
         abi: zetoAbi,
         function: "deposit",
         to: this.address,
@@ -256,6 +326,7 @@ export class ZetoInstance {
       this.paladin,
       this.paladin.sendTransaction({
         type: TransactionType.PRIVATE,
+        domain: this.domain,
         abi: zetoAbi,
         function: "withdraw",
         to: this.address,
@@ -271,7 +342,7 @@ export class ZetoInstance {
   ): Promise<ZetoBalanceOfResult> {
     return await this.paladin.call({
       type: TransactionType.PRIVATE,
-      domain: "zeto",
+      domain: this.domain,
       abi: zetoPrivateJSON.abi,
       function: "balanceOf",
       to: this.address,
@@ -279,4 +350,185 @@ export class ZetoInstance {
       data,
     });
   }
+
+  private coinSchemaId() {
+    if (this.coinSchema === undefined) {
+      this.coinSchema = this.paladin.pstate
+        .listSchemas(this.domain)
+        .then((schemas) => {
+          const schema = schemas.find((s) =>
+            s.signature.startsWith("type=ZetoCoin(")
+          );
+          if (schema === undefined) {
+            throw new Error(
+              `Schema 'ZetoCoin' not found in domain '${this.domain}'`
+            );
+          }
+          return schema.id;
+        })
+        .catch((err) => {
+          this.coinSchema = undefined;
+          throw err;
+        });
+    }
+    return this.coinSchema;
+  }
+
+  private ownerKey(owner: PaladinVerifier) {
+    return this.paladin.ptx.resolveVerifier(
+      owner.lookup,
+      algorithmZetoSnarkBJJ(this.domain),
+      IDEN3_PUBKEY_BABYJUBJUB_COMPRESSED_0X
+    );
+  }
+
+  // Unlocked coins owned by the verifier, oldest first - the order in which
+  // the node selects inputs for a transfer
+  async *coins(owner: PaladinVerifier, options?: ZetoCoinSelectionOptions) {
+    const [schema, ownerKey] = await Promise.all([
+      this.coinSchemaId(),
+      this.ownerKey(owner),
+    ]);
+    const query = new QueryBuilder()
+      .eq("owner", ownerKey)
+      .eq("locked", false)
+      .sort(".created", ".id");
+    const queryFn = (q: IQuery) =>
+      options?.useNullifiers
+        ? this.paladin.pstate.queryContractNullifiers(
+            this.domain,
+            this.address,
+            schema,
+            q,
+            "available"
+          )
+        : this.paladin.pstate.queryContractStates(
+            this.domain,
+            this.address,
+            schema,
+            q,
+            "available"
+          );
+    for await (const state of paginate(queryFn, query)) {
+      yield state as ZetoCoinState;
+    }
+  }
+
+  // Report the inputs the node would select for a transfer, without sending it
+  async previewTransfer(
+    from: PaladinVerifier,
+    data: ZetoTransferParams,
+    options?: ZetoCoinSelectionOptions
+  ): Promise<ZetoTransferPreview> {
+    const maxInputs = options?.maxInputs ?? DEFAULT_MAX_INPUTS;
+    const amount = data.transfers.reduce(
+      (total, t) => total + BigInt(t.amount),
+      0n
+    );
+    const inputs: ZetoCoinState[] = [];
+    let inputTotal = 0n;
+    let reason: ZetoTransferPreview["reason"] = "insufficient-funds";
+    for await (const coin of this.coins(from, options)) {
+      if (inputs.length >= maxInputs) {
+        reason = "max-inputs";
+        break;
+      }
+      inputs.push(coin);
+      inputTotal += BigInt(coin.data.amount);
+      if (inputTotal >= amount) {
+        reason = undefined;
+        break;
+      }
+    }
+    return {
+      amount: amount.toString(),
+      inputs,
+      inputTotal: inputTotal.toString(),
+      change: (reason === undefined ? inputTotal - amount : 0n).toString(),
+      spendable: reason === undefined,
+      reason,
+    };
+  }
+
+  // Merge small coins by transferring them back to their owner, the oldest
+  // maxInputs coins at a time, until only one remains (or until the given
+  // amount is spendable in one transfer). Each round is confirmed before the
+  // next, as the node only selects confirmed coins.
+  async consolidate(owner: PaladinVerifier, options?: ZetoConsolidateOptions) {
+    const maxInputs = options?.maxInputs ?? DEFAULT_MAX_INPUTS;
+    if (maxInputs < 2) {
+      throw new Error("Consolidation requires maxInputs of at least 2");
+    }
+    const receipts: ITransactionReceipt[] = [];
+    for (let round = 1; ; round++) {
+      if (options?.amount !== undefined) {
+        const preview = await this.previewTransfer(
+          owner,
+          { transfers: [{ to: owner, amount: options.amount, data: "0x" }] },
+          options
+        );
+        if (preview.spendable || preview.reason === "insufficient-funds") {
+          return receipts;
+        }
+      }
+      const inputs: ZetoCoinState[] = [];
+      for await (const coin of this.coins(owner, options)) {
+        inputs.push(coin);
+        if (inputs.length >= maxInputs) {
+          break;
+        }
+      }
+      if (inputs.length < 2) {
+        return receipts;
+      }
+      // The exact total of the oldest coins selects precisely those coins,
+      // and produces a single output with no change
+      const amount = inputs
+        .reduce((total, coin) => total + BigInt(coin.data.amount), 0n)
+        .toString();
+      const receipt = await this.transfer(owner, {
+        transfers: [{ to: owner, amount, data: "0x" }],
+      }).waitForReceipt(options?.waitMs);
+      if (receipt === undefined) {
+        throw new Error(`Consolidation round ${round} was not confirmed`);
+      }
+      if (!receipt.success) {
+        throw new Error(
+          `Consolidation round ${round} failed: ${receipt.failureMessage}`
+        );
+      }
+      receipts.push(receipt);
+      options?.onProgress?.({ round, inputs, amount, receipt });
+    }
+  }
+
+  // Transfers, locks, mints and burns affecting an owner, with running
+  // balances (Zeto does not build domain receipts, so the counterparties on
+  // incoming transfers are not known)
+  async history(owner: PaladinVerifier) {
+    const [schema, ownerKey] = await Promise.all([
+      this.coinSchemaId(),
+      this.ownerKey(owner),
+    ]);
+    return buildTokenHistory(
+      this.paladin,
+      {
+        domain: this.domain,
+        address: this.address,
+        schemas: [schema],
+        parseState: (state) => {
+          if (state.schema !== schema) {
+            return undefined;
+          }
+          const coin = state.data as ZetoCoin;
+          return {
+            owner: coin.owner,
+            amount: BigInt(coin.amount),
+            locked: coin.locked,
+          };
+        },
+      },
+      ownerKey
+    );
+  }
 }
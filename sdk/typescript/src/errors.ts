@@ -0,0 +1,165 @@
+import { AxiosError } from "axios";
+import { IABIDecodedData, JsonRpcError } from "./interfaces";
+
+// Paladin error messages are prefixed with a message key such as "PD012244: "
+const MESSAGE_KEY_REGEX = /^(PD\d{6}):/;
+const REVERT_DATA_REGEX = /0x[0-9a-fA-F]{8,}/;
+
+const NOT_FOUND_KEYS = new Set([
+  "PD010106", // schema not found
+  "PD010112", // state not found
+  "PD010513", // key identifier not found
+  "PD011600", // domain not found
+  "PD011609", // smart contract not indexed
+  "PD011911", // public transaction not found
+  "PD011924", // transaction not found
+  "PD012001", // transport not found
+  "PD012101", // registry not found
+  "PD012238", // receipt listener not loaded
+  "PD012244", // transaction not found
+  "PD012248", // blockchain event listener not loaded
+  "PD012502", // privacy group not found
+  "PD012508", // message listener not loaded
+  "PD012513", // message not found
+]);
+
+const REVERT_KEYS = new Set([
+  "PD011309", // transaction reverted (block indexer)
+  "PD011513", // eth_call reverted
+  "PD011617", // endorsement reverted
+  "PD011814", // domain reverted on assemble
+  "PD012216", // transaction reverted with decoded data
+]);
+
+const TIMEOUT_CODES = new Set(["ECONNABORTED", "ETIMEDOUT"]);
+
+export interface PaladinRpcErrorOptions {
+  method: string;
+  requestId?: string | number;
+  code?: number;
+  messageKey?: string;
+  httpStatus?: number;
+  data?: any;
+  cause?: unknown;
+}
+
+// Base class for all errors raised by a JSON-RPC call to a Paladin node
+export class PaladinRpcError extends Error {
+  public readonly method: string;
+  public readonly requestId?: string | number;
+  public readonly code?: number;
+  public readonly messageKey?: string;
+  public readonly httpStatus?: number;
+  public readonly data?: any;
+  public readonly cause?: unknown;
+
+  constructor(message: string, options: PaladinRpcErrorOptions) {
+    super(message);
+    this.name = new.target.name;
+    this.method = options.method;
+    this.requestId = options.requestId;
+    this.code = options.code;
+    this.messageKey = options.messageKey ?? parseMessageKey(message);
+    this.httpStatus = options.httpStatus;
+    this.data = options.data;
+    this.cause = options.cause;
+  }
+}
+
+// The requested entity does not exist on the node
+export class PaladinNotFoundError extends PaladinRpcError {}
+
+// The transaction or call reverted on-chain or during assembly/endorsement
+export class PaladinRevertError extends PaladinRpcError {
+  public readonly revertData?: string;
+  public decoded?: IABIDecodedData;
+
+  constructor(message: string, options: PaladinRpcErrorOptions) {
+    super(message, options);
+    this.revertData = message.match(REVERT_DATA_REGEX)?.[0];
+  }
+}
+
+// The node could not be reached, or replied with something other than JSON-RPC
+export class PaladinTransportError extends PaladinRpcError {}
+
+// The request did not complete within the configured timeout
+export class PaladinTimeoutError extends PaladinTransportError {}
+
+// The request was not sent, as the circuit breaker has detected the node is down
+export class PaladinCircuitOpenError extends PaladinTransportError {}
+
+export function parseMessageKey(message: string) {
+  return message.match(MESSAGE_KEY_REGEX)?.[1];
+}
+
+// Classify a JSON-RPC error object returned by the node
+export function newPaladinRpcError(
+  err: JsonRpcError,
+  options: PaladinRpcErrorOptions
+) {
+  const message = err.message ?? `${err}`;
+  const messageKey = parseMessageKey(message);
+  const opts = {
+    ...options,
+    code: err.code,
+    data: err.data,
+    messageKey,
+  };
+  if (messageKey !== undefined && REVERT_KEYS.has(messageKey)) {
+    return new PaladinRevertError(message, opts);
+  }
+  if (
+    (messageKey !== undefined && NOT_FOUND_KEYS.has(messageKey)) ||
+    options.httpStatus === 404
+  ) {
+    return new PaladinNotFoundError(message, opts);
+  }
+  return new PaladinRpcError(message, opts);
+}
+
+// Convert any failure from the HTTP layer into the PaladinRpcError hierarchy
+export function toPaladinRpcError(
+  err: unknown,
+  method: string,
+  requestId?: string | number
+): PaladinRpcError {
+  if (err instanceof PaladinRpcError) {
+    return err;
+  }
+  if (err instanceof AxiosError) {
+    const options = {
+      method,
+      requestId,
+      httpStatus: err.response?.status,
+      cause: err,
+    };
+    const rpcError = err.response?.data?.error;
+    if (rpcError !== undefined) {
+      return newPaladinRpcError(
+        typeof rpcError === "string" ? { message: rpcError } : rpcError,
+        options
+      );
+    }
+    if (err.code !== undefined && TIMEOUT_CODES.has(err.code)) {
+      return new PaladinTimeoutError(
+        `JSON-RPC request ${method} timed out: ${err.message}`,
+        options
+      );
+    }
+    if (err.response?.status === 404) {
+      return new PaladinNotFoundError(
+        `JSON-RPC request ${method} returned 404`,
+        options
+      );
+    }
+    const status = err.response
+      ? ` [${err.response.status} ${err.response.statusText}]`
+      : "";
+    return new PaladinTransportError(
+      `JSON-RPC request ${method} failed${status}: ${err.message}`,
+      options
+    );
+  }
+  return new PaladinRpcError(`${err}`, { method, requestId, cause: err });
+}
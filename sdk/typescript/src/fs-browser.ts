@@ -0,0 +1,9 @@
+// Substituted for fs-node via the "browser" field in package.json
+
+export async function readTextFile(path: string): Promise<string | undefined> {
+  throw new Error("File checkpoints are not available in browsers");
+}
+
+export async function writeTextFile(path: string, text: string) {
+  throw new Error("File checkpoints are not available in browsers");
+}
@@ -0,0 +1,22 @@
+import { promises as fs } from "fs";
+
+// Minimal file access for FileCheckpointStore, which is only available in
+// Node.js
+
+export async function readTextFile(path: string) {
+  try {
+    return await fs.readFile(path, "utf8");
+  } catch (err: any) {
+    if (err.code === "ENOENT") {
+      return undefined;
+    }
+    throw err;
+  }
+}
+
+// Writes to a temporary file first, so a crash never leaves a partial file
+export async function writeTextFile(path: string, text: string) {
+  const tmp = `${path}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, text, "utf8");
+  await fs.rename(tmp, path);
+}
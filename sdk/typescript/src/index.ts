@@ -1,10 +1,22 @@
 import PaladinClient from "./paladin";
 export default PaladinClient;
 
+export * from "./blockchainevents";
+export * from "./checkpoint";
+export * from "./contract";
+export * from "./errors";
 export * from "./interfaces/index";
+export * from "./listener";
+export * from "./pagination";
+export * from "./pool";
+export * from "./prepared";
+export * from "./query";
+export * from "./retry";
 export * from "./utils";
 export * from "./verifier";
 export * from "./websocket";
+export * from "./domains/domain";
+export * from "./domains/history";
 export * from "./domains/noto";
 export * from "./domains/pente";
 export * from "./domains/zeto";
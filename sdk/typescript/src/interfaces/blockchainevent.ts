@@ -2,6 +2,9 @@ import { ethers } from "ethers";
 
 export interface IBlockchainEventListener {
   name: string;
+  // Set by the node
+  created?: string;
+  started?: boolean;
   sources: IBlockchainEventListenerSource[];
   options?: IBlockchainEventListenerOptions;
 }
@@ -12,6 +15,13 @@ export interface IBlockchainEventListenerOptions {
   fromBlock?: string;
 }
 
+export interface IBlockchainEventListenerStatus {
+  catchup: boolean;
+  checkpoint: {
+    blockNumber: number;
+  };
+}
+
 export interface IBlockchainEventListenerSource {
   abi: ethers.JsonFragment[];
   address?: string;
@@ -24,6 +24,12 @@ export interface IEthAddress {
 }
 
 export interface IKeyQueryEntry {
+  isKey: boolean;
+  hasChildren: boolean;
+  parent: string;
+  path: string;
+  name: string;
+  index: number;
   identifier: string;
   keyHandle: string;
   wallet: string;
@@ -1,17 +1,84 @@
-import { AxiosError, AxiosRequestConfig } from "axios";
+import { AxiosRequestConfig } from "axios";
+import { PaladinRpcError } from "../errors";
 import { Logger } from "./logger";
+import { PaladinWebSocketConfig } from "./websocket";
 
 export interface PaladinConfig {
   url: string;
   requestConfig?: AxiosRequestConfig;
   logger?: Logger;
   onError?: PaladinErrorHandler;
+  // When set, receipts are awaited over a websocket rather than by polling
+  // (call close() when done, to delete the receipt listener this creates)
+  websocket?: PaladinWebSocketConfig;
+  retry?: PaladinRetryConfig;
+  circuitBreaker?: PaladinCircuitBreakerConfig;
+  middleware?: PaladinMiddleware[];
+}
+
+export interface JsonRpcCallContext {
+  jsonrpc: string;
+  id: number;
+  method: string;
+  params: any[];
+  // Extra HTTP headers for this call (not applied to batched or websocket calls)
+  headers: Record<string, string>;
+  transport: "http" | "websocket";
+  startTime: number;
+}
+
+// Middleware may modify the context before calling next(), inspect or replace
+// the result/error afterwards, or return without calling next() at all
+export interface PaladinMiddleware {
+  (ctx: JsonRpcCallContext, next: () => Promise<any>): Promise<any>;
+}
+
+export interface PaladinClientPoolConfig
+  extends Omit<PaladinConfig, "url" | "websocket"> {
+  urls: string[];
+  // Node name every endpoint must report (defaults to the first one seen)
+  nodeName?: string;
+  // Interval between transport_nodeName health checks (-1 to disable)
+  healthCheckInterval?: number;
+}
+
+export interface PaladinPoolEndpoint {
+  url: string;
+  healthy: boolean;
+  nodeName?: string;
+  lastError?: string;
+}
+
+// "keyed" methods are only retried when the request carries an idempotencyKey
+export type MethodIdempotency = "idempotent" | "keyed" | "unsafe";
+
+export interface PaladinRetryConfig {
+  maxAttempts?: number; // including the first attempt (default 3)
+  initialDelayMs?: number; // default 100
+  maxDelayMs?: number; // default 10000
+  factor?: number; // default 2
+  jitter?: boolean; // default true
+  retryableStatuses?: number[]; // default 429, 502, 503, 504
+  retryable?: (err: PaladinRpcError) => boolean;
+  idempotency?: Record<string, MethodIdempotency>;
+}
+
+export interface PaladinCircuitBreakerConfig {
+  failureThreshold?: number; // consecutive transport failures (default 5)
+  resetTimeoutMs?: number; // default 30000
 }
 
 export interface PaladinErrorHandler {
-  (method: string, err: AxiosError): void | Promise<void>;
+  (method: string, err: PaladinRpcError): void | Promise<void>;
+}
+
+export interface JsonRpcError {
+  code?: number;
+  message: string;
+  data?: any;
 }
 
 export interface JsonRpcResult<T> {
   result: T;
+  error?: JsonRpcError;
 }
@@ -28,7 +28,7 @@ export interface IQueryStatements {
   gte?: IQueryOpSingleVal[];
   in?: IQueryOpMultiVal[];
   nin?: IQueryOpMultiVal[];
-  null?: IQueryOp;
+  null?: IQueryOp[];
 }
 
 export interface IQuery extends IQueryStatements {
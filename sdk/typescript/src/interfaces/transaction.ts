@@ -54,6 +54,7 @@ export interface IPreparedTransaction {
 }
 
 export interface ITransactionInput extends ITransactionBase {
+  idempotencyKey?: string;
   abiReference?: string;
   abi?: ethers.InterfaceAbi;
   bytecode?: string;
@@ -134,6 +135,13 @@ export interface INotoLockedCoin {
   amount: string;
 }
 
+export interface INotoLockInfo {
+  salt: string;
+  lockId: string;
+  owner: string;
+  delegate: string;
+}
+
 export interface ITransactionStates {
   none?: boolean;
   spent?: IStateBase[];
@@ -167,6 +175,9 @@ export interface IStoredABI {
 
 export interface ITransactionReceiptListener {
   name: string;
+  // Set by the node
+  created?: string;
+  started?: boolean;
   filters?: {
     sequenceAbove?: number;
     type?: TransactionType;
@@ -2,6 +2,7 @@ import * as http from "http";
 import WebSocket from "ws";
 import { IEventWithData } from "./blockindex";
 import { Logger } from "./logger";
+import { PaladinMiddleware } from "./paladin";
 import { ITransactionReceipt } from "./transaction";
 import { IPrivacyGroupMessage } from "./privacygroups";
 
@@ -25,11 +26,44 @@ export interface WebSocketClientOptions<TMessageTypes extends string> {
   subscriptions?: WebSocketSubscription<TMessageTypes>[];
   logger?: Logger;
   heartbeatInterval?: number;
+  // Initial delay before reconnecting, or -1 to never reconnect (default 5000)
   reconnectDelay?: number;
+  reconnect?: WebSocketReconnectConfig;
+  // Messages held while disconnected, beyond which the oldest are dropped
+  // and their request() calls rejected - subscribes are never dropped
+  // (default 1000)
+  maxQueuedMessages?: number;
+  // Default timeout for request(), in milliseconds (default 30000)
+  requestTimeout?: number;
   afterConnect?: WebSocketConnectCallback;
+  middleware?: PaladinMiddleware[];
   socketOptions?: WebSocket.ClientOptions | http.ClientRequestArgs;
 }
 
+export interface WebSocketReconnectConfig {
+  maxAttempts?: number; // consecutive failed attempts (default unlimited)
+  maxDelayMs?: number; // default 60000
+  factor?: number; // default 2
+  jitter?: boolean; // default true
+}
+
+export interface PaladinWebSocketConfig
+  extends Omit<
+    WebSocketClientOptions<"receipts">,
+    "subscriptions" | "afterConnect"
+  > {
+  // Existing receipt listener to subscribe to (a temporary one is created if unset)
+  receiptListener?: string;
+  // Temporary receipt listeners left behind by clients that were never
+  // closed are deleted once older than this (default 24 hours, -1 to keep)
+  staleReceiptListenerAge?: number;
+}
+
+export interface WebSocketStreamOptions {
+  // Batches delivered but not yet processed, beyond which more are nacked
+  maxInFlight?: number;
+}
+
 export interface WebSocketSubscription<TMessageTypes extends string> {
   type: TMessageTypes;
   name: string;
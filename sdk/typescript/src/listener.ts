@@ -0,0 +1,331 @@
+import { CheckpointStore, ListenerCheckpoint } from "./checkpoint";
+import {
+  IBlockchainEventListener,
+  IEventWithData,
+  IPrivacyGroupMessage,
+  IPrivacyGroupMessageListener,
+  ITransactionReceipt,
+  ITransactionReceiptListener,
+  Logger,
+  PaladinWebSocketConfig,
+} from "./interfaces";
+import PaladinClient from "./paladin";
+import {
+  PaladinWebSocketClient,
+  PrivacyGroupWebSocketClient,
+} from "./websocket";
+
+export interface ManagedListenerItems {
+  receipts: ITransactionReceipt;
+  blockchainevents: IEventWithData;
+  messages: IPrivacyGroupMessage;
+}
+
+export interface ManagedListenerDefinitions {
+  receipts: ITransactionReceiptListener;
+  blockchainevents: IBlockchainEventListener;
+  messages: IPrivacyGroupMessageListener;
+}
+
+export type ManagedListenerType = keyof ManagedListenerItems;
+
+export interface ManagedListenerOptions<T extends ManagedListenerType> {
+  type: T;
+  // Created on the node if missing, and re-created if the definition has
+  // changed - in both cases starting after the stored checkpoint
+  listener: ManagedListenerDefinitions[T];
+  store: CheckpointStore;
+  // Defaults to the websocket configured on the PaladinClient
+  websocket?: PaladinWebSocketConfig;
+  // Delay before resubscribing after the handler fails
+  retryDelay?: number;
+  onError?: (err: unknown) => void;
+}
+
+export type ManagedListenerHandler<T extends ManagedListenerType> = (
+  items: ManagedListenerItems[T][],
+  batchId: number
+) => void | Promise<void>;
+
+interface ListenerApi {
+  get(name: string): Promise<object | undefined>;
+  create(listener: any): Promise<boolean>;
+  delete(name: string): Promise<boolean>;
+}
+
+interface ListenerClient {
+  stream(type: ManagedListenerType, name: string): AsyncIterableIterator<any>;
+  close(wait?: boolean): Promise<void>;
+}
+
+// Values the node may omit when returning a definition - such as the
+// "anonymous": false and "indexed": false of an ethers JSON ABI
+const isUnset = (value: any) =>
+  value === undefined ||
+  value === null ||
+  value === false ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+// Whether every field set in the expected definition has the same value on
+// the node (which may add defaults of its own)
+const matches = (expected: any, actual: any): boolean => {
+  if (expected === undefined || (isUnset(expected) && isUnset(actual))) {
+    return true;
+  }
+  if (typeof expected === "string" && typeof actual === "string") {
+    return expected.toLowerCase() === actual.toLowerCase();
+  }
+  if (typeof expected !== "object" || expected === null) {
+    return expected === actual;
+  }
+  if (Array.isArray(expected)) {
+    return (
+      Array.isArray(actual) &&
+      expected.length === actual.length &&
+      expected.every((value, i) => matches(value, actual[i]))
+    );
+  }
+  if (isUnset(actual)) {
+    actual = {};
+  } else if (typeof actual !== "object" || Array.isArray(actual)) {
+    return false;
+  }
+  return Object.keys(expected).every((key) =>
+    matches(expected[key], actual[key])
+  );
+};
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs a receipt, blockchain event or privacy group message listener, recording
+ * a checkpoint in a CheckpointStore after each batch is processed.
+ *
+ * The checkpoint is stored before the batch is acked, so a batch redelivered
+ * after a crash or restart is recognised and only its unprocessed items are
+ * passed to the handler. If the listener is missing on the node (or its
+ * definition has changed), it is created to start after the checkpoint.
+ */
+export class ManagedListener<T extends ManagedListenerType> {
+  private client?: ListenerClient;
+  private running?: Promise<void>;
+  private stopped = false;
+  private last?: ListenerCheckpoint;
+  private logger: Logger;
+
+  constructor(
+    private paladin: PaladinClient,
+    private options: ManagedListenerOptions<T>,
+    private handler: ManagedListenerHandler<T>
+  ) {
+    this.logger =
+      options.websocket?.logger ?? paladin.websocketConfig?.logger ?? console;
+  }
+
+  get name() {
+    return this.options.listener.name;
+  }
+
+  // The last checkpoint stored
+  get checkpoint() {
+    return this.last;
+  }
+
+  async start() {
+    if (this.running !== undefined) {
+      throw new Error(`Listener '${this.name}' is already started`);
+    }
+    const config = this.options.websocket ?? this.paladin.websocketConfig;
+    if (config === undefined) {
+      throw new Error(
+        "A websocket must be configured on the PaladinClient, or passed in the options"
+      );
+    }
+    this.last = await this.options.store.get(this.name);
+    await this.ensureListener();
+    this.stopped = false;
+    const client: ListenerClient =
+      this.options.type === "messages"
+        ? new PrivacyGroupWebSocketClient(config)
+        : new PaladinWebSocketClient(config);
+    this.client = client;
+    this.running = this.run(client);
+  }
+
+  // Stop listening, optionally deleting the listener and its checkpoint
+  async stop(deleteListener = false) {
+    this.stopped = true;
+    await this.client?.close(true);
+    await this.running;
+    delete this.client;
+    delete this.running;
+    if (deleteListener) {
+      await this.api.delete(this.name);
+      await this.options.store.delete(this.name);
+    }
+  }
+
+  private get api(): ListenerApi {
+    switch (this.options.type) {
+      case "receipts":
+        return {
+          get: this.paladin.ptx.getReceiptListener,
+          create: this.paladin.ptx.createReceiptListener,
+          delete: this.paladin.ptx.deleteReceiptListener,
+        };
+      case "blockchainevents":
+        return {
+          get: this.paladin.ptx.getBlockchainEventListener,
+          create: this.paladin.ptx.createBlockchainEventListener,
+          delete: this.paladin.ptx.deleteBlockchainEventListener,
+        };
+      default:
+        return {
+          get: this.paladin.pgroup.getMessageListener,
+          create: this.paladin.pgroup.createMessageListener,
+          delete: this.paladin.pgroup.deleteMessageListener,
+        };
+    }
+  }
+
+  // The definition without its start position, which the node keeps as given
+  // when the listener was created
+  private definition(): any {
+    const { listener } = this.options;
+    if (this.options.type === "blockchainevents") {
+      const { fromBlock, ...options } =
+        (listener as IBlockchainEventListener).options ?? {};
+      return { ...listener, options };
+    }
+    const { sequenceAbove, ...filters } =
+      (listener as ITransactionReceiptListener).filters ?? {};
+    return { ...listener, filters };
+  }
+
+  // The definition starting after the checkpoint, if there is one
+  private resumeDefinition(): any {
+    const { listener } = this.options;
+    const last = this.last;
+    if (last === undefined) {
+      return listener;
+    }
+    if (this.options.type === "blockchainevents") {
+      if (last.blockNumber === undefined) {
+        return listener;
+      }
+      // Later events in the same block may not have been processed
+      const { options } = listener as IBlockchainEventListener;
+      return {
+        ...listener,
+        options: { ...options, fromBlock: `${last.blockNumber}` },
+      };
+    }
+    if (last.sequence === undefined) {
+      return listener;
+    }
+    const { filters } = listener as ITransactionReceiptListener;
+    return {
+      ...listener,
+      filters: { ...filters, sequenceAbove: last.sequence },
+    };
+  }
+
+  private async ensureListener() {
+    const existing = await this.api.get(this.name);
+    if (existing != undefined) {
+      if (matches(this.definition(), existing)) {
+        return;
+      }
+      this.logger.log(
+        `Re-creating listener '${this.name}', as its definition has changed`
+      );
+      await this.api.delete(this.name);
+    }
+    await this.api.create(this.resumeDefinition());
+  }
+
+  private async run(client: ListenerClient) {
+    while (!this.stopped) {
+      try {
+        // Ends without error when the client is closed
+        for await (const batch of client.stream(
+          this.options.type,
+          this.name
+        )) {
+          await this.process(batch);
+        }
+        return;
+      } catch (err: any) {
+        if (this.options.onError !== undefined) {
+          this.options.onError(err);
+        } else {
+          this.logger.error(`Listener '${this.name}' failed: ${err.message}`);
+        }
+      }
+      await sleep(this.options.retryDelay ?? 1000);
+      if (!this.stopped) {
+        // The listener may have been deleted on the node
+        await this.ensureListener().catch((err) =>
+          this.logger.error(
+            `Failed to check listener '${this.name}': ${err.message}`
+          )
+        );
+      }
+    }
+  }
+
+  private position(item: any): Partial<ListenerCheckpoint> {
+    switch (this.options.type) {
+      case "receipts":
+        return { sequence: item.sequence };
+      case "blockchainevents":
+        return {
+          blockNumber: item.blockNumber,
+          transactionIndex: item.transactionIndex,
+          logIndex: item.logIndex,
+        };
+      default:
+        return { sequence: item.localSequence };
+    }
+  }
+
+  private processed(item: any) {
+    const last = this.last;
+    if (last === undefined) {
+      return false;
+    }
+    if (this.options.type !== "blockchainevents") {
+      const { sequence } = this.position(item);
+      return last.sequence !== undefined && sequence! <= last.sequence;
+    }
+    if (last.blockNumber === undefined) {
+      return false;
+    }
+    const event = item as IEventWithData;
+    return (
+      event.blockNumber < last.blockNumber ||
+      (event.blockNumber === last.blockNumber &&
+        (event.transactionIndex < last.transactionIndex! ||
+          (event.transactionIndex === last.transactionIndex &&
+            event.logIndex <= last.logIndex!)))
+    );
+  }
+
+  private async process(batch: any) {
+    const items: ManagedListenerItems[T][] =
+      batch.receipts ?? batch.events ?? batch.messages ?? [];
+    const unprocessed = items.filter((item) => !this.processed(item));
+    if (unprocessed.length > 0) {
+      await this.handler(unprocessed, batch.batchId);
+    }
+    const checkpoint: ListenerCheckpoint = {
+      ...this.last,
+      ...(items.length > 0 ? this.position(items[items.length - 1]) : {}),
+      batchId: batch.batchId,
+      updated: new Date().toISOString(),
+    };
+    await this.options.store.put(this.name, checkpoint);
+    this.last = checkpoint;
+  }
+}
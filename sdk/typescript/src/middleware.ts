@@ -0,0 +1,14 @@
+import { JsonRpcCallContext, PaladinMiddleware } from "./interfaces";
+
+// Run a call through an ordered middleware chain - the first middleware is outermost
+export function runMiddleware(
+  middleware: PaladinMiddleware[],
+  ctx: JsonRpcCallContext,
+  call: () => Promise<any>
+): Promise<any> {
+  const dispatch = (i: number): Promise<any> =>
+    i < middleware.length
+      ? middleware[i](ctx, () => dispatch(i + 1))
+      : call();
+  return dispatch(0);
+}
@@ -0,0 +1,8 @@
+// Returned to the client as a JSON-RPC error response, in the same format as
+// the errors from a real node (a "PDxxxxxx: " prefixed message)
+export class MockRpcError extends Error {
+  constructor(message: string, public readonly code = -32603) {
+    super(message);
+    this.name = new.target.name;
+  }
+}
@@ -0,0 +1,160 @@
+import {
+  IQuery,
+  IQueryOp,
+  IQueryOpMultiVal,
+  IQueryOpSingleVal,
+  IQueryStatements,
+} from "../interfaces";
+import { parseSort } from "../pagination";
+
+export type FieldResolver = (item: any, field: string) => any;
+
+export interface ApplyQueryOptions {
+  resolve?: FieldResolver;
+  // Sort used when the query does not specify one
+  defaultSort?: string[];
+}
+
+// Built-in fields may be prefixed with "." (as on state and registry queries)
+export const resolveField: FieldResolver = (item, field) =>
+  item?.[field.startsWith(".") ? field.slice(1) : field];
+
+const INTEGER_REGEX = /^-?\d+$/;
+const HEX_REGEX = /^0x[0-9a-fA-F]+$/;
+
+// Paladin accepts integers as decimal or hex strings, and compares hex
+// values (addresses, hashes) regardless of case
+const toBigInt = (value: any) => {
+  if (typeof value === "bigint") {
+    return value;
+  }
+  if (typeof value === "number" && Number.isInteger(value)) {
+    return BigInt(value);
+  }
+  if (
+    typeof value === "string" &&
+    (INTEGER_REGEX.test(value) || HEX_REGEX.test(value))
+  ) {
+    return BigInt(value);
+  }
+  return undefined;
+};
+
+const compare = (a: any, b: any, caseInsensitive?: boolean) => {
+  const x = toBigInt(a);
+  const y = toBigInt(b);
+  if (x !== undefined && y !== undefined) {
+    return x < y ? -1 : x > y ? 1 : 0;
+  }
+  if (typeof a === "number" && typeof b === "number") {
+    return a - b;
+  }
+  let s = typeof a === "string" ? a : JSON.stringify(a);
+  let t = typeof b === "string" ? b : JSON.stringify(b);
+  if (caseInsensitive) {
+    s = s.toLowerCase();
+    t = t.toLowerCase();
+  }
+  return s < t ? -1 : s > t ? 1 : 0;
+};
+
+const likeToRegExp = (pattern: string, caseInsensitive?: boolean) =>
+  new RegExp(
+    "^" +
+      pattern
+        .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+        .replace(/%/g, ".*")
+        .replace(/_/g, ".") +
+      "$",
+    caseInsensitive ? "is" : "s"
+  );
+
+type SingleTest = (value: any, op: IQueryOpSingleVal) => boolean;
+
+const SINGLE_OPS: [keyof IQueryStatements, SingleTest][] = [
+  ["eq", (v, op) => compare(v, op.value, op.caseInsensitive) === 0],
+  ["equal", (v, op) => compare(v, op.value, op.caseInsensitive) === 0],
+  ["neq", (v, op) => compare(v, op.value, op.caseInsensitive) !== 0],
+  [
+    "like",
+    (v, op) => likeToRegExp(`${op.value}`, op.caseInsensitive).test(`${v}`),
+  ],
+  ["lt", (v, op) => compare(v, op.value) < 0],
+  ["lessThan", (v, op) => compare(v, op.value) < 0],
+  ["lte", (v, op) => compare(v, op.value) <= 0],
+  ["lessThanOrEqual", (v, op) => compare(v, op.value) <= 0],
+  ["gt", (v, op) => compare(v, op.value) > 0],
+  ["greaterThan", (v, op) => compare(v, op.value) > 0],
+  ["gte", (v, op) => compare(v, op.value) >= 0],
+  ["greaterThanOrEqual", (v, op) => compare(v, op.value) >= 0],
+];
+
+const isNull = (value: any) => value === undefined || value === null;
+
+export const matchesQuery = (
+  item: any,
+  statements: IQueryStatements,
+  resolve: FieldResolver = resolveField
+): boolean => {
+  for (const [name, test] of SINGLE_OPS) {
+    for (const op of (statements[name] ?? []) as IQueryOpSingleVal[]) {
+      const value = resolve(item, op.field);
+      // As in SQL, a missing value never matches a comparison
+      if (isNull(value) || test(value, op) === !!op.not) {
+        return false;
+      }
+    }
+  }
+  for (const name of ["in", "nin"] as const) {
+    for (const op of (statements[name] ?? []) as IQueryOpMultiVal[]) {
+      const value = resolve(item, op.field);
+      const found =
+        !isNull(value) &&
+        op.values.some((v) => compare(value, v, op.caseInsensitive) === 0);
+      const pass = found === (name === "in");
+      if (pass === !!op.not) {
+        return false;
+      }
+    }
+  }
+  for (const op of (statements.null ?? []) as IQueryOp[]) {
+    if (isNull(resolve(item, op.field)) === !!op.not) {
+      return false;
+    }
+  }
+  if (statements.or !== undefined && statements.or.length > 0) {
+    return statements.or.some((branch) => matchesQuery(item, branch, resolve));
+  }
+  return true;
+};
+
+// Filter, sort and limit a collection the way the node's database would
+export const applyQuery = <T>(
+  items: Iterable<T>,
+  query: IQuery,
+  options?: ApplyQueryOptions
+): T[] => {
+  const resolve = options?.resolve ?? resolveField;
+  const results = Array.from(items).filter((item) =>
+    matchesQuery(item, query, resolve)
+  );
+  const sort = (query.sort ?? options?.defaultSort ?? []).map(parseSort);
+  if (sort.length > 0) {
+    results.sort((a, b) => {
+      for (const { field, descending } of sort) {
+        const x = resolve(a, field);
+        const y = resolve(b, field);
+        // Nulls sort last when ascending, as in PostgreSQL
+        const c =
+          isNull(x) || isNull(y)
+            ? Number(isNull(x)) - Number(isNull(y))
+            : compare(x, y);
+        if (c !== 0) {
+          return descending ? -c : c;
+        }
+      }
+      return 0;
+    });
+  }
+  return query.limit !== undefined ? results.slice(0, query.limit) : results;
+};
@@ -0,0 +1,5 @@
+export * from "./errors";
+export * from "./filter";
+export * from "./methods";
+export * from "./node";
+export * from "./server";
@@ -0,0 +1,170 @@
+import { MockPaladinNode } from "./node";
+
+export type MockMethodHandler = (params: any[]) => any;
+
+// The JSON-RPC methods served by MockPaladinServer, in the same order and
+// with the same parameters as the PaladinClient methods that call them
+export const mockMethods = (
+  node: MockPaladinNode
+): Record<string, MockMethodHandler> => ({
+  keymgr_wallets: () => node.wallets(),
+  keymgr_resolveKey: ([identifier, algorithm, verifierType]) =>
+    node.resolveKey(identifier, algorithm, verifierType),
+  keymgr_resolveEthAddress: ([identifier]) =>
+    node.resolveEthAddress(identifier),
+  keymgr_reverseKeyLookup: ([algorithm, verifierType, verifier]) =>
+    node.reverseKeyLookup(algorithm, verifierType, verifier),
+  keymgr_queryKeys: ([query]) => node.queryKeys(query),
+
+  ptx_sendTransaction: ([tx]) => node.sendTransaction(tx),
+  ptx_sendTransactions: ([txs]) =>
+    txs.map((tx: any) => node.sendTransaction(tx)),
+  ptx_prepareTransaction: ([tx]) => node.prepareTransaction(tx),
+  ptx_prepareTransactions: ([txs]) =>
+    txs.map((tx: any) => node.prepareTransaction(tx)),
+  ptx_updateTransaction: ([id, tx]) => node.updateTransaction(id, tx),
+  // Override with MockPaladinServer.handle() to return a result
+  ptx_call: () => ({}),
+  ptx_getTransaction: ([id]) => node.getTransaction(id),
+  ptx_getTransactionFull: ([id]) => node.getTransaction(id, true),
+  ptx_getTransactionByIdempotencyKey: ([key]) =>
+    node.getTransactionByIdempotencyKey(key),
+  ptx_queryTransactions: ([query]) => node.queryTransactions(query),
+  ptx_queryTransactionsFull: ([query]) => node.queryTransactions(query, true),
+  ptx_queryPendingTransactions: ([query, full]) =>
+    node.queryTransactions(query, full, true),
+  ptx_getTransactionReceipt: ([id]) => node.getTransactionReceipt(id),
+  ptx_getTransactionReceiptFull: ([id]) =>
+    node.getTransactionReceipt(id, true),
+  ptx_getDomainReceipt: ([domain, id]) => node.getDomainReceipt(domain, id),
+  ptx_getStateReceipt: ([id]) => node.getStateReceipt(id),
+  ptx_queryTransactionReceipts: ([query]) =>
+    node.queryTransactionReceipts(query),
+  ptx_getTransactionDependencies: ([id]) =>
+    node.getTransactionDependencies(id),
+  ptx_queryPublicTransactions: ([query]) =>
+    node.queryPublicTransactions(query),
+  ptx_queryPendingPublicTransactions: ([query]) =>
+    node.queryPublicTransactions(query, true),
+  ptx_getPublicTransactionByNonce: ([from, nonce]) =>
+    node.getPublicTransactionByNonce(from, nonce),
+  ptx_getPublicTransactionByHash: ([hash]) =>
+    node.getPublicTransactionByHash(hash),
+  ptx_getPreparedTransaction: ([id]) => node.getPreparedTransaction(id),
+  ptx_queryPreparedTransactions: ([query]) =>
+    node.queryPreparedTransactions(query),
+  ptx_storeABI: ([abi]) => node.storeABI(abi),
+  ptx_getStoredABI: ([hash]) => node.getStoredABI(hash),
+  ptx_queryStoredABIs: ([query]) => node.queryStoredABIs(query),
+  ptx_decodeCall: ([callData]) => node.decodeCall(callData),
+  ptx_decodeEvent: ([topics, data]) => node.decodeEvent(topics, data),
+  ptx_decodeError: ([revertData]) => node.decodeError(revertData),
+  ptx_resolveVerifier: ([lookup, algorithm, verifierType]) =>
+    node.resolveVerifier(lookup, algorithm, verifierType),
+  ptx_createReceiptListener: ([listener]) =>
+    node.createReceiptListener(listener),
+  ptx_queryReceiptListeners: ([query]) =>
+    node.queryListeners("receipts", query),
+  ptx_getReceiptListener: ([name]) => node.getListener("receipts", name),
+  ptx_startReceiptListener: ([name]) =>
+    node.setListenerStarted("receipts", name, true),
+  ptx_stopReceiptListener: ([name]) =>
+    node.setListenerStarted("receipts", name, false),
+  ptx_deleteReceiptListener: ([name]) => node.deleteListener("receipts", name),
+  ptx_createBlockchainEventListener: ([listener]) =>
+    node.createBlockchainEventListener(listener),
+  ptx_queryBlockchainEventListeners: ([query]) =>
+    node.queryListeners("blockchainevents", query),
+  ptx_getBlockchainEventListener: ([name]) =>
+    node.getListener("blockchainevents", name),
+  ptx_startBlockchainEventListener: ([name]) =>
+    node.setListenerStarted("blockchainevents", name, true),
+  ptx_stopBlockchainEventListener: ([name]) =>
+    node.setListenerStarted("blockchainevents", name, false),
+  ptx_deleteBlockchainEventListener: ([name]) =>
+    node.deleteListener("blockchainevents", name),
+  ptx_getBlockchainEventListenerStatus: ([name]) =>
+    node.getBlockchainEventListenerStatus(name),
+
+  pstate_listSchemas: ([domain]) => node.listSchemas(domain),
+  pstate_getSchemaById: ([domain, id]) => node.getSchemaById(domain, id),
+  pstate_storeState: ([domain, contractAddress, schema, data]) =>
+    node.storeState(domain, contractAddress, schema, data),
+  pstate_queryStates: ([domain, schema, query, status]) =>
+    node.queryStates(domain, undefined, schema, query, status),
+  pstate_queryContractStates: ([domain, address, schema, query, status]) =>
+    node.queryStates(domain, address, schema, query, status),
+  pstate_queryNullifiers: ([domain, schema, query, status]) =>
+    node.queryStates(domain, undefined, schema, query, status, true),
+  pstate_queryContractNullifiers: ([domain, address, schema, query, status]) =>
+    node.queryStates(domain, address, schema, query, status, true),
+
+  pgroup_createGroup: ([input]) => node.createGroup(input),
+  pgroup_getGroupById: ([domain, id]) => node.getGroupById(domain, id),
+  pgroup_getGroupByAddress: ([address]) => node.getGroupByAddress(address),
+  pgroup_queryGroups: ([query]) => node.queryGroups(query),
+  pgroup_queryGroupsWithMember: ([member, query]) =>
+    node.queryGroups(query, member),
+  pgroup_sendTransaction: ([tx]) => node.sendGroupTransaction(tx),
+  // Override with MockPaladinServer.handle() to return a result
+  pgroup_call: ([call]) => {
+    node.requireGroup(call.domain, call.group);
+    return {};
+  },
+  pgroup_sendMessage: ([msg]) => node.sendMessage(msg),
+  pgroup_getMessageById: ([id]) => node.getMessageById(id),
+  pgroup_queryMessages: ([query]) => node.queryMessages(query),
+  pgroup_createMessageListener: ([listener]) =>
+    node.createMessageListener(listener),
+  pgroup_queryMessageListeners: ([query]) =>
+    node.queryListeners("messages", query),
+  pgroup_getMessageListener: ([name]) => node.getListener("messages", name),
+  pgroup_startMessageListener: ([name]) =>
+    node.setListenerStarted("messages", name, true),
+  pgroup_stopMessageListener: ([name]) =>
+    node.setListenerStarted("messages", name, false),
+  pgroup_deleteMessageListener: ([name]) =>
+    node.deleteListener("messages", name),
+
+  transport_nodeName: () => node.nodeName,
+  transport_localTransports: () => node.localTransports(),
+  transport_localTransportDetails: ([name]) =>
+    node.localTransportDetails(name),
+  transport_peers: () => node.listPeers(),
+  transport_peerInfo: ([name]) => node.peerInfo(name),
+  transport_queryReliableMessages: ([query]) =>
+    node.queryReliableMessages(query),
+  transport_queryReliableMessageAcks: ([query]) =>
+    node.queryReliableMessageAcks(query),
+
+  domain_listDomains: () => node.domains,
+  domain_getDomain: ([name]) => node.getDomain(name),
+  domain_getDomainByAddress: ([address]) => node.getDomainByAddress(address),
+  domain_querySmartContracts: ([query]) => node.querySmartContracts(query),
+  domain_getSmartContractByAddress: ([address]) =>
+    node.getSmartContractByAddress(address),
+
+  bidx_getBlockByNumber: ([number]) => node.getBlockByNumber(number),
+  bidx_getTransactionByHash: ([hash]) => node.getIndexedTransaction(hash),
+  bidx_getTransactionByNonce: ([from, nonce]) =>
+    node.getIndexedTransactionByNonce(from, nonce),
+  bidx_getBlockTransactionsByNumber: ([number]) =>
+    node.getBlockTransactions(number),
+  bidx_getTransactionEventsByHash: ([hash]) =>
+    node.getTransactionEvents(hash),
+  bidx_queryIndexedBlocks: ([query]) => node.queryIndexedBlocks(query),
+  bidx_queryIndexedTransactions: ([query]) =>
+    node.queryIndexedTransactions(query),
+  bidx_queryIndexedEvents: ([query]) => node.queryIndexedEvents(query),
+  bidx_getConfirmedBlockHeight: () => node.confirmedBlockHeight(),
+  bidx_decodeTransactionEvents: ([hash, abi]) =>
+    node.decodeTransactionEvents(hash, abi),
+
+  reg_registries: () => node.listRegistries(),
+  reg_queryEntries: ([registry, query, activeFilter]) =>
+    node.queryEntries(registry, query, activeFilter, false),
+  reg_queryEntriesWithProps: ([registry, query, activeFilter]) =>
+    node.queryEntries(registry, query, activeFilter, true),
+  reg_getEntryProperties: ([registry, entryId, activeFilter]) =>
+    node.getEntryProperties(registry, entryId, activeFilter),
+});
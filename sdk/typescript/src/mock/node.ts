@@ -0,0 +1,1602 @@
+import { EventEmitter } from "events";
+import { ethers } from "ethers";
+import * as uuid from "uuid";
+import {
+  ActiveFilter,
+  Algorithms,
+  IABIDecodedData,
+  IBlockchainEventListener,
+  IEventWithData,
+  IIndexedBlock,
+  IIndexedTransaction,
+  IKeyMappingAndVerifier,
+  IKeyQueryEntry,
+  IPeerInfo,
+  IPreparedTransaction,
+  IPrivacyGroup,
+  IPrivacyGroupEVMTXInput,
+  IPrivacyGroupInput,
+  IPrivacyGroupMessage,
+  IPrivacyGroupMessageInput,
+  IPrivacyGroupMessageListener,
+  IQuery,
+  IRegistryEntry,
+  IRegistryEntryWithProperties,
+  IRegistryProperty,
+  IReliableMessage,
+  IReliableMessageAck,
+  ISchema,
+  IState,
+  IStateBase,
+  IStoredABI,
+  ITransaction,
+  ITransactionInput,
+  ITransactionReceipt,
+  ITransactionReceiptListener,
+  ITransactionStates,
+  IWalletInfo,
+  StateStatus,
+  Verifiers,
+} from "../interfaces";
+import { MockRpcError } from "./errors";
+import { applyQuery, FieldResolver, resolveField } from "./filter";
+
+const DEFAULT_BATCH_SIZE = 50;
+const WALLET = "wallet1";
+
+export interface MockTransactionOutcome {
+  success?: boolean;
+  failureMessage?: string;
+  revertData?: string;
+  // Time to wait before writing the receipt (overrides confirmDelayMs)
+  delayMs?: number;
+  // Leave the transaction pending until confirm() is called
+  pending?: boolean;
+  contractAddress?: string;
+  states?: ITransactionStates;
+  domainReceipt?: any;
+  // Merged into the prepared transaction, for prepareTransaction() calls
+  prepared?: Partial<IPreparedTransaction>;
+}
+
+// Decides the outcome of a submitted transaction - returning undefined
+// defers to the previously registered behaviors
+export type MockTransactionBehavior = (
+  transaction: ITransaction
+) => MockTransactionOutcome | undefined | void;
+
+export interface MockPaladinNodeOptions {
+  nodeName?: string;
+  // Delay between submitting a transaction and writing its receipt
+  confirmDelayMs?: number;
+  domains?: string[];
+}
+
+export interface MockStateInput {
+  id?: string;
+  domain: string;
+  schema: string;
+  contractAddress: string;
+  data: object;
+  // The transaction that confirmed the state (a random ID is used if true)
+  confirmed?: string | boolean;
+  spent?: string | boolean;
+}
+
+export interface MockRegistryEntryInput {
+  id?: string;
+  name: string;
+  parentId?: string;
+  active?: boolean;
+  properties?: Record<string, string>;
+}
+
+export interface MockEventInput {
+  // Event ABI, either as a JSON fragment or a human-readable signature
+  abi: ethers.JsonFragment | string;
+  address: string;
+  data: Record<string, any>;
+  // Index into an existing transaction, rather than a new block
+  transactionHash?: string;
+}
+
+export type MockListenerType = "receipts" | "blockchainevents" | "messages";
+
+export interface MockBatch {
+  items: any[];
+  checkpoint: number;
+}
+
+interface TransactionRecord {
+  transaction: ITransaction & { idempotencyKey?: string };
+  prepare: boolean;
+  outcome: MockTransactionOutcome;
+  receipt?: ITransactionReceipt;
+  states?: ITransactionStates;
+  domainReceipt?: any;
+  publicTx?: any;
+  timer?: ReturnType<typeof setTimeout>;
+  onConfirm?: (receipt: ITransactionReceipt) => void;
+}
+
+interface ListenerRecord<T> {
+  definition: T & { created: string; started: boolean };
+  checkpoint: number;
+}
+
+const now = () => new Date().toISOString();
+
+const randomHex = (bytes: number) => ethers.hexlify(ethers.randomBytes(bytes));
+
+const sameAddress = (a?: string, b?: string) =>
+  a !== undefined && b !== undefined && a.toLowerCase() === b.toLowerCase();
+
+const activeMatches = (active: boolean | undefined, filter: ActiveFilter) =>
+  filter === "any" || (active !== false) === (filter !== "inactive");
+
+const toJSONValue = (value: any): any => {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toJSONValue);
+  }
+  return value;
+};
+
+const decodeParams = (
+  params: readonly ethers.ParamType[],
+  values: ethers.Result
+) =>
+  Object.fromEntries(
+    params.map((p, i) => [p.name || `${i}`, toJSONValue(values[i])])
+  );
+
+const describeFragment = (fragment: ethers.Fragment): ethers.JsonFragment =>
+  JSON.parse(fragment.format("json"));
+
+// States expose their built-in fields with a "." prefix, and their data
+// fields without one
+const resolveStateField: FieldResolver = (state: IState, field) =>
+  field.startsWith(".")
+    ? resolveField(state, field)
+    : (state.data as any)?.[field];
+
+// The node records the signature of the function called, where it is found
+// in the ABI
+const functionSignature = (abi?: ethers.InterfaceAbi, name?: string) => {
+  if (abi === undefined || !name) {
+    return name;
+  }
+  try {
+    const fragment = new ethers.Interface(abi).getFunction(name);
+    return fragment?.format("sighash") ?? name;
+  } catch (err) {
+    return name;
+  }
+};
+
+// Registry entries work the same way, with properties in place of data
+const resolveRegistryField: FieldResolver = (
+  entry: IRegistryEntryWithProperties,
+  field
+) =>
+  field.startsWith(".")
+    ? resolveField(entry, field)
+    : entry.properties?.[field];
+
+/**
+ * In-memory model of a single Paladin node, behind the JSON-RPC methods of
+ * MockPaladinServer. Tests can seed data directly, and script the outcome of
+ * each transaction with onTransaction()/nextTransaction().
+ */
+export class MockPaladinNode extends EventEmitter {
+  readonly nodeName: string;
+  readonly domains: string[];
+  private confirmDelayMs: number;
+
+  private transactions = new Map<string, TransactionRecord>();
+  private receipts: ITransactionReceipt[] = [];
+  private prepared = new Map<string, IPreparedTransaction>();
+  private publicTransactions: any[] = [];
+  private nonces = new Map<string, number>();
+  private abis = new Map<string, IStoredABI & { created: string }>();
+  private behaviors: MockTransactionBehavior[] = [];
+  private nextOutcomes: MockTransactionOutcome[] = [];
+
+  private keys = new Map<string, IKeyQueryEntry>();
+  private schemas = new Map<string, ISchema>();
+  private states = new Map<string, IState>();
+  private groups = new Map<string, IPrivacyGroup>();
+  private messages: IPrivacyGroupMessage[] = [];
+  private registries = new Map<
+    string,
+    Map<string, IRegistryEntryWithProperties>
+  >();
+  private peers = new Map<string, IPeerInfo>();
+  private smartContracts: any[] = [];
+  readonly reliableMessages: IReliableMessage[] = [];
+  readonly reliableMessageAcks: IReliableMessageAck[] = [];
+
+  private blocks: IIndexedBlock[] = [];
+  private indexedTransactions: IIndexedTransaction[] = [];
+  private events: IEventWithData[] = [];
+
+  private receiptListeners = new Map<
+    string,
+    ListenerRecord<ITransactionReceiptListener>
+  >();
+  private eventListeners = new Map<
+    string,
+    ListenerRecord<IBlockchainEventListener>
+  >();
+  private messageListeners = new Map<
+    string,
+    ListenerRecord<IPrivacyGroupMessageListener>
+  >();
+
+  constructor(options?: MockPaladinNodeOptions) {
+    super();
+    this.nodeName = options?.nodeName ?? "node1";
+    this.domains = options?.domains ?? ["noto", "zeto", "pente"];
+    this.confirmDelayMs = options?.confirmDelayMs ?? 0;
+    this.mineBlock(); // genesis
+  }
+
+  // Cancel any scheduled confirmations
+  close() {
+    for (const record of this.transactions.values()) {
+      clearTimeout(record.timer);
+      delete record.timer;
+    }
+  }
+
+  // ---- Scripting ----
+
+  onTransaction(behavior: MockTransactionBehavior) {
+    this.behaviors.unshift(behavior);
+    return this;
+  }
+
+  // Outcome for the next submitted transaction only (queued in order)
+  nextTransaction(outcome: MockTransactionOutcome) {
+    this.nextOutcomes.push(outcome);
+    return this;
+  }
+
+  // Write the receipt for a pending transaction now
+  confirm(txId: string, outcome?: MockTransactionOutcome) {
+    const record = this.transactions.get(txId);
+    if (record === undefined) {
+      throw new Error(`Transaction ${txId} not found`);
+    }
+    if (record.receipt !== undefined) {
+      throw new Error(`Transaction ${txId} already has a receipt`);
+    }
+    clearTimeout(record.timer);
+    delete record.timer;
+    return this.writeReceipt(record, { ...record.outcome, ...outcome });
+  }
+
+  pendingTransactions() {
+    return Array.from(this.transactions.values())
+      .filter((r) => r.receipt === undefined)
+      .map((r) => r.transaction);
+  }
+
+  // ---- Seeding ----
+
+  addSchema(domain: string, definition: object, labels: string[] = []) {
+    // The same format as the node, e.g. "type=Coin(uint256 amount),labels=[amount]"
+    const { name = "", components = [] } = definition as any;
+    const fields = components.map((c: any) => `${c.type} ${c.name}`);
+    const signature = `type=${name}(${fields.join(",")}),labels=[${labels}]`;
+    const schema: ISchema = {
+      id: ethers.id(JSON.stringify({ domain, definition })),
+      created: now(),
+      domain,
+      type: "abi",
+      signature,
+      definition,
+      labels,
+    };
+    this.schemas.set(schema.id, schema);
+    return schema;
+  }
+
+  addState(input: MockStateInput) {
+    const state: IState = {
+      id:
+        input.id ??
+        ethers.id(JSON.stringify({ schema: input.schema, data: input.data })),
+      created: now(),
+      domain: input.domain,
+      schema: input.schema,
+      contractAddress: input.contractAddress,
+      data: input.data,
+    };
+    const txId = (value: string | boolean) =>
+      typeof value === "string" ? value : uuid.v4();
+    if (input.confirmed) {
+      state.confirmed = { transaction: txId(input.confirmed) };
+    }
+    if (input.spent) {
+      state.spent = { transaction: txId(input.spent) };
+    }
+    this.states.set(state.id, state);
+    return state;
+  }
+
+  addRegistryEntry(registry: string, input: MockRegistryEntryInput) {
+    let entries = this.registries.get(registry);
+    if (entries === undefined) {
+      entries = new Map();
+      this.registries.set(registry, entries);
+    }
+    const entry: IRegistryEntryWithProperties = {
+      registry,
+      id: input.id ?? randomHex(32),
+      name: input.name,
+      parentId: input.parentId,
+      active: input.active ?? true,
+      properties: input.properties ?? {},
+    };
+    entries.set(entry.id, entry);
+    return entry;
+  }
+
+  addPeer(name: string, info?: Partial<IPeerInfo>) {
+    const peer: IPeerInfo = {
+      name,
+      activated: now(),
+      stats: {
+        sentMsgs: 0,
+        receivedMsgs: 0,
+        sentBytes: 0,
+        receivedBytes: 0,
+        reliableHighestSent: 0,
+        reliableAckBase: 0,
+      },
+      outboundTransport: "grpc",
+      ...info,
+    };
+    this.peers.set(name, peer);
+    return peer;
+  }
+
+  // Index a blockchain event, delivering it to any matching event listeners
+  addEvent(input: MockEventInput) {
+    const fragment = ethers.EventFragment.from(input.abi);
+    let tx = this.indexedTransactions.find(
+      (t) => t.hash === input.transactionHash
+    );
+    if (tx === undefined) {
+      tx = this.indexTransaction({
+        hash: input.transactionHash ?? randomHex(32),
+        to: input.address,
+      });
+    }
+    const event: IEventWithData = {
+      blockNumber: tx.blockNumber,
+      transactionIndex: tx.transactionIndex,
+      logIndex: this.events.filter((e) => e.transactionHash === tx!.hash)
+        .length,
+      transactionHash: tx.hash,
+      signature: fragment.topicHash,
+      soliditySignature: fragment.format("full"),
+      address: input.address.toLowerCase(),
+      data: input.data,
+    };
+    this.events.push(event);
+    this.emit("blockchainevents");
+    return event;
+  }
+
+  // Simulate a message arriving from another member of a privacy group
+  receiveMessage(input: IPrivacyGroupMessageInput & { node: string }) {
+    return this.storeMessage(input, input.node);
+  }
+
+  // ---- keymgr ----
+
+  wallets(): IWalletInfo[] {
+    return [{ name: WALLET, type: "embedded", description: "Mock wallet" }];
+  }
+
+  resolveKey(
+    identifier: string,
+    algorithm: string,
+    verifierType: string
+  ): IKeyMappingAndVerifier {
+    const key = this.getOrCreateKey(identifier);
+    const verifier = this.deriveVerifier(key.path, algorithm, verifierType);
+    if (
+      !key.verifiers.some(
+        (v) => v.algorithm === algorithm && v.type === verifierType
+      )
+    ) {
+      key.verifiers.push({ verifier, type: verifierType, algorithm });
+    }
+    return {
+      identifier: key.path,
+      keyHandle: key.keyHandle,
+      path: key.path.split(".").map((name, i, segments) => ({
+        name,
+        index: this.keys.get(segments.slice(0, i + 1).join("."))!.index,
+      })),
+      verifier: { verifier, type: verifierType, algorithm },
+      wallet: key.wallet,
+    };
+  }
+
+  resolveEthAddress(identifier: string) {
+    return this.resolveKey(
+      identifier,
+      Algorithms.ECDSA_SECP256K1,
+      Verifiers.ETH_ADDRESS
+    ).verifier.verifier;
+  }
+
+  reverseKeyLookup(algorithm: string, verifierType: string, verifier: string) {
+    for (const key of this.keys.values()) {
+      const match = key.verifiers.find(
+        (v) =>
+          v.algorithm === algorithm &&
+          v.type === verifierType &&
+          v.verifier.toLowerCase() === verifier.toLowerCase()
+      );
+      if (match !== undefined) {
+        return this.resolveKey(key.path, algorithm, verifierType);
+      }
+    }
+    throw new MockRpcError(
+      "PD010511: Verifier not available in reverse lookup table"
+    );
+  }
+
+  queryKeys(query: IQuery) {
+    return applyQuery(this.keys.values(), query, { defaultSort: ["path"] });
+  }
+
+  // ---- ptx ----
+
+  sendTransaction(input: ITransactionInput) {
+    return this.submit(input, false);
+  }
+
+  prepareTransaction(input: ITransactionInput) {
+    if (input.type !== "private") {
+      throw new MockRpcError(
+        "PD012225: Prepare transaction only supports private transactions"
+      );
+    }
+    return this.submit(input, true);
+  }
+
+  updateTransaction(id: string, input: ITransactionInput) {
+    const record = this.transactions.get(id);
+    if (record === undefined) {
+      throw new MockRpcError(`PD012244: Transaction not found with id ${id}`);
+    }
+    if (record.transaction.type === "private") {
+      throw new MockRpcError("PD012245: Private transaction cannot be updated");
+    }
+    Object.assign(record.transaction, this.newTransaction(input), {
+      id,
+      created: record.transaction.created,
+    });
+    return id;
+  }
+
+  getTransaction(id: string, full?: boolean) {
+    const record = this.transactions.get(id);
+    return record === undefined ? null : this.describeTransaction(record, full);
+  }
+
+  getTransactionByIdempotencyKey(idempotencyKey: string) {
+    const record = this.findByIdempotencyKey(idempotencyKey);
+    return record === undefined ? null : this.describeTransaction(record);
+  }
+
+  queryTransactions(query: IQuery, full?: boolean, pendingOnly?: boolean) {
+    const records = Array.from(this.transactions.values()).filter(
+      (r) => !pendingOnly || r.receipt === undefined
+    );
+    return applyQuery(
+      records.map((r) => this.describeTransaction(r, full)),
+      query,
+      { defaultSort: ["-created"] }
+    );
+  }
+
+  getTransactionReceipt(id: string, full?: boolean) {
+    const record = this.transactions.get(id);
+    if (record?.receipt === undefined) {
+      return null;
+    }
+    return full ? this.fullReceipt(record) : record.receipt;
+  }
+
+  getDomainReceipt(domain: string, id: string) {
+    const record = this.transactions.get(id);
+    return record?.receipt !== undefined &&
+      record.transaction.domain === domain
+      ? record.domainReceipt ?? null
+      : null;
+  }
+
+  getStateReceipt(id: string) {
+    const record = this.transactions.get(id);
+    return record?.receipt !== undefined ? record.states ?? { none: true } : null;
+  }
+
+  queryTransactionReceipts(query: IQuery) {
+    return applyQuery(this.receipts, query, { defaultSort: ["-sequence"] });
+  }
+
+  getTransactionDependencies(id: string) {
+    return this.transactions.has(id) ? { dependsOn: [], prereqOf: [] } : null;
+  }
+
+  queryPublicTransactions(query: IQuery, pendingOnly?: boolean) {
+    return applyQuery(
+      this.publicTransactions.filter((p) => !pendingOnly || !p.completedAt),
+      query,
+      { defaultSort: ["-localId"] }
+    );
+  }
+
+  getPublicTransactionByNonce(from: string, nonce: number) {
+    return (
+      this.publicTransactions.find(
+        (p) => sameAddress(p.from, from) && p.nonce === Number(nonce)
+      ) ?? null
+    );
+  }
+
+  getPublicTransactionByHash(hash: string) {
+    return (
+      this.publicTransactions.find((p) =>
+        sameAddress(p.transactionHash, hash)
+      ) ?? null
+    );
+  }
+
+  getPreparedTransaction(id: string) {
+    return this.prepared.get(id) ?? null;
+  }
+
+  queryPreparedTransactions(query: IQuery) {
+    return applyQuery(this.prepared.values(), query);
+  }
+
+  storeABI(abi: ethers.InterfaceAbi) {
+    // Parse it to reject invalid ABIs, as the node would
+    try {
+      new ethers.Interface(abi);
+    } catch (err) {
+      throw new MockRpcError("PD012201: ABI is invalid");
+    }
+    const hash = ethers.id(JSON.stringify(abi));
+    if (!this.abis.has(hash)) {
+      this.abis.set(hash, { hash, abi, created: now() });
+    }
+    return hash;
+  }
+
+  getStoredABI(hash: string) {
+    return this.abis.get(hash) ?? null;
+  }
+
+  queryStoredABIs(query: IQuery) {
+    return applyQuery(this.abis.values(), query, { defaultSort: ["-created"] });
+  }
+
+  decodeCall(callData: string): IABIDecodedData {
+    if (ethers.dataLength(callData) < 4) {
+      throw new MockRpcError(
+        "PD012226: Unable to decode call data (less than 4 bytes)"
+      );
+    }
+    for (const iface of this.storedInterfaces()) {
+      const parsed = iface.parseTransaction({ data: callData });
+      if (parsed !== null) {
+        return {
+          signature: parsed.fragment.format("sighash"),
+          definition: describeFragment(parsed.fragment),
+          data: decodeParams(parsed.fragment.inputs, parsed.args),
+          summary: "",
+        };
+      }
+    }
+    throw new MockRpcError(
+      "PD012227: Unable to decode call data using stored ABIs (0 matched function selector)"
+    );
+  }
+
+  decodeEvent(topics: string[], data: string): IABIDecodedData {
+    if (topics.length === 0) {
+      throw new MockRpcError(
+        "PD012228: Unable to decode event with no topics (anonymous events cannot be decoded)"
+      );
+    }
+    for (const iface of this.storedInterfaces()) {
+      const parsed = iface.parseLog({ topics, data });
+      if (parsed !== null) {
+        return {
+          signature: parsed.fragment.format("sighash"),
+          definition: describeFragment(parsed.fragment),
+          data: decodeParams(parsed.fragment.inputs, parsed.args),
+          summary: "",
+        };
+      }
+    }
+    throw new MockRpcError(
+      "PD012229: Unable to decode event data using stored ABIs (0 matched signature)"
+    );
+  }
+
+  decodeError(revertData: string): IABIDecodedData {
+    for (const iface of [
+      new ethers.Interface(["error Error(string)", "error Panic(uint256)"]),
+      ...this.storedInterfaces(),
+    ]) {
+      const parsed = iface.parseError(revertData);
+      if (parsed !== null) {
+        const data = decodeParams(parsed.fragment.inputs, parsed.args);
+        return {
+          signature: parsed.fragment.format("sighash"),
+          definition: describeFragment(parsed.fragment),
+          data,
+          summary: `${parsed.name}(${Object.values(data)
+            .map((v) => JSON.stringify(v))
+            .join(",")})`,
+        };
+      }
+    }
+    throw new MockRpcError(
+      `PD012221: No error ABI available to decode ${revertData}`
+    );
+  }
+
+  resolveVerifier(lookup: string, algorithm: string, verifierType: string) {
+    return this.resolveKey(lookup, algorithm, verifierType).verifier.verifier;
+  }
+
+  // ---- Listeners ----
+
+  createReceiptListener(listener: ITransactionReceiptListener) {
+    this.createListener(
+      this.receiptListeners,
+      listener,
+      `PD012237: A receipt listener named '${listener.name}' already exists`,
+      listener.filters?.sequenceAbove ?? -1
+    );
+    this.emit("receipts");
+    return true;
+  }
+
+  createBlockchainEventListener(listener: IBlockchainEventListener) {
+    if (!listener.sources?.length) {
+      throw new MockRpcError(
+        `PD012251: Blockchain event listener '${listener.name}' has no sources configured`
+      );
+    }
+    if (listener.sources.some((s) => !s.abi?.length)) {
+      throw new MockRpcError(
+        `PD012252: Blockchain event listener '${listener.name}' has a source with no ABI configured`
+      );
+    }
+    // Checkpoints are positions in the event list, which is in block order
+    const fromBlock = listener.options?.fromBlock ?? "0";
+    const first =
+      fromBlock === "latest"
+        ? -1
+        : this.events.findIndex((e) => e.blockNumber >= Number(fromBlock));
+    this.createListener(
+      this.eventListeners,
+      listener,
+      `PD012246: A blockchain event listener named '${listener.name}' already exists`,
+      first === -1 ? this.events.length - 1 : first - 1
+    );
+    this.emit("blockchainevents");
+    return true;
+  }
+
+  createMessageListener(listener: IPrivacyGroupMessageListener) {
+    this.createListener(
+      this.messageListeners,
+      listener,
+      `PD012507: A message listener named '${listener.name}' already exists`,
+      listener.filters?.sequenceAbove ?? -1
+    );
+    this.emit("messages");
+    return true;
+  }
+
+  queryListeners(type: MockListenerType, query: IQuery) {
+    return applyQuery(
+      Array.from(this.listenerMap(type).values()).map((l) => l.definition),
+      query,
+      { defaultSort: ["-created"] }
+    );
+  }
+
+  getListener(type: MockListenerType, name: string) {
+    return this.listenerMap(type).get(name)?.definition ?? null;
+  }
+
+  getBlockchainEventListenerStatus(name: string) {
+    const listener = this.requireListener("blockchainevents", name);
+    const last = this.events[listener.checkpoint];
+    const catchup = listener.checkpoint < this.events.length - 1;
+    // Once caught up, the checkpoint follows the confirmed blocks
+    return {
+      catchup,
+      checkpoint: {
+        blockNumber: catchup
+          ? last?.blockNumber ?? -1
+          : this.confirmedBlockHeight(),
+      },
+    };
+  }
+
+  setListenerStarted(type: MockListenerType, name: string, started: boolean) {
+    this.requireListener(type, name).definition.started = started;
+    if (started) {
+      this.emit(type);
+    }
+    return true;
+  }
+
+  deleteListener(type: MockListenerType, name: string) {
+    this.requireListener(type, name);
+    this.listenerMap(type).delete(name);
+    return true;
+  }
+
+  requireListener(type: MockListenerType, name: string) {
+    const listener = this.listenerMap(type).get(name);
+    if (listener === undefined) {
+      switch (type) {
+        case "receipts":
+          throw new MockRpcError(
+            `PD012238: Receipt listener '${name}' does not exist`
+          );
+        case "blockchainevents":
+          throw new MockRpcError(
+            `PD012248: Blockchain event listener '${name}' does not exist`
+          );
+        default:
+          throw new MockRpcError(
+            `PD012508: Message listener '${name}' does not exist`
+          );
+      }
+    }
+    return listener;
+  }
+
+  // The next batch to deliver to a listener, or undefined if it is stopped
+  // or has nothing new
+  nextBatch(type: MockListenerType, name: string): MockBatch | undefined {
+    const listener = this.listenerMap(type).get(name);
+    if (listener === undefined || !listener.definition.started) {
+      return undefined;
+    }
+    let batch: MockBatch;
+    switch (type) {
+      case "receipts":
+        batch = this.nextReceiptBatch(
+          listener as ListenerRecord<ITransactionReceiptListener>
+        );
+        break;
+      case "blockchainevents":
+        batch = this.nextEventBatch(
+          listener as ListenerRecord<IBlockchainEventListener>
+        );
+        break;
+      default:
+        batch = this.nextMessageBatch(
+          listener as ListenerRecord<IPrivacyGroupMessageListener>
+        );
+    }
+    return batch.items.length > 0 ? batch : undefined;
+  }
+
+  commitBatch(type: MockListenerType, name: string, checkpoint: number) {
+    const listener = this.listenerMap(type).get(name);
+    if (listener !== undefined && checkpoint > listener.checkpoint) {
+      listener.checkpoint = checkpoint;
+    }
+  }
+
+  // ---- pstate ----
+
+  listSchemas(domain: string) {
+    return Array.from(this.schemas.values()).filter((s) => s.domain === domain);
+  }
+
+  getSchemaById(domain: string, id: string) {
+    const schema = this.schemas.get(id);
+    return schema?.domain === domain ? schema : null;
+  }
+
+  storeState(
+    domain: string,
+    contractAddress: string,
+    schema: string,
+    data: object
+  ) {
+    return this.addState({ domain, contractAddress, schema, data });
+  }
+
+  queryStates(
+    domain: string,
+    contractAddress: string | undefined,
+    schema: string,
+    query: IQuery,
+    status: StateStatus,
+    nullifiers?: boolean
+  ) {
+    const states = Array.from(this.states.values()).filter(
+      (s) =>
+        s.domain === domain &&
+        s.schema === schema &&
+        (contractAddress === undefined ||
+          sameAddress(s.contractAddress, contractAddress)) &&
+        (!nullifiers || s.nullifier !== undefined) &&
+        this.stateMatchesStatus(s, status)
+    );
+    return applyQuery(states, query, {
+      resolve: resolveStateField,
+      defaultSort: [".created"],
+    });
+  }
+
+  // ---- pgroup ----
+
+  createGroup(input: IPrivacyGroupInput) {
+    if (!input.domain) {
+      throw new MockRpcError("PD012505: domain must be specified");
+    }
+    if (!input.members?.length) {
+      throw new MockRpcError(
+        "PD012501: The privacy group must have at least one member"
+      );
+    }
+    const id = randomHex(32);
+    const group: IPrivacyGroup = {
+      id,
+      domain: input.domain,
+      created: now(),
+      name: input.name ?? "",
+      members: input.members,
+      properties: { ...(input.properties as Record<string, string>) },
+      configuration: { ...(input.configuration as Record<string, string>) },
+      genesisSalt: randomHex(32),
+    };
+    group.genesisTransaction = this.submit(
+      {
+        type: "private" as any,
+        domain: input.domain,
+        from: `pgroup.${id}`,
+        data: { ...group.configuration, members: input.members },
+        idempotencyKey: input.transactionOptions?.idempotencyKey,
+      },
+      false,
+      (receipt) => {
+        group.contractAddress = receipt.contractAddress;
+      }
+    );
+    this.groups.set(id, group);
+    return group;
+  }
+
+  getGroupById(domain: string, id: string) {
+    const group = this.groups.get(id);
+    return group?.domain === domain ? group : null;
+  }
+
+  getGroupByAddress(address: string) {
+    return (
+      Array.from(this.groups.values()).find((g) =>
+        sameAddress(g.contractAddress, address)
+      ) ?? null
+    );
+  }
+
+  queryGroups(query: IQuery, member?: string) {
+    return applyQuery(
+      Array.from(this.groups.values()).filter(
+        (g) => member === undefined || g.members.includes(member)
+      ),
+      query,
+      { defaultSort: ["-created"] }
+    );
+  }
+
+  sendGroupTransaction(input: IPrivacyGroupEVMTXInput) {
+    const group = this.requireGroup(input.domain, input.group);
+    // As with Pente, the call is wrapped in a private function of the group's
+    // contract - "deploy" for deployments, or else the function invoked
+    const wrapped =
+      input.to === undefined ? "deploy" : input.function?.name ?? "invoke";
+    return this.submit(
+      {
+        type: "private" as any,
+        domain: group.domain,
+        to: group.contractAddress,
+        from: input.from,
+        function: wrapped,
+        abi: input.function !== undefined ? [input.function] : undefined,
+        data: (input.input as any) ?? {},
+        idempotencyKey: input.idempotencyKey,
+        bytecode: input.bytecode,
+      },
+      false
+    );
+  }
+
+  requireGroup(domain: string, id: string) {
+    const group = this.getGroupById(domain, id);
+    if (group === null) {
+      throw new MockRpcError(`PD012502: Privacy group '${id}' not found`);
+    }
+    if (group.contractAddress === undefined) {
+      throw new MockRpcError(
+        `PD012503: Privacy group '${id}' is not ready (check transaction '${group.genesisTransaction}' has been confirmed on-chain)`
+      );
+    }
+    return group;
+  }
+
+  sendMessage(input: IPrivacyGroupMessageInput) {
+    return this.storeMessage(input, this.nodeName).id;
+  }
+
+  getMessageById(id: string) {
+    return this.messages.find((m) => m.id === id) ?? null;
+  }
+
+  queryMessages(query: IQuery) {
+    return applyQuery(this.messages, query, {
+      defaultSort: ["-localSequence"],
+    });
+  }
+
+  // ---- reg ----
+
+  listRegistries() {
+    return Array.from(this.registries.keys());
+  }
+
+  queryEntries(
+    registry: string,
+    query: IQuery,
+    activeFilter: ActiveFilter,
+    withProps: boolean
+  ): (IRegistryEntry | IRegistryEntryWithProperties)[] {
+    const entries = Array.from(this.requireRegistry(registry).values()).filter(
+      (e) => activeMatches(e.active, activeFilter)
+    );
+    return applyQuery(entries, query, {
+      resolve: resolveRegistryField,
+      defaultSort: [".id"],
+    }).map(({ properties, ...entry }) =>
+      withProps ? { ...entry, properties } : entry
+    );
+  }
+
+  getEntryProperties(
+    registry: string,
+    entryId: string,
+    activeFilter: ActiveFilter
+  ): IRegistryProperty[] {
+    const entry = this.requireRegistry(registry).get(entryId);
+    if (entry === undefined || !activeMatches(entry.active, activeFilter)) {
+      return [];
+    }
+    return Object.entries(entry.properties).map(([name, value]) => ({
+      registry,
+      entryId,
+      name,
+      value,
+      active: entry.active,
+    }));
+  }
+
+  // ---- transport ----
+
+  localTransports() {
+    return ["grpc"];
+  }
+
+  localTransportDetails(name: string) {
+    if (name !== "grpc") {
+      throw new MockRpcError(`PD012001: Transport "${name}" not found`);
+    }
+    return JSON.stringify({ endpoint: `dns:///${this.nodeName}:9000` });
+  }
+
+  listPeers() {
+    return Array.from(this.peers.values());
+  }
+
+  peerInfo(name: string) {
+    return this.peers.get(name) ?? null;
+  }
+
+  queryReliableMessages(query: IQuery) {
+    return applyQuery(this.reliableMessages, query, {
+      defaultSort: ["-sequence"],
+    });
+  }
+
+  queryReliableMessageAcks(query: IQuery) {
+    return applyQuery(this.reliableMessageAcks, query);
+  }
+
+  // ---- domain ----
+
+  getDomain(name: string) {
+    return this.domains.includes(name)
+      ? { name, registryAddress: this.domainAddress(name) }
+      : null;
+  }
+
+  getDomainByAddress(address: string) {
+    const name = this.domains.find((d) =>
+      sameAddress(this.domainAddress(d), address)
+    );
+    return name === undefined ? null : this.getDomain(name);
+  }
+
+  querySmartContracts(query: IQuery) {
+    return applyQuery(this.smartContracts, query);
+  }
+
+  getSmartContractByAddress(address: string) {
+    return (
+      this.smartContracts.find((c) => sameAddress(c.address, address)) ?? null
+    );
+  }
+
+  // ---- bidx ----
+
+  getBlockByNumber(number: number) {
+    return this.blocks[Number(number)] ?? null;
+  }
+
+  getIndexedTransaction(hash: string) {
+    return (
+      this.indexedTransactions.find((t) => sameAddress(t.hash, hash)) ?? null
+    );
+  }
+
+  getIndexedTransactionByNonce(from: string, nonce: number) {
+    return (
+      this.indexedTransactions.find(
+        (t) => sameAddress(t.from, from) && t.nonce === Number(nonce)
+      ) ?? null
+    );
+  }
+
+  getBlockTransactions(blockNumber: number) {
+    return this.indexedTransactions.filter(
+      (t) => t.blockNumber === Number(blockNumber)
+    );
+  }
+
+  getTransactionEvents(hash: string) {
+    return this.events.filter((e) => sameAddress(e.transactionHash, hash));
+  }
+
+  queryIndexedBlocks(query: IQuery) {
+    return applyQuery(this.blocks, query, { defaultSort: ["-number"] });
+  }
+
+  queryIndexedTransactions(query: IQuery) {
+    return applyQuery(this.indexedTransactions, query, {
+      defaultSort: ["-blockNumber", "-transactionIndex"],
+    });
+  }
+
+  queryIndexedEvents(query: IQuery) {
+    return applyQuery(this.events, query, {
+      defaultSort: ["-blockNumber", "-transactionIndex", "-logIndex"],
+    });
+  }
+
+  confirmedBlockHeight() {
+    return this.blocks.length - 1;
+  }
+
+  decodeTransactionEvents(hash: string, abi: ethers.InterfaceAbi) {
+    const topics = new Set<string>();
+    new ethers.Interface(abi).forEachEvent((e) => topics.add(e.topicHash));
+    return this.getTransactionEvents(hash).filter((e) =>
+      topics.has(e.signature)
+    );
+  }
+
+  // ---- Internals ----
+
+  private submit(
+    input: ITransactionInput,
+    prepare: boolean,
+    onConfirm?: (receipt: ITransactionReceipt) => void
+  ) {
+    if (input.type !== "private" && input.type !== "public") {
+      throw new MockRpcError("PD012211: Invalid transaction type", -32600);
+    }
+    if (input.type === "private" && !input.to && !input.domain) {
+      throw new MockRpcError(
+        "PD012232: A domain must be specified for a private smart contract deployment transaction"
+      );
+    }
+    if (input.idempotencyKey !== undefined) {
+      const existing = this.findByIdempotencyKey(input.idempotencyKey);
+      if (existing !== undefined) {
+        throw new MockRpcError(
+          `PD012220: idempotencyKey already used by submitted transaction ${existing.transaction.id}`
+        );
+      }
+    }
+    const transaction = this.newTransaction(input);
+    const record: TransactionRecord = {
+      transaction,
+      prepare,
+      outcome: this.outcomeFor(transaction),
+      onConfirm,
+    };
+    this.transactions.set(transaction.id, record);
+    if (transaction.type === "public" && !prepare) {
+      record.publicTx = this.newPublicTransaction(transaction);
+    }
+    if (!record.outcome.pending) {
+      record.timer = setTimeout(
+        () => this.confirm(transaction.id),
+        record.outcome.delayMs ?? this.confirmDelayMs
+      );
+    }
+    return transaction.id;
+  }
+
+  private newTransaction(input: ITransactionInput) {
+    const { abi, bytecode, ...rest } = input;
+    const transaction: ITransaction & { idempotencyKey?: string } = {
+      ...rest,
+      function: functionSignature(abi, input.function),
+      id: uuid.v4(),
+      created: now(),
+      abiReference:
+        abi !== undefined ? this.storeABI(abi) : input.abiReference ?? "",
+      data: input.data ?? {},
+    };
+    return transaction;
+  }
+
+  private newPublicTransaction(transaction: ITransaction) {
+    const from = this.resolveEthAddress(transaction.from);
+    const nonce = this.nonces.get(from) ?? 0;
+    this.nonces.set(from, nonce + 1);
+    const publicTx = {
+      localId: this.publicTransactions.length + 1,
+      from,
+      nonce,
+      to: transaction.to,
+      created: transaction.created,
+      transactionIds: [transaction.id],
+    };
+    this.publicTransactions.push(publicTx);
+    return publicTx;
+  }
+
+  private outcomeFor(transaction: ITransaction): MockTransactionOutcome {
+    const next = this.nextOutcomes.shift();
+    if (next !== undefined) {
+      return next;
+    }
+    for (const behavior of this.behaviors) {
+      const outcome = behavior(transaction);
+      if (outcome) {
+        return outcome;
+      }
+    }
+    return {};
+  }
+
+  private findByIdempotencyKey(idempotencyKey: string) {
+    return Array.from(this.transactions.values()).find(
+      (r) => r.transaction.idempotencyKey === idempotencyKey
+    );
+  }
+
+  private writeReceipt(
+    record: TransactionRecord,
+    outcome: MockTransactionOutcome
+  ) {
+    const { transaction } = record;
+    const success = outcome.success ?? true;
+    const deploy = !transaction.to;
+    const contractAddress =
+      success && deploy
+        ? (outcome.contractAddress ?? randomHex(20)).toLowerCase()
+        : undefined;
+    const indexed = this.indexTransaction({
+      hash: randomHex(32),
+      from: record.publicTx?.from,
+      nonce: record.publicTx?.nonce ?? 0,
+      to: transaction.to,
+      contractAddress,
+      result: success ? "success" : "failure",
+    });
+
+    const receipt: ITransactionReceipt = {
+      id: transaction.id,
+      sequence: this.receipts.length + 1,
+      domain: transaction.domain,
+      success,
+      blockNumber: indexed.blockNumber,
+      transactionHash: indexed.hash,
+      source: transaction.to ?? contractAddress ?? "",
+    };
+    if (contractAddress !== undefined) {
+      receipt.contractAddress = contractAddress;
+    }
+    if (!success) {
+      receipt.failureMessage =
+        outcome.failureMessage ??
+        `PD011513: Reverted: ${outcome.revertData ?? "0x"}`;
+      (receipt as any).revertData = outcome.revertData;
+    }
+    record.receipt = receipt;
+    record.domainReceipt = outcome.domainReceipt;
+    if (transaction.type === "private") {
+      record.states = outcome.states ?? { none: true };
+    }
+    if (record.publicTx !== undefined) {
+      Object.assign(record.publicTx, {
+        completedAt: now(),
+        transactionHash: indexed.hash,
+        success,
+      });
+    }
+    if (success) {
+      // A prepared transaction has not been submitted, so its states are not
+      // yet spent or confirmed
+      if (!record.prepare) {
+        this.applyStates(transaction.id, outcome.states);
+      }
+      if (deploy && transaction.domain) {
+        this.smartContracts.push({
+          address: contractAddress,
+          domainName: transaction.domain,
+          domainAddress: this.domainAddress(transaction.domain),
+          deployTransaction: transaction.id,
+        });
+      }
+      if (record.prepare) {
+        this.prepared.set(transaction.id, {
+          id: transaction.id,
+          domain: transaction.domain ?? "",
+          to: transaction.to ?? "",
+          transaction: {
+            type: "public" as any,
+            from: transaction.from,
+            to: transaction.to,
+            function: transaction.function,
+            data: transaction.data,
+            abiReference: transaction.abiReference,
+          },
+          states: outcome.states ?? {},
+          metadata: null,
+          ...outcome.prepared,
+        });
+      }
+    }
+    this.receipts.push(receipt);
+    record.onConfirm?.(receipt);
+    this.emit("receipts");
+    return receipt;
+  }
+
+  private applyStates(txId: string, states?: ITransactionStates) {
+    const upsert = (state: IStateBase) => {
+      const existing = this.states.get(state.id);
+      if (existing !== undefined) {
+        return existing;
+      }
+      const stored: IState = { ...state, created: state.created ?? now() };
+      this.states.set(state.id, stored);
+      return stored;
+    };
+    for (const state of [...(states?.read ?? []), ...(states?.info ?? [])]) {
+      upsert(state);
+    }
+    for (const state of states?.confirmed ?? []) {
+      upsert(state).confirmed = { transaction: txId };
+    }
+    for (const state of states?.spent ?? []) {
+      upsert(state).spent = { transaction: txId };
+    }
+  }
+
+  private describeTransaction(record: TransactionRecord, full?: boolean) {
+    if (!full) {
+      return record.transaction;
+    }
+    return {
+      ...record.transaction,
+      receipt: record.receipt ? this.fullReceipt(record) : undefined,
+      public: record.publicTx ? [record.publicTx] : [],
+    };
+  }
+
+  private fullReceipt(record: TransactionRecord) {
+    return {
+      ...record.receipt!,
+      states: record.states,
+      domainReceipt: record.domainReceipt,
+    };
+  }
+
+  private mineBlock() {
+    const block: IIndexedBlock = {
+      number: this.blocks.length,
+      hash: randomHex(32),
+      timestamp: Math.floor(Date.now() / 1000),
+    };
+    this.blocks.push(block);
+    return block;
+  }
+
+  private indexTransaction(
+    tx: Partial<IIndexedTransaction> & { hash: string }
+  ) {
+    const block = this.mineBlock();
+    const indexed: IIndexedTransaction = {
+      blockNumber: block.number,
+      transactionIndex: 0,
+      nonce: 0,
+      result: "success",
+      ...tx,
+    };
+    this.indexedTransactions.push(indexed);
+    return indexed;
+  }
+
+  private storedInterfaces() {
+    return Array.from(this.abis.values()).map(
+      ({ abi }) => new ethers.Interface(abi)
+    );
+  }
+
+  private getOrCreateKey(identifier: string) {
+    const path = identifier.endsWith(`@${this.nodeName}`)
+      ? identifier.slice(0, -(this.nodeName.length + 1))
+      : identifier;
+    const segments = path.split(".");
+    if (!path || segments.some((s) => s === "")) {
+      throw new MockRpcError(`PD010500: Invalid key identifier: '${identifier}'`);
+    }
+    let entry: IKeyQueryEntry | undefined;
+    segments.forEach((name, i) => {
+      const entryPath = segments.slice(0, i + 1).join(".");
+      const parent = segments.slice(0, i).join(".");
+      entry = this.keys.get(entryPath);
+      if (entry === undefined) {
+        entry = {
+          isKey: false,
+          hasChildren: false,
+          parent,
+          path: entryPath,
+          name,
+          index: Array.from(this.keys.values()).filter(
+            (k) => k.parent === parent
+          ).length,
+          identifier: "",
+          keyHandle: "",
+          wallet: "",
+          verifiers: [],
+        };
+        this.keys.set(entryPath, entry);
+      }
+      if (i > 0) {
+        this.keys.get(parent)!.hasChildren = true;
+      }
+    });
+    if (!entry!.isKey) {
+      Object.assign(entry!, {
+        isKey: true,
+        identifier: path,
+        keyHandle: path,
+        wallet: WALLET,
+      });
+    }
+    return entry!;
+  }
+
+  private deriveVerifier(
+    identifier: string,
+    algorithm: string,
+    verifierType: string
+  ) {
+    if (algorithm === Algorithms.ECDSA_SECP256K1) {
+      const key = new ethers.SigningKey(ethers.id(identifier));
+      switch (verifierType) {
+        case Verifiers.ETH_ADDRESS:
+          return ethers.computeAddress(key).toLowerCase();
+        case Verifiers.ETH_ADDRESS_CHECKSUM:
+          return ethers.computeAddress(key);
+        case Verifiers.HEX_ECDSA_PUBKEY_UNCOMPRESSED:
+          return key.publicKey.slice(4);
+        case Verifiers.HEX_ECDSA_PUBKEY_UNCOMPRESSED_0X:
+          return "0x" + key.publicKey.slice(4);
+      }
+    }
+    // Other algorithms (such as the Zeto BabyJubJub keys) just get a stable,
+    // unique value per identifier
+    return ethers.id(`${algorithm}/${verifierType}/${identifier}`);
+  }
+
+  private stateMatchesStatus(state: IState, status: StateStatus) {
+    switch (status) {
+      case "available":
+        return state.confirmed !== undefined && state.spent === undefined;
+      case "confirmed":
+        return state.confirmed !== undefined;
+      case "unconfirmed":
+        return state.confirmed === undefined;
+      case "spent":
+        return state.spent !== undefined;
+      default:
+        return true;
+    }
+  }
+
+  private storeMessage(input: IPrivacyGroupMessageInput, node: string) {
+    const group = this.getGroupById(input.domain, input.group);
+    if (group === null) {
+      throw new MockRpcError(
+        `PD012502: Privacy group '${input.group}' not found`
+      );
+    }
+    if (!input.topic) {
+      throw new MockRpcError("PD012515: Message topic cannot be empty");
+    }
+    if (input.data === undefined || input.data === null) {
+      throw new MockRpcError("PD012514: Message data cannot be null");
+    }
+    const message: IPrivacyGroupMessage = {
+      ...input,
+      id: uuid.v4(),
+      localSequence: this.messages.length + 1,
+      sent: now(),
+      received: now(),
+      node,
+    };
+    this.messages.push(message);
+    this.emit("messages");
+    return message;
+  }
+
+  private requireRegistry(registry: string) {
+    const entries = this.registries.get(registry);
+    if (entries === undefined) {
+      throw new MockRpcError(`PD012101: Registry "${registry}" not found`);
+    }
+    return entries;
+  }
+
+  private domainAddress(domain: string) {
+    return ethers.dataSlice(ethers.id(`domain/${domain}`), 0, 20);
+  }
+
+  private listenerMap(type: MockListenerType): Map<string, ListenerRecord<any>> {
+    switch (type) {
+      case "receipts":
+        return this.receiptListeners;
+      case "blockchainevents":
+        return this.eventListeners;
+      default:
+        return this.messageListeners;
+    }
+  }
+
+  private createListener<T extends { name: string }>(
+    listeners: Map<string, ListenerRecord<T>>,
+    definition: T,
+    duplicateMessage: string,
+    checkpoint: number
+  ) {
+    if (!definition.name) {
+      throw new MockRpcError("PD012241: Receipt listener name is required");
+    }
+    if (listeners.has(definition.name)) {
+      throw new MockRpcError(duplicateMessage);
+    }
+    listeners.set(definition.name, {
+      definition: { ...definition, created: now(), started: true },
+      checkpoint,
+    });
+  }
+
+  private nextReceiptBatch(
+    listener: ListenerRecord<ITransactionReceiptListener>
+  ): MockBatch {
+    const { filters, options } = listener.definition;
+    const items = this.receipts
+      .filter((r) => {
+        const tx = this.transactions.get(r.id)!.transaction;
+        return (
+          r.sequence > listener.checkpoint &&
+          (filters?.type === undefined || tx.type === filters.type) &&
+          (filters?.domain === undefined || tx.domain === filters.domain)
+        );
+      })
+      .slice(0, DEFAULT_BATCH_SIZE)
+      .map((r) => {
+        const record = this.transactions.get(r.id)!;
+        const full = this.fullReceipt(record);
+        return options?.domainReceipts
+          ? full
+          : { ...full, domainReceipt: undefined };
+      });
+    return {
+      items,
+      checkpoint: items[items.length - 1]?.sequence ?? listener.checkpoint,
+    };
+  }
+
+  private nextEventBatch(
+    listener: ListenerRecord<IBlockchainEventListener>
+  ): MockBatch {
+    const { sources, options } = listener.definition;
+    const matchers = sources.map((source) => {
+      const topics = new Set<string>();
+      new ethers.Interface(source.abi).forEachEvent((e) =>
+        topics.add(e.topicHash)
+      );
+      return (e: IEventWithData) =>
+        topics.has(e.signature) &&
+        (source.address === undefined || sameAddress(source.address, e.address));
+    });
+    const limit = options?.batchSize ?? DEFAULT_BATCH_SIZE;
+    const items: IEventWithData[] = [];
+    let checkpoint = listener.checkpoint;
+    // Non-matching events still move the checkpoint on
+    for (let i = listener.checkpoint + 1; i < this.events.length; i++) {
+      if (items.length >= limit) {
+        break;
+      }
+      if (matchers.some((match) => match(this.events[i]))) {
+        items.push(this.events[i]);
+      }
+      checkpoint = i;
+    }
+    return { items, checkpoint };
+  }
+
+  private nextMessageBatch(
+    listener: ListenerRecord<IPrivacyGroupMessageListener>
+  ): MockBatch {
+    const { filters, options } = listener.definition;
+    const topic =
+      filters?.topic !== undefined ? new RegExp(filters.topic) : undefined;
+    const items = this.messages
+      .filter(
+        (m) =>
+          m.localSequence > listener.checkpoint &&
+          (filters?.domain === undefined || m.domain === filters.domain) &&
+          (filters?.group === undefined || m.group === filters.group) &&
+          (topic === undefined || topic.test(m.topic)) &&
+          (!options?.excludeLocal || m.node !== this.nodeName)
+      )
+      .slice(0, DEFAULT_BATCH_SIZE);
+    return {
+      items,
+      checkpoint: items[items.length - 1]?.localSequence ?? listener.checkpoint,
+    };
+  }
+}
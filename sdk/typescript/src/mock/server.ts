@@ -0,0 +1,421 @@
+import * as http from "http";
+import { AddressInfo } from "net";
+import * as uuid from "uuid";
+import WebSocket, { WebSocketServer } from "ws";
+import { JsonRpcError } from "../interfaces";
+import { MockRpcError } from "./errors";
+import { MockMethodHandler, mockMethods } from "./methods";
+import {
+  MockListenerType,
+  MockPaladinNode,
+  MockPaladinNodeOptions,
+} from "./node";
+
+export interface MockPaladinServerOptions extends MockPaladinNodeOptions {
+  // Defaults to 0, which picks a free port
+  port?: number;
+  host?: string;
+  // Delay before redelivering a batch that was nacked
+  nackRetryDelayMs?: number;
+}
+
+export interface MockFailure {
+  message: string;
+  code?: number;
+  // Fail at the HTTP layer with this status, instead of a JSON-RPC error
+  httpStatus?: number;
+}
+
+export interface MockRequestRecord {
+  method: string;
+  params: any[];
+  transport: "http" | "websocket";
+}
+
+interface JsonRpcMessage {
+  jsonrpc?: string;
+  id?: string | number;
+  method: string;
+  params?: any[];
+}
+
+interface JsonRpcReply {
+  jsonrpc: "2.0";
+  id?: string | number;
+  result?: any;
+  error?: JsonRpcError;
+}
+
+interface Subscription {
+  id: string;
+  socket: WebSocket;
+  notification: string;
+  type: MockListenerType;
+  listener: string;
+  inFlight?: number; // checkpoint to commit when the batch is acked
+}
+
+// Namespaces supporting websocket subscriptions, with their subscription types
+const SUBSCRIPTION_TYPES: Record<string, Record<string, MockListenerType>> = {
+  ptx: { receipts: "receipts", blockchainevents: "blockchainevents" },
+  pgroup: { messages: "messages" },
+};
+
+const SUBSCRIPTION_METHODS = ["subscribe", "unsubscribe", "ack", "nack"];
+
+const INVALID_REQUEST: JsonRpcReply = {
+  jsonrpc: "2.0",
+  id: "1",
+  error: { code: -32600, message: "PD020700: Invalid JSON/RPC request data" },
+};
+
+const BATCH_FIELDS: Record<MockListenerType, string> = {
+  receipts: "receipts",
+  blockchainevents: "events",
+  messages: "messages",
+};
+
+const LISTENER_NAME_REQUIRED: Record<MockListenerType, string> = {
+  receipts: "PD012241: Receipt listener name is required",
+  blockchainevents: "PD012249: Blockchain event listener name is required",
+  messages: "PD012519: Receipt listener name is required",
+};
+
+/**
+ * In-process stand-in for a Paladin node, serving the JSON-RPC API over HTTP
+ * and websockets from the in-memory MockPaladinNode. Point a PaladinClient at
+ * `url` (and its websocket config at `wsUrl`) to test without a real node.
+ *
+ *   const mock = new MockPaladinServer();
+ *   await mock.start();
+ *   const paladin = new PaladinClient({ url: mock.url });
+ *   mock.node.nextTransaction({ success: false, failureMessage: "boom" });
+ */
+export class MockPaladinServer {
+  readonly node: MockPaladinNode;
+  // Every request received, for assertions
+  readonly requests: MockRequestRecord[] = [];
+  private methods: Record<string, MockMethodHandler>;
+  private overrides = new Map<string, MockMethodHandler>();
+  private failures = new Map<string, MockFailure[]>();
+  private server: http.Server;
+  private wss: WebSocketServer;
+  private subscriptions: Subscription[] = [];
+  private retryTimers = new Set<ReturnType<typeof setTimeout>>();
+  private batchCounter = 0;
+  private nextSubscriber = 0;
+
+  constructor(private options: MockPaladinServerOptions = {}) {
+    this.node = new MockPaladinNode(options);
+    this.methods = mockMethods(this.node);
+    this.server = http.createServer((req, res) => this.handleHttp(req, res));
+    this.wss = new WebSocketServer({ server: this.server });
+    this.wss.on("connection", (socket) => this.handleConnection(socket));
+    for (const type of Object.keys(BATCH_FIELDS) as MockListenerType[]) {
+      this.node.on(type, () => this.deliverAll(type));
+    }
+  }
+
+  get url() {
+    return `http://${this.hostPort()}`;
+  }
+
+  get wsUrl() {
+    return `ws://${this.hostPort()}`;
+  }
+
+  async start() {
+    await new Promise<void>((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(
+        this.options.port ?? 0,
+        this.options.host ?? "127.0.0.1",
+        () => {
+          this.server.off("error", reject);
+          resolve();
+        }
+      );
+    });
+    return this.url;
+  }
+
+  async stop() {
+    this.node.close();
+    for (const timer of this.retryTimers) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+    for (const socket of this.wss.clients) {
+      socket.terminate();
+    }
+    await new Promise<void>((resolve) => this.wss.close(() => resolve()));
+    this.server.closeAllConnections();
+    await new Promise<void>((resolve) => this.server.close(() => resolve()));
+  }
+
+  // Replace the built-in implementation of a method (including unimplemented
+  // ones such as ptx_call) - throw a MockRpcError to return an error
+  handle(method: string, handler: MockMethodHandler) {
+    this.overrides.set(method, handler);
+    return this;
+  }
+
+  // Fail the next call(s) to a method, before it reaches the mock node
+  failNext(method: string, failure: MockFailure | string, times = 1) {
+    const queue = this.failures.get(method) ?? [];
+    for (let i = 0; i < times; i++) {
+      queue.push(typeof failure === "string" ? { message: failure } : failure);
+    }
+    this.failures.set(method, queue);
+    return this;
+  }
+
+  private hostPort() {
+    const address = this.server.address() as AddressInfo | null;
+    if (address === null) {
+      throw new Error("Mock server not started");
+    }
+    return `${this.options.host ?? "127.0.0.1"}:${address.port}`;
+  }
+
+  private async handleHttp(
+    req: http.IncomingMessage,
+    res: http.ServerResponse
+  ) {
+    if (req.method !== "POST") {
+      res.writeHead(405).end();
+      return;
+    }
+    let body = "";
+    for await (const chunk of req) {
+      body += chunk;
+    }
+
+    let request: JsonRpcMessage | JsonRpcMessage[];
+    try {
+      request = JSON.parse(body);
+    } catch (err) {
+      this.sendHttp(res, 500, INVALID_REQUEST);
+      return;
+    }
+
+    const requests = Array.isArray(request) ? request : [request];
+    for (const { method } of requests) {
+      const failure = this.failures.get(method)?.[0];
+      if (failure?.httpStatus !== undefined) {
+        this.failures.get(method)!.shift();
+        res.writeHead(failure.httpStatus, { "Content-Type": "text/plain" });
+        res.end(failure.message);
+        return;
+      }
+    }
+
+    const replies = await Promise.all(
+      requests.map((r) => this.process(r, "http"))
+    );
+    // As with the node, a batch only fails when every call in it fails
+    const failed = replies.filter((r) => r?.error !== undefined).length;
+    const ok = failed !== replies.length;
+    this.sendHttp(
+      res,
+      ok ? 200 : 500,
+      Array.isArray(request) ? replies : replies[0]
+    );
+  }
+
+  private sendHttp(res: http.ServerResponse, status: number, body: any) {
+    res.writeHead(status, {
+      "Content-Type": "application/json; charset=utf-8",
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  private handleConnection(socket: WebSocket) {
+    socket.on("message", async (data) => {
+      let request: JsonRpcMessage;
+      try {
+        request = JSON.parse(data.toString());
+      } catch (err) {
+        socket.send(JSON.stringify(INVALID_REQUEST));
+        return;
+      }
+      const reply = await this.process(request, "websocket", socket);
+      if (reply !== undefined && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(reply));
+      }
+    });
+    socket.on("close", () => {
+      const closed = this.subscriptions.filter((s) => s.socket === socket);
+      this.subscriptions = this.subscriptions.filter(
+        (s) => s.socket !== socket
+      );
+      // Anything in flight goes to another subscriber, or waits for a reconnect
+      for (const sub of closed) {
+        this.deliver(sub.type, sub.listener);
+      }
+    });
+  }
+
+  private async process(
+    request: JsonRpcMessage,
+    transport: "http" | "websocket",
+    socket?: WebSocket
+  ): Promise<JsonRpcReply | undefined> {
+    const { id, method } = request;
+    const params = request.params ?? [];
+    this.requests.push({ method, params, transport });
+    const reply = (result: any): JsonRpcReply => ({
+      jsonrpc: "2.0",
+      id,
+      result,
+    });
+    const fail = (message: string, code = -32603): JsonRpcReply => ({
+      jsonrpc: "2.0",
+      id,
+      error: { code, message },
+    });
+
+    if (id === undefined || id === null) {
+      return fail(
+        "PD020701: Invalid JSON/RPC request. Must set request ID",
+        -32600
+      );
+    }
+    const failure = this.failures.get(method)?.shift();
+    if (failure !== undefined) {
+      return fail(failure.message, failure.code);
+    }
+
+    const [namespace, name] = method.split("_", 2);
+    if (
+      SUBSCRIPTION_TYPES[namespace] !== undefined &&
+      SUBSCRIPTION_METHODS.includes(name)
+    ) {
+      if (socket === undefined) {
+        return fail(
+          `PD020706: method ${method} only available on WebSocket connections`,
+          -32600
+        );
+      }
+      try {
+        return this.handleSubscription(namespace, name, params, socket, reply);
+      } catch (err: any) {
+        return fail(err.message, err.code ?? -32600);
+      }
+    }
+
+    const handler = this.overrides.get(method) ?? this.methods[method];
+    if (handler === undefined) {
+      return fail(`PD020702: method not supported ${method}`, -32600);
+    }
+    try {
+      // Round-trip through JSON so callers never share the node's objects
+      const result = await handler(params);
+      return reply(
+        result === undefined ? null : JSON.parse(JSON.stringify(result))
+      );
+    } catch (err: any) {
+      return fail(err.message, err instanceof MockRpcError ? err.code : -32603);
+    }
+  }
+
+  private handleSubscription(
+    namespace: string,
+    name: string,
+    params: any[],
+    socket: WebSocket,
+    reply: (result: any) => JsonRpcReply
+  ) {
+    if (name === "subscribe") {
+      const type = SUBSCRIPTION_TYPES[namespace][params[0]];
+      if (type === undefined) {
+        throw new MockRpcError(
+          `PD020704: method ${namespace}_subscribe parameter 0 invalid: ${params[0]}`,
+          -32600
+        );
+      }
+      if (!params[1]) {
+        throw new MockRpcError(LISTENER_NAME_REQUIRED[type], -32600);
+      }
+      this.node.requireListener(type, params[1]);
+      const sub: Subscription = {
+        id: uuid.v4(),
+        socket,
+        notification: `${namespace}_subscription`,
+        type,
+        listener: params[1],
+      };
+      this.subscriptions.push(sub);
+      // Deliver after the subscribe reply has been sent
+      setImmediate(() => this.deliver(type, sub.listener));
+      return reply(sub.id);
+    }
+
+    const sub = this.subscriptions.find((s) => s.id === params[0]);
+    switch (name) {
+      case "ack":
+        if (sub?.inFlight !== undefined) {
+          this.node.commitBatch(sub.type, sub.listener, sub.inFlight);
+          delete sub.inFlight;
+          this.deliver(sub.type, sub.listener);
+        }
+        return undefined; // no reply to acks/nacks
+      case "nack":
+        if (sub?.inFlight !== undefined) {
+          delete sub.inFlight;
+          const timer = setTimeout(() => {
+            this.retryTimers.delete(timer);
+            this.deliver(sub.type, sub.listener);
+          }, this.options.nackRetryDelayMs ?? 100);
+          this.retryTimers.add(timer);
+        }
+        return undefined;
+      default:
+        if (sub !== undefined) {
+          this.subscriptions = this.subscriptions.filter((s) => s !== sub);
+          this.deliver(sub.type, sub.listener);
+        }
+        return reply(sub !== undefined);
+    }
+  }
+
+  private deliverAll(type: MockListenerType) {
+    const listeners = new Set(
+      this.subscriptions.filter((s) => s.type === type).map((s) => s.listener)
+    );
+    for (const listener of listeners) {
+      this.deliver(type, listener);
+    }
+  }
+
+  // Only one batch per listener is in flight at a time, shared across its
+  // subscribers in turn - as with a real node
+  private deliver(type: MockListenerType, listener: string) {
+    const subs = this.subscriptions.filter(
+      (s) => s.type === type && s.listener === listener
+    );
+    if (subs.length === 0 || subs.some((s) => s.inFlight !== undefined)) {
+      return;
+    }
+    const batch = this.node.nextBatch(type, listener);
+    if (batch === undefined) {
+      return;
+    }
+    const sub = subs[this.nextSubscriber++ % subs.length];
+    sub.inFlight = batch.checkpoint;
+    sub.socket.send(
+      JSON.stringify({
+        jsonrpc: "2.0",
+        method: sub.notification,
+        params: {
+          subscription: sub.id,
+          result: {
+            batchId:
+              type === "blockchainevents" ? uuid.v4() : ++this.batchCounter,
+            [BATCH_FIELDS[type]]: batch.items,
+          },
+        },
+      })
+    );
+  }
+}
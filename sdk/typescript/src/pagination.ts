@@ -0,0 +1,159 @@
+import { IQuery, IQueryOpSingleVal, IQueryStatements } from "./interfaces";
+import { QueryInput, toQuery } from "./query";
+
+const DEFAULT_PAGE_SIZE = 100;
+
+export interface PaginateOptions {
+  // Number of entries to fetch per request (defaults to query.limit, or 100)
+  pageSize?: number;
+  // Field(s) giving a unique, stable ordering - appended to any sort in the
+  // query as a tiebreaker
+  cursorField?: string | string[];
+  // Reads the value of a sort field from a result (defaults to the top-level
+  // property, with any "." prefix removed)
+  cursorValue?: CursorValueFn;
+}
+
+export type CursorValueFn = (item: any, field: string) => any;
+
+export interface SortField {
+  field: string;
+  descending: boolean;
+}
+
+// Accepts both the "-field" and "field DESC" sort syntaxes
+export const parseSort = (sort: string): SortField => {
+  const [field, direction] = sort.trim().split(/\s+/);
+  if (field.startsWith("-")) {
+    return { field: field.slice(1), descending: true };
+  }
+  return { field, descending: direction?.toLowerCase() === "desc" };
+};
+
+// State and registry queries prefix built-in fields with "."
+const builtInValue: CursorValueFn = (item, field) =>
+  item?.[field.startsWith(".") ? field.slice(1) : field];
+
+// Other fields on a state query are fields of the schema, found in the data
+export const stateCursorValue: CursorValueFn = (state, field) =>
+  field.startsWith(".") ? builtInValue(state, field) : state?.data?.[field];
+
+// ...and on a registry query they are the properties of the entry
+export const registryCursorValue: CursorValueFn = (entry, field) =>
+  field.startsWith(".")
+    ? builtInValue(entry, field)
+    : entry?.properties?.[field];
+
+const cursorValue = (read: CursorValueFn, item: any, field: string) => {
+  const value = read(item, field);
+  if (value === undefined) {
+    throw new Error(
+      `Cannot paginate on field "${field}", as it is not in the results`
+    );
+  }
+  return value;
+};
+
+const withOp = (
+  statements: IQueryStatements,
+  op: "eq" | "gt" | "lt",
+  filter: IQueryOpSingleVal
+): IQueryStatements => ({
+  ...statements,
+  [op]: [...(statements[op] ?? []), filter],
+});
+
+// Build the statements that select every entry after the given one, in the
+// order of the sort fields: (a > x) OR (a = x AND b > y) OR ...
+const afterCursor = (
+  sort: SortField[],
+  last: any,
+  read: CursorValueFn
+): IQueryStatements[] =>
+  sort.map((sf, i) => {
+    let clause: IQueryStatements = {};
+    for (const prev of sort.slice(0, i)) {
+      clause = withOp(clause, "eq", {
+        field: prev.field,
+        value: cursorValue(read, last, prev.field),
+      });
+    }
+    return withOp(clause, sf.descending ? "lt" : "gt", {
+      field: sf.field,
+      value: cursorValue(read, last, sf.field),
+    });
+  });
+
+const mergeOps = (a: IQueryStatements, b: IQueryStatements) => {
+  const merged: IQueryStatements = {};
+  for (const op of ["eq", "gt", "lt"] as const) {
+    if (b[op] !== undefined) {
+      merged[op] = [...(a[op] ?? []), ...b[op]!];
+    }
+  }
+  return merged;
+};
+
+const nextPageQuery = (
+  query: IQuery,
+  sort: SortField[],
+  last: any,
+  read: CursorValueFn
+): IQuery => {
+  const clauses = afterCursor(sort, last, read);
+  if (clauses.length === 1) {
+    return { ...query, ...mergeOps(query, clauses[0]) };
+  }
+  // A statement can only have one "or", so distribute over any existing one
+  const or = query.or
+    ? query.or.flatMap((existing) =>
+        clauses.map((clause) => ({ ...existing, ...mergeOps(existing, clause) }))
+      )
+    : clauses;
+  return { ...query, or };
+};
+
+/**
+ * Iterate through every result of a query, fetching one page at a time.
+ * Each subsequent page is selected by filtering on the sort field(s) of the
+ * last entry returned, so the sort (with the cursor fields appended) must
+ * produce a unique, stable ordering.
+ */
+export async function* paginate<T>(
+  queryFn: (query: IQuery) => Promise<T[]>,
+  input: QueryInput,
+  options?: PaginateOptions
+): AsyncGenerator<T, void, undefined> {
+  const query = toQuery(input);
+  const pageSize = options?.pageSize ?? query.limit ?? DEFAULT_PAGE_SIZE;
+  const tiebreakers =
+    typeof options?.cursorField === "string"
+      ? [options.cursorField]
+      : options?.cursorField ?? [];
+  const sorted = new Set((query.sort ?? []).map((s) => parseSort(s).field));
+  const cursorFields = [
+    ...(query.sort ?? []),
+    ...tiebreakers.filter((field) => !sorted.has(field)),
+  ];
+  if (cursorFields.length === 0) {
+    throw new Error("Pagination requires a sort or cursorField");
+  }
+  const sort = cursorFields.map(parseSort);
+
+  let pageQuery: IQuery = { ...query, limit: pageSize, sort: cursorFields };
+  while (true) {
+    const page = await queryFn(pageQuery);
+    for (const item of page) {
+      yield item;
+    }
+    if (page.length < pageSize) {
+      return;
+    }
+    pageQuery = nextPageQuery(
+      { ...query, limit: pageSize, sort: cursorFields },
+      sort,
+      page[page.length - 1],
+      options?.cursorValue ?? builtInValue
+    );
+  }
+}
@@ -1,10 +1,23 @@
-import axios, { AxiosError, AxiosInstance, AxiosRequestConfig } from "axios";
+import axios, {
+  AxiosInstance,
+  AxiosRequestConfig,
+  AxiosResponse,
+} from "axios";
 import { ethers, InterfaceAbi } from "ethers";
+import { PaladinBatch } from "./batch";
+import {
+  newPaladinRpcError,
+  PaladinNotFoundError,
+  PaladinRevertError,
+  PaladinRpcError,
+  toPaladinRpcError,
+} from "./errors";
 import {
   ActiveFilter,
   Algorithms,
   IABIDecodedData,
   IBlockchainEventListener,
+  IBlockchainEventListenerStatus,
   IEthAddress,
   IEventWithData,
   IKeyMappingAndVerifier,
@@ -18,7 +31,6 @@ import {
   IPrivacyGroupInput,
   IPrivacyGroupMessageInput,
   IPrivacyGroupMessageListener,
-  IQuery,
   IRegistryEntry,
   IRegistryEntryWithProperties,
   IRegistryProperty,
@@ -32,13 +44,25 @@ import {
   ITransactionReceiptListener,
   ITransactionStates,
   IWalletInfo,
+  JsonRpcCallContext,
   JsonRpcResult,
   Logger,
   PaladinConfig,
   PaladinErrorHandler,
+  PaladinMiddleware,
   StateStatus,
   Verifiers,
 } from "./interfaces";
+import { runMiddleware } from "./middleware";
+import {
+  paginate,
+  PaginateOptions,
+  registryCursorValue,
+  stateCursorValue,
+} from "./pagination";
+import { QueryInput } from "./query";
+import { ReceiptWaiter } from "./receipts";
+import { CircuitBreaker, RetryPolicy } from "./retry";
 import { PaladinVerifier } from "./verifier";
 
 const POLL_INTERVAL_MS = 100;
@@ -47,21 +71,37 @@ export default class PaladinClient {
   protected http: AxiosInstance;
   private logger: Logger;
   private onError: PaladinErrorHandler;
+  private receiptWaiter?: ReceiptWaiter;
+  private pendingBatch?: PaladinBatch;
+  private retryPolicy?: RetryPolicy;
+  private circuitBreaker?: CircuitBreaker;
+  private middleware: PaladinMiddleware[];
 
-  constructor(options: PaladinConfig) {
+  constructor(private options: PaladinConfig) {
     this.http = axios.create({
       ...options.requestConfig,
       baseURL: options.url,
     });
     this.logger = options.logger ?? console;
+    this.middleware = [...(options.middleware ?? [])];
     this.onError =
       options.onError ??
-      ((method: string, err: AxiosError) => {
-        this.logger.error(
-          `JSON-RPC error from ${method} (${err.response?.status} ${err.response?.statusText})`,
-          this.parseAxiosErrorMessage(err)
-        );
+      ((method: string, err: PaladinRpcError) => {
+        this.logger.error(`JSON-RPC error from ${method}: ${err.message}`);
       });
+    if (options.retry !== undefined) {
+      this.retryPolicy = new RetryPolicy(options.retry);
+    }
+    if (options.circuitBreaker !== undefined) {
+      this.circuitBreaker = new CircuitBreaker(options.circuitBreaker);
+    }
+    if (options.websocket !== undefined) {
+      this.receiptWaiter = new ReceiptWaiter(
+        this,
+        { logger: this.logger, ...options.websocket },
+        this.logger
+      );
+    }
   }
 
   protected defaultHeaders() {
@@ -83,20 +123,201 @@ export default class PaladinClient {
   }
 
   parseAxiosErrorMessage(err: any) {
-    if (err instanceof AxiosError && err.response?.data?.error) {
-      return err.response.data.error?.message || err.response.data.error;
+    return toPaladinRpcError(err, "").message;
+  }
+
+  // Add a middleware to the end of the chain that wraps every JSON-RPC call
+  use(middleware: PaladinMiddleware) {
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  // With notFoundAs404, a not-found error from the node is returned as a 404
+  // (for getters where the node reports a missing entity as an error)
+  private async post<T extends JsonRpcResult<any>>(
+    method: string,
+    params: any[],
+    config?: AxiosRequestConfig,
+    notFoundAs404 = false
+  ): Promise<Pick<AxiosResponse<T>, "status" | "data">> {
+    const ctx: JsonRpcCallContext = {
+      ...this.defaultPayload(),
+      method,
+      params,
+      headers: {},
+      transport: "http",
+      startTime: Date.now(),
+    };
+    try {
+      const result = await runMiddleware(this.middleware, ctx, () =>
+        this.invoke<T>(ctx, config)
+      );
+      return { status: 200, data: { result } as T };
+    } catch (err) {
+      const rpcError = toPaladinRpcError(err, ctx.method, ctx.id);
+      if (notFoundAs404 && rpcError instanceof PaladinNotFoundError) {
+        return { status: 404, data: {} as T };
+      }
+      await this.onError(ctx.method, rpcError);
+      throw rpcError;
     }
-    return `${err}`;
   }
 
-  private post<T>(method: string, params: any[], config?: AxiosRequestConfig) {
-    const res = this.http.post<T>(
-      "/",
-      { ...this.defaultPayload(), method, params },
-      { ...config, headers: this.defaultHeaders() }
-    );
-    res.catch((err: AxiosError) => this.onError(method, err));
-    return res;
+  // The innermost step of the middleware chain
+  private async invoke<T extends JsonRpcResult<any>>(
+    ctx: JsonRpcCallContext,
+    config?: AxiosRequestConfig
+  ) {
+    const payload = {
+      jsonrpc: ctx.jsonrpc,
+      id: ctx.id,
+      method: ctx.method,
+      params: ctx.params,
+    };
+    try {
+      let res: Pick<AxiosResponse<T>, "status" | "data">;
+      if (this.pendingBatch !== undefined) {
+        const queued = this.pendingBatch.enqueue<T>(payload, config);
+        ctx.id = payload.id; // re-numbered within the batch
+        res = await queued;
+      } else {
+        res = await this.send<T>(payload, ctx.headers, config);
+      }
+      if (res.status === 404) {
+        return undefined;
+      }
+      if (res.data?.error !== undefined) {
+        throw newPaladinRpcError(res.data.error, {
+          method: ctx.method,
+          requestId: ctx.id,
+          httpStatus: res.status,
+        });
+      }
+      return res.data.result;
+    } catch (err) {
+      const rpcError = toPaladinRpcError(err, ctx.method, ctx.id);
+      if (rpcError instanceof PaladinRevertError) {
+        await this.decodeRevert(rpcError);
+      }
+      throw rpcError;
+    }
+  }
+
+  private send<T>(
+    payload: { id: number; method: string; params: any[] },
+    headers: Record<string, string>,
+    config?: AxiosRequestConfig
+  ) {
+    const attempt = () =>
+      this.http
+        .post<T>("/", payload, {
+          ...config,
+          headers: { ...this.defaultHeaders(), ...headers },
+        })
+        .catch((err) => {
+          throw toPaladinRpcError(err, payload.method, payload.id);
+        });
+    const guarded = () =>
+      this.circuitBreaker !== undefined
+        ? this.circuitBreaker.execute(payload.method, attempt)
+        : attempt();
+    return this.retryPolicy !== undefined
+      ? this.retryPolicy.execute(payload.method, payload.params, guarded)
+      : guarded();
+  }
+
+  // Best-effort decode of raw revert data, using any ABIs stored on the node.
+  // Sent directly, so a failed decode does not reach onError or middleware.
+  private async decodeRevert(err: PaladinRevertError) {
+    if (err.revertData === undefined || err.method === "ptx_decodeError") {
+      return;
+    }
+    try {
+      const res = await this.send<JsonRpcResult<IABIDecodedData>>(
+        {
+          ...this.defaultPayload(),
+          method: "ptx_decodeError",
+          params: [err.revertData, ""],
+        },
+        {}
+      );
+      if (res.data?.error === undefined) {
+        err.decoded = res.data.result;
+      }
+    } catch {
+      // no matching error ABI is known to the node
+    }
+  }
+
+  /**
+   * Send every call made on the supplied client as a single JSON-RPC batch.
+   * Each call still returns its own promise, and any array returned from the
+   * builder is resolved once the batch completes. When the builder returns
+   * nothing, the batch rejects with the first call that failed.
+   */
+  async batch<T extends readonly unknown[] | []>(
+    build: (b: PaladinClient) => T
+  ): Promise<{ -readonly [P in keyof T]: Awaited<T[P]> }>;
+  async batch(build: (b: PaladinClient) => void): Promise<void>;
+  async batch(
+    build: (b: PaladinClient) => readonly unknown[] | void
+  ): Promise<unknown> {
+    const client = new PaladinClient({ ...this.options, websocket: undefined });
+    // Middleware must call next() without first awaiting anything, or the
+    // call will be sent individually rather than as part of the batch
+    client.middleware = this.middleware;
+    const batch = (client.pendingBatch = new PaladinBatch());
+    // Every call is tracked, so one whose promise the builder discards
+    // does not become an unhandled rejection
+    const calls: Promise<unknown>[] = [];
+    const track = (target: any): any =>
+      new Proxy(target, {
+        get: (obj, prop) => {
+          const value = obj[prop];
+          if (typeof value === "function") {
+            return (...args: any[]) => {
+              const result = value.apply(obj, args);
+              if (result instanceof Promise) {
+                result.catch(() => {});
+                calls.push(result);
+              }
+              return result;
+            };
+          }
+          // API namespaces such as ptx and pstate
+          return typeof value === "object" && value !== null
+            ? track(value)
+            : value;
+        },
+      });
+    const results = build(track(client));
+    // Calls made on the client after this point are sent individually
+    delete client.pendingBatch;
+    await batch.send(this.http, { headers: this.defaultHeaders() });
+    if (results) {
+      return Promise.all(results);
+    }
+    await Promise.all(calls);
+  }
+
+  // Wait for a receipt using the shared receipt listener if a websocket is
+  // configured, otherwise by polling
+  async waitForReceipt(txID: string, waitMs: number, full?: boolean) {
+    return this.receiptWaiter !== undefined
+      ? this.receiptWaiter.waitForReceipt(txID, waitMs, full)
+      : this.pollForReceipt(txID, waitMs, full);
+  }
+
+  // Must be called when a websocket is configured, to delete the temporary
+  // receipt listener created on the node
+  async close() {
+    await this.receiptWaiter?.close();
+  }
+
+  // The websocket configuration, for listeners that open their own
+  // subscriptions
+  get websocketConfig() {
+    return this.options.websocket;
   }
 
   async pollForReceipt(txID: string, waitMs: number, full?: boolean) {
@@ -149,7 +370,7 @@ export default class PaladinClient {
   /**
    * @deprecated Use ptx.queryTransactions instead
    */
-  async queryTransactions(query: IQuery) {
+  async queryTransactions(query: QueryInput) {
     return this.ptx.queryTransactions(query);
   }
 
@@ -172,7 +393,7 @@ export default class PaladinClient {
   /**
    * @deprecated Use ptx.queryTransactionReceipts instead
    */
-  async queryTransactionReceipts(query: IQuery) {
+  async queryTransactionReceipts(query: QueryInput) {
     return this.ptx.queryTransactionReceipts(query);
   }
 
@@ -273,7 +494,7 @@ export default class PaladinClient {
   async queryStates(
     domain: string,
     schema: string,
-    query: IQuery,
+    query: QueryInput,
     status: StateStatus
   ) {
     return this.pstate.queryStates(domain, schema, query, status);
@@ -286,7 +507,7 @@ export default class PaladinClient {
     domain: string,
     contractAddress: string,
     schema: string,
-    query: IQuery,
+    query: QueryInput,
     status: StateStatus
   ) {
     return this.pstate.queryContractStates(
@@ -416,13 +637,19 @@ export default class PaladinClient {
       return res.data.result;
     },
 
-    queryKeys: async (query: IQuery) => {
+    queryKeys: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<IKeyQueryEntry[]>>(
         "keymgr_queryKeys",
         [query]
       );
       return res.data.result;
     },
+
+    iterateKeys: (query: QueryInput, options?: PaginateOptions) =>
+      paginate(this.keymgr.queryKeys, query, {
+        cursorField: "path",
+        ...options,
+      }),
   };
 
   ptx = {
@@ -511,7 +738,7 @@ export default class PaladinClient {
       return res.status === 404 ? undefined : res.data.result;
     },
 
-    queryTransactions: async (query: IQuery) => {
+    queryTransactions: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<ITransaction[]>>(
         "ptx_queryTransactions",
         [query]
@@ -519,7 +746,7 @@ export default class PaladinClient {
       return res.data.result;
     },
 
-    queryTransactionsFull: async (query: IQuery) => {
+    queryTransactionsFull: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<ITransaction[]>>(
         "ptx_queryTransactionsFull",
         [query]
@@ -527,7 +754,19 @@ export default class PaladinClient {
       return res.data.result;
     },
 
-    queryPendingTransactions: async (query: IQuery, full?: boolean) => {
+    iterateTransactions: (query: QueryInput, options?: PaginateOptions) =>
+      paginate(this.ptx.queryTransactions, query, {
+        cursorField: ["created", "id"],
+        ...options,
+      }),
+
+    iterateTransactionsFull: (query: QueryInput, options?: PaginateOptions) =>
+      paginate(this.ptx.queryTransactionsFull, query, {
+        cursorField: ["created", "id"],
+        ...options,
+      }),
+
+    queryPendingTransactions: async (query: QueryInput, full?: boolean) => {
       const res = await this.post<JsonRpcResult<ITransaction[]>>(
         "ptx_queryPendingTransactions",
         [query, full]
@@ -577,7 +816,7 @@ export default class PaladinClient {
       return res.status === 404 ? undefined : res.data.result;
     },
 
-    queryTransactionReceipts: async (query: IQuery) => {
+    queryTransactionReceipts: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<ITransactionReceipt[]>>(
         "ptx_queryTransactionReceipts",
         [query]
@@ -585,6 +824,12 @@ export default class PaladinClient {
       return res.data.result;
     },
 
+    iterateTransactionReceipts: (query: QueryInput, options?: PaginateOptions) =>
+      paginate(this.ptx.queryTransactionReceipts, query, {
+        cursorField: "sequence",
+        ...options,
+      }),
+
     getTransactionDependencies: async (txID: string) => {
       const res = await this.post<JsonRpcResult<string[]>>(
         "ptx_getTransactionDependencies",
@@ -596,7 +841,7 @@ export default class PaladinClient {
       return res.status === 404 ? undefined : res.data.result;
     },
 
-    queryPublicTransactions: async (query: IQuery) => {
+    queryPublicTransactions: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<any[]>>(
         "ptx_queryPublicTransactions",
         [query]
@@ -604,7 +849,13 @@ export default class PaladinClient {
       return res.data.result;
     },
 
-    queryPendingPublicTransactions: async (query: IQuery) => {
+    iteratePublicTransactions: (query: QueryInput, options?: PaginateOptions) =>
+      paginate(this.ptx.queryPublicTransactions, query, {
+        cursorField: "localId",
+        ...options,
+      }),
+
+    queryPendingPublicTransactions: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<any[]>>(
         "ptx_queryPendingPublicTransactions",
         [query]
@@ -645,7 +896,7 @@ export default class PaladinClient {
       return res.status === 404 ? undefined : res.data.result;
     },
 
-    queryPreparedTransactions: async (query: IQuery) => {
+    queryPreparedTransactions: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<IPreparedTransaction[]>>(
         "ptx_queryPreparedTransactions",
         [query]
@@ -653,6 +904,15 @@ export default class PaladinClient {
       return res.data.result;
     },
 
+    iteratePreparedTransactions: (
+      query: QueryInput,
+      options?: PaginateOptions
+    ) =>
+      paginate(this.ptx.queryPreparedTransactions, query, {
+        cursorField: ["created", "id"],
+        ...options,
+      }),
+
     storeABI: async (abi: ethers.InterfaceAbi) => {
       await this.post("ptx_storeABI", [abi]);
     },
@@ -665,7 +925,7 @@ export default class PaladinClient {
       return res.data.result;
     },
 
-    queryStoredABIs: async (query: IQuery) => {
+    queryStoredABIs: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<IStoredABI[]>>(
         "ptx_queryStoredABIs",
         [query]
@@ -689,8 +949,7 @@ export default class PaladinClient {
         );
         return res.data.result;
       } catch (err) {
-        const parsed = this.parseAxiosErrorMessage(err);
-        if (typeof parsed === "string" && parsed.indexOf("PD012229") >= 0) {
+        if (err instanceof PaladinRpcError && err.messageKey === "PD012229") {
           return undefined;
         }
         throw err;
@@ -725,7 +984,7 @@ export default class PaladinClient {
       return res.data.result;
     },
 
-    queryReceiptListeners: async (query: IQuery) => {
+    queryReceiptListeners: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<ITransactionReceiptListener[]>>(
         "ptx_queryReceiptListeners",
         [query]
@@ -776,7 +1035,7 @@ export default class PaladinClient {
       return res.data.result;
     },
 
-    queryBlockchainEventListeners: async (query: IQuery) => {
+    queryBlockchainEventListeners: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<IBlockchainEventListener[]>>(
         "ptx_queryBlockchainEventListeners",
         [query]
@@ -788,7 +1047,8 @@ export default class PaladinClient {
       const res = await this.post<JsonRpcResult<IBlockchainEventListener>>(
         "ptx_getBlockchainEventListener",
         [name],
-        { validateStatus: (status) => status < 300 || status === 404 }
+        { validateStatus: (status) => status < 300 || status === 404 },
+        true
       );
       return res.status === 404 ? undefined : res.data.result;
     },
@@ -818,10 +1078,13 @@ export default class PaladinClient {
     },
 
     getBlockchainEventListenerStatus: async (name: string) => {
-      const res = await this.post<JsonRpcResult<any>>(
+      const res = await this.post<
+        JsonRpcResult<IBlockchainEventListenerStatus>
+      >(
         "ptx_getBlockchainEventListenerStatus",
         [name],
-        { validateStatus: (status) => status < 300 || status === 404 }
+        { validateStatus: (status) => status < 300 || status === 404 },
+        true
       );
       return res.status === 404 ? undefined : res.data.result;
     },
@@ -863,7 +1126,7 @@ export default class PaladinClient {
     queryStates: async (
       domain: string,
       schema: string,
-      query: IQuery,
+      query: QueryInput,
       status: StateStatus
     ) => {
       const res = await this.post<JsonRpcResult<IState[]>>(
@@ -877,7 +1140,7 @@ export default class PaladinClient {
       domain: string,
       contractAddress: string,
       schema: string,
-      query: IQuery,
+      query: QueryInput,
       status: StateStatus
     ) => {
       const res = await this.post<JsonRpcResult<IState[]>>(
@@ -887,10 +1150,52 @@ export default class PaladinClient {
       return res.data.result;
     },
 
+    iterateStates: (
+      domain: string,
+      schema: string,
+      query: QueryInput,
+      status: StateStatus,
+      options?: PaginateOptions
+    ) =>
+      paginate(
+        (q) => this.pstate.queryStates(domain, schema, q, status),
+        query,
+        {
+          cursorField: [".created", ".id"],
+          cursorValue: stateCursorValue,
+          ...options,
+        }
+      ),
+
+    iterateContractStates: (
+      domain: string,
+      contractAddress: string,
+      schema: string,
+      query: QueryInput,
+      status: StateStatus,
+      options?: PaginateOptions
+    ) =>
+      paginate(
+        (q) =>
+          this.pstate.queryContractStates(
+            domain,
+            contractAddress,
+            schema,
+            q,
+            status
+          ),
+        query,
+        {
+          cursorField: [".created", ".id"],
+          cursorValue: stateCursorValue,
+          ...options,
+        }
+      ),
+
     queryNullifiers: async (
       domain: string,
       schema: string,
-      query: IQuery,
+      query: QueryInput,
       status: StateStatus
     ) => {
       const res = await this.post<JsonRpcResult<IState[]>>(
@@ -904,7 +1209,7 @@ export default class PaladinClient {
       domain: string,
       contractAddress: string,
       schema: string,
-      query: IQuery,
+      query: QueryInput,
       status: StateStatus
     ) => {
       const res = await this.post<JsonRpcResult<IState[]>>(
@@ -940,7 +1245,7 @@ export default class PaladinClient {
       return res.data.result;
     },
 
-    queryGroups: async (query: IQuery) => {
+    queryGroups: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<IPrivacyGroup[]>>(
         "pgroup_queryGroups",
         [query]
@@ -948,7 +1253,7 @@ export default class PaladinClient {
       return res.data.result;
     },
 
-    queryGroupsWithMember: async (member: string, query: IQuery) => {
+    queryGroupsWithMember: async (member: string, query: QueryInput) => {
       const res = await this.post<JsonRpcResult<IPrivacyGroup[]>>(
         "pgroup_queryGroupsWithMember",
         [member, query]
@@ -985,7 +1290,7 @@ export default class PaladinClient {
       return res.status === 404 ? undefined : res.data.result;
     },
 
-    queryMessages: async (query: IQuery) => {
+    queryMessages: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<any[]>>(
         "pgroup_queryMessages",
         [query]
@@ -993,6 +1298,12 @@ export default class PaladinClient {
       return res.data.result;
     },
 
+    iterateMessages: (query: QueryInput, options?: PaginateOptions) =>
+      paginate(this.pgroup.queryMessages, query, {
+        cursorField: "localSequence",
+        ...options,
+      }),
+
     createMessageListener: async (listener: IPrivacyGroupMessageListener) => {
       const res = await this.post<JsonRpcResult<boolean>>(
         "pgroup_createMessageListener",
@@ -1001,7 +1312,7 @@ export default class PaladinClient {
       return res.data.result;
     },
 
-    queryMessageListeners: async (query: IQuery) => {
+    queryMessageListeners: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<IPrivacyGroupMessageListener[]>>(
         "pgroup_queryMessageListeners",
         [query]
@@ -1082,7 +1393,7 @@ export default class PaladinClient {
       return res.status === 404 ? undefined : res.data.result;
     },
 
-    queryReliableMessages: async (query: IQuery) => {
+    queryReliableMessages: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<any[]>>(
         "transport_queryReliableMessages",
         [query]
@@ -1090,7 +1401,13 @@ export default class PaladinClient {
       return res.data.result;
     },
 
-    queryReliableMessageAcks: async (query: IQuery) => {
+    iterateReliableMessages: (query: QueryInput, options?: PaginateOptions) =>
+      paginate(this.transport.queryReliableMessages, query, {
+        cursorField: "sequence",
+        ...options,
+      }),
+
+    queryReliableMessageAcks: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<any[]>>(
         "transport_queryReliableMessageAcks",
         [query]
@@ -1126,7 +1443,7 @@ export default class PaladinClient {
       return res.status === 404 ? undefined : res.data.result;
     },
 
-    querySmartContracts: async (query: IQuery) => {
+    querySmartContracts: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<any[]>>(
         "domain_querySmartContracts",
         [query]
@@ -1134,6 +1451,12 @@ export default class PaladinClient {
       return res.data.result;
     },
 
+    iterateSmartContracts: (query: QueryInput, options?: PaginateOptions) =>
+      paginate(this.domain.querySmartContracts, query, {
+        cursorField: "address",
+        ...options,
+      }),
+
     getSmartContractByAddress: async (address: string) => {
       const res = await this.post<JsonRpcResult<any>>(
         "domain_getSmartContractByAddress",
@@ -1188,7 +1511,7 @@ export default class PaladinClient {
       return res.data.result;
     },
 
-    queryIndexedBlocks: async (query: IQuery) => {
+    queryIndexedBlocks: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<any[]>>(
         "bidx_queryIndexedBlocks",
         [query]
@@ -1196,7 +1519,7 @@ export default class PaladinClient {
       return res.data.result;
     },
 
-    queryIndexedTransactions: async (query: IQuery) => {
+    queryIndexedTransactions: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<any[]>>(
         "bidx_queryIndexedTransactions",
         [query]
@@ -1204,7 +1527,7 @@ export default class PaladinClient {
       return res.data.result;
     },
 
-    queryIndexedEvents: async (query: IQuery) => {
+    queryIndexedEvents: async (query: QueryInput) => {
       const res = await this.post<JsonRpcResult<any[]>>(
         "bidx_queryIndexedEvents",
         [query]
@@ -1212,6 +1535,24 @@ export default class PaladinClient {
       return res.data.result;
     },
 
+    iterateIndexedBlocks: (query: QueryInput, options?: PaginateOptions) =>
+      paginate(this.bidx.queryIndexedBlocks, query, {
+        cursorField: "number",
+        ...options,
+      }),
+
+    iterateIndexedTransactions: (query: QueryInput, options?: PaginateOptions) =>
+      paginate(this.bidx.queryIndexedTransactions, query, {
+        cursorField: ["blockNumber", "transactionIndex"],
+        ...options,
+      }),
+
+    iterateIndexedEvents: (query: QueryInput, options?: PaginateOptions) =>
+      paginate(this.bidx.queryIndexedEvents, query, {
+        cursorField: ["blockNumber", "transactionIndex", "logIndex"],
+        ...options,
+      }),
+
     getConfirmedBlockHeight: async () => {
       const res = await this.post<JsonRpcResult<number>>(
         "bidx_getConfirmedBlockHeight",
@@ -1255,7 +1596,7 @@ export default class PaladinClient {
 
     queryEntries: async (
       registryName: string,
-      query: IQuery,
+      query: QueryInput,
       activeFilter: ActiveFilter
     ) => {
       const res = await this.post<JsonRpcResult<IRegistryEntry[]>>(
@@ -1267,7 +1608,7 @@ export default class PaladinClient {
 
     queryEntriesWithProps: async (
       registryName: string,
-      query: IQuery,
+      query: QueryInput,
       activeFilter: ActiveFilter
     ) => {
       const res = await this.post<
@@ -1276,6 +1617,38 @@ export default class PaladinClient {
       return res.data.result;
     },
 
+    iterateEntries: (
+      registryName: string,
+      query: QueryInput,
+      activeFilter: ActiveFilter,
+      options?: PaginateOptions
+    ) =>
+      paginate(
+        (q) => this.reg.queryEntries(registryName, q, activeFilter),
+        query,
+        {
+          cursorField: ".id",
+          cursorValue: registryCursorValue,
+          ...options,
+        }
+      ),
+
+    iterateEntriesWithProps: (
+      registryName: string,
+      query: QueryInput,
+      activeFilter: ActiveFilter,
+      options?: PaginateOptions
+    ) =>
+      paginate(
+        (q) => this.reg.queryEntriesWithProps(registryName, q, activeFilter),
+        query,
+        {
+          cursorField: ".id",
+          cursorValue: registryCursorValue,
+          ...options,
+        }
+      ),
+
     getEntryProperties: async (
       registryName: string,
       entryId: string,
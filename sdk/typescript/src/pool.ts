@@ -0,0 +1,183 @@
+import { EventEmitter } from "events";
+import { PaladinTransportError } from "./errors";
+import {
+  ITransactionInput,
+  Logger,
+  PaladinClientPoolConfig,
+  PaladinPoolEndpoint,
+} from "./interfaces";
+import PaladinClient from "./paladin";
+
+const MAX_STICKY_KEYS = 10000;
+
+interface PoolEndpoint extends PaladinPoolEndpoint {
+  client: PaladinClient;
+}
+
+const describe = ({ client, ...endpoint }: PoolEndpoint) => ({ ...endpoint });
+
+export interface PoolExecuteOptions {
+  // Calls sharing an idempotency key are routed to the same endpoint
+  idempotencyKey?: string;
+  // The call only reads from the node
+  readOnly?: boolean;
+  // Whether the call may be repeated on another endpoint after a transport
+  // failure. A failed request (e.g. one that timed out) may still have been
+  // applied, so by default only reads and calls with an idempotency key are.
+  failover?: boolean;
+}
+
+export declare interface PaladinClientPool {
+  on(event: "up", listener: (endpoint: PaladinPoolEndpoint) => void): this;
+  on(
+    event: "down",
+    listener: (endpoint: PaladinPoolEndpoint, err: Error) => void
+  ): this;
+}
+
+// Routes calls across several endpoints serving the same logical Paladin node,
+// failing over between them as they go down and come back up
+export class PaladinClientPool extends EventEmitter {
+  private endpoints: PoolEndpoint[];
+  private sticky = new Map<string, PoolEndpoint>();
+  private next = 0;
+  private healthTimer?: NodeJS.Timeout;
+  private logger: Logger;
+
+  constructor(private config: PaladinClientPoolConfig) {
+    super();
+    if (config.urls.length === 0) {
+      throw new Error("At least one endpoint URL is required");
+    }
+    this.logger = config.logger ?? console;
+    this.endpoints = config.urls.map((url) => ({
+      url,
+      healthy: true,
+      client: new PaladinClient({ ...config, url }),
+    }));
+    this.checkHealth();
+    if (config.healthCheckInterval !== -1) {
+      this.healthTimer = setInterval(
+        () => this.checkHealth(),
+        config.healthCheckInterval ?? 10000
+      );
+      this.healthTimer.unref?.();
+    }
+  }
+
+  get status(): PaladinPoolEndpoint[] {
+    return this.endpoints.map(describe);
+  }
+
+  // Get a client for a healthy endpoint - consistently the same one for a given key
+  client(idempotencyKey?: string) {
+    return this.pick(idempotencyKey).client;
+  }
+
+  async execute<T>(
+    fn: (client: PaladinClient) => Promise<T>,
+    options?: PoolExecuteOptions
+  ): Promise<T> {
+    const failover =
+      options?.failover ??
+      (options?.readOnly === true || options?.idempotencyKey !== undefined);
+    const tried = new Set<PoolEndpoint>();
+    while (true) {
+      const endpoint = this.pick(options?.idempotencyKey, tried);
+      tried.add(endpoint);
+      try {
+        return await fn(endpoint.client);
+      } catch (err) {
+        if (!(err instanceof PaladinTransportError)) {
+          throw err;
+        }
+        this.markDown(endpoint, err);
+        if (!failover || tried.size >= this.endpoints.length) {
+          throw err;
+        }
+      }
+    }
+  }
+
+  // Transactions with an idempotency key can safely fail over, as any
+  // endpoint for the node will de-duplicate the submission
+  sendTransaction(transaction: ITransactionInput) {
+    return this.execute((client) => client.ptx.sendTransaction(transaction), {
+      idempotencyKey: transaction.idempotencyKey,
+    });
+  }
+
+  async close() {
+    clearInterval(this.healthTimer);
+    delete this.healthTimer;
+    await Promise.all(this.endpoints.map((e) => e.client.close()));
+  }
+
+  async checkHealth() {
+    await Promise.all(
+      this.endpoints.map(async (endpoint) => {
+        try {
+          const nodeName = await endpoint.client.transport.nodeName();
+          const expected = this.config.nodeName ?? this.nodeName();
+          if (expected !== undefined && nodeName !== expected) {
+            throw new Error(
+              `Endpoint ${endpoint.url} is for node '${nodeName}' (expected '${expected}')`
+            );
+          }
+          endpoint.nodeName = nodeName;
+          this.markUp(endpoint);
+        } catch (err: any) {
+          this.markDown(endpoint, err);
+        }
+      })
+    );
+  }
+
+  private nodeName() {
+    return this.endpoints.find((e) => e.nodeName !== undefined)?.nodeName;
+  }
+
+  private pick(idempotencyKey?: string, exclude?: Set<PoolEndpoint>) {
+    const candidates = (
+      exclude ? this.endpoints.filter((e) => !exclude.has(e)) : this.endpoints
+    ).filter((e) => e.healthy);
+    if (idempotencyKey !== undefined) {
+      const existing = this.sticky.get(idempotencyKey);
+      if (existing !== undefined && candidates.includes(existing)) {
+        return existing;
+      }
+    }
+    // If everything looks down, try anyway in case the health check is stale
+    const available = candidates.length
+      ? candidates
+      : this.endpoints.filter((e) => !exclude?.has(e));
+    const endpoint = available[this.next++ % available.length];
+    if (idempotencyKey !== undefined) {
+      this.sticky.delete(idempotencyKey);
+      this.sticky.set(idempotencyKey, endpoint);
+      if (this.sticky.size > MAX_STICKY_KEYS) {
+        // Maps iterate in insertion order, so this is the oldest key
+        this.sticky.delete(this.sticky.keys().next().value!);
+      }
+    }
+    return endpoint;
+  }
+
+  private markUp(endpoint: PoolEndpoint) {
+    if (!endpoint.healthy) {
+      endpoint.healthy = true;
+      delete endpoint.lastError;
+      this.logger.log(`Endpoint ${endpoint.url} is up`);
+      this.emit("up", describe(endpoint));
+    }
+  }
+
+  private markDown(endpoint: PoolEndpoint, err: Error) {
+    endpoint.lastError = err.message;
+    if (endpoint.healthy) {
+      endpoint.healthy = false;
+      this.logger.warn(`Endpoint ${endpoint.url} is down: ${err.message}`);
+      this.emit("down", describe(endpoint), err);
+    }
+  }
+}
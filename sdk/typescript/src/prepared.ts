@@ -0,0 +1,157 @@
+import { ethers } from "ethers";
+import {
+  IPreparedTransaction,
+  ITransactionInput,
+  TransactionType,
+} from "./interfaces";
+import PaladinClient from "./paladin";
+import { QueryBuilder } from "./query";
+import { TransactionFuture } from "./transaction";
+import { PaladinVerifier } from "./verifier";
+
+// An operation of an Atom contract (see solidity/contracts/shared/Atom.sol)
+export interface AtomOperation {
+  contractAddress: string;
+  callData: string;
+}
+
+export interface PreparedTransactionStateCheck {
+  valid: boolean;
+  // States to be spent or read that are no longer available on this node
+  unavailable: string[];
+  // States to be created that belong to a different contract or domain
+  mismatched: string[];
+}
+
+/**
+ * A transaction prepared by a domain (see ptx.prepareTransaction), for
+ * submitting separately - either directly, or as part of an Atom.
+ */
+export class PreparedTransaction {
+  constructor(
+    private paladin: PaladinClient,
+    public readonly prepared: IPreparedTransaction
+  ) {}
+
+  // Wait for a prepared transaction to be available
+  static async waitFor(paladin: PaladinClient, id: string, waitMs = 5000) {
+    const prepared = await paladin.pollForPreparedTransaction(id, waitMs);
+    return prepared !== undefined
+      ? new PreparedTransaction(paladin, prepared)
+      : undefined;
+  }
+
+  get id() {
+    return this.prepared.id;
+  }
+
+  get transaction() {
+    return this.prepared.transaction;
+  }
+
+  get states() {
+    return this.prepared.states;
+  }
+
+  using(paladin: PaladinClient) {
+    return new PreparedTransaction(paladin, this.prepared);
+  }
+
+  // The target and calldata of the base ledger transaction
+  async encodeForPublicSubmission() {
+    const { transaction } = this.prepared;
+    if (transaction.type !== TransactionType.PUBLIC) {
+      throw new Error(
+        `Prepared transaction ${this.id} is a ${transaction.type} transaction, and cannot be submitted to the base ledger`
+      );
+    }
+    if (transaction.to === undefined || transaction.function === undefined) {
+      throw new Error(
+        `Prepared transaction ${this.id} is missing a target or function`
+      );
+    }
+    const stored = await this.paladin.ptx.getStoredABI(
+      transaction.abiReference
+    );
+    if (stored == undefined) {
+      throw new Error(
+        `ABI ${transaction.abiReference} for prepared transaction ${this.id} not found`
+      );
+    }
+    const fn = new ethers.Interface(stored.abi).getFunction(
+      transaction.function
+    );
+    if (fn === null) {
+      throw new Error(
+        `Function '${transaction.function}' not found in ABI ${transaction.abiReference}`
+      );
+    }
+    const data: any = transaction.data ?? {};
+    const values = Array.isArray(data)
+      ? data
+      : fn.inputs.map((input, i) => data[input.name || `${i}`]);
+    return {
+      to: transaction.to,
+      data: new ethers.Interface([fn]).encodeFunctionData(fn, values),
+    };
+  }
+
+  async toAtomOperation(): Promise<AtomOperation> {
+    const { to, data } = await this.encodeForPublicSubmission();
+    return { contractAddress: to, callData: data };
+  }
+
+  // Check the states the transaction spends and reads are still available,
+  // and the states it creates belong to the prepared contract
+  async verifyStates(): Promise<PreparedTransactionStateCheck> {
+    const { domain, to, states } = this.prepared;
+    const inputs = [...(states.spent ?? []), ...(states.read ?? [])];
+    const bySchema = new Map<string, string[]>();
+    for (const state of inputs) {
+      bySchema.set(state.schema, [
+        ...(bySchema.get(state.schema) ?? []),
+        state.id,
+      ]);
+    }
+
+    const available = new Set<string>();
+    for (const [schema, ids] of bySchema) {
+      const found = await this.paladin.pstate.queryContractStates(
+        domain,
+        to,
+        schema,
+        new QueryBuilder().in(".id", ids).limit(ids.length),
+        "available"
+      );
+      found.forEach((state) => available.add(state.id));
+    }
+
+    const unavailable = inputs
+      .map((state) => state.id)
+      .filter((id) => !available.has(id));
+    const mismatched = [...(states.confirmed ?? []), ...(states.info ?? [])]
+      .filter(
+        (state) =>
+          state.domain !== domain ||
+          state.contractAddress.toLowerCase() !== to.toLowerCase()
+      )
+      .map((state) => state.id);
+    return {
+      valid: unavailable.length === 0 && mismatched.length === 0,
+      unavailable,
+      mismatched,
+    };
+  }
+
+  // Submit the transaction from the given signer, on the given node
+  submitVia(paladin: PaladinClient, from: string | PaladinVerifier) {
+    const transaction: ITransactionInput = {
+      ...this.prepared.transaction,
+      from: from.toString(),
+    };
+    return new TransactionFuture(
+      paladin,
+      paladin.ptx.sendTransaction(transaction)
+    );
+  }
+}
@@ -0,0 +1,180 @@
+import {
+  IQuery,
+  IQueryOp,
+  IQueryOpMultiVal,
+  IQueryOpSingleVal,
+  IQueryStatements,
+} from "./interfaces";
+
+// Field names that can be filtered/sorted on for an entity type
+export type QueryField<T> = unknown extends T ? string : Extract<keyof T, string>;
+
+export type QuerySort<F extends string> = F | `-${F}` | `${F} ASC` | `${F} DESC`;
+
+export type QueryValue =
+  | string
+  | number
+  | boolean
+  | bigint
+  | Date
+  | Uint8Array
+  | null;
+
+export interface QueryOpOptions {
+  not?: boolean;
+  caseInsensitive?: boolean;
+}
+
+type SingleValOp = "eq" | "neq" | "like" | "lt" | "lte" | "gt" | "gte";
+type MultiValOp = "in" | "nin";
+
+// Serialize a value the way the Paladin filter fields expect to parse it
+export const serializeQueryValue = (value: QueryValue): any => {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof Uint8Array) {
+    return (
+      "0x" +
+      Array.from(value)
+        .map((b) => b.toString(16).padStart(2, "0"))
+        .join("")
+    );
+  }
+  return value;
+};
+
+/**
+ * Fluent builder for IQuery objects, with field names checked against the
+ * entity being queried. Can be passed directly to any query* SDK method.
+ *
+ *   new QueryBuilder<ITransaction>()
+ *     .eq("from", "me@node1")
+ *     .or((q) => q.eq("domain", "noto"), (q) => q.eq("domain", "zeto"))
+ *     .sort("-created")
+ *     .limit(50)
+ */
+export class QueryBuilder<T = any, F extends string = QueryField<T>> {
+  private statements: IQueryStatements = {};
+  private _limit?: number;
+  private _sort?: string[];
+
+  eq(field: F, value: QueryValue, options?: QueryOpOptions) {
+    return this.single("eq", field, value, options);
+  }
+
+  neq(field: F, value: QueryValue, options?: QueryOpOptions) {
+    return this.single("neq", field, value, options);
+  }
+
+  like(field: F, value: string, options?: QueryOpOptions) {
+    return this.single("like", field, value, options);
+  }
+
+  lt(field: F, value: QueryValue) {
+    return this.single("lt", field, value);
+  }
+
+  lte(field: F, value: QueryValue) {
+    return this.single("lte", field, value);
+  }
+
+  gt(field: F, value: QueryValue) {
+    return this.single("gt", field, value);
+  }
+
+  gte(field: F, value: QueryValue) {
+    return this.single("gte", field, value);
+  }
+
+  in(field: F, values: QueryValue[], options?: QueryOpOptions) {
+    return this.multi("in", field, values, options);
+  }
+
+  nin(field: F, values: QueryValue[], options?: QueryOpOptions) {
+    return this.multi("nin", field, values, options);
+  }
+
+  null(field: F) {
+    return this.nullOp({ field });
+  }
+
+  notNull(field: F) {
+    return this.nullOp({ field, not: true });
+  }
+
+  // Each branch is built separately, and matches if all of its filters match
+  or(...branches: ((q: QueryBuilder<T, F>) => QueryBuilder<T, F>)[]) {
+    this.statements.or = [
+      ...(this.statements.or ?? []),
+      ...branches.map((build) => build(new QueryBuilder<T, F>()).statements),
+    ];
+    return this;
+  }
+
+  sort(...fields: QuerySort<F>[]) {
+    this._sort = [...(this._sort ?? []), ...fields];
+    return this;
+  }
+
+  limit(limit: number) {
+    this._limit = limit;
+    return this;
+  }
+
+  query(): IQuery {
+    return {
+      ...this.statements,
+      ...(this._limit !== undefined ? { limit: this._limit } : {}),
+      ...(this._sort !== undefined ? { sort: this._sort } : {}),
+    };
+  }
+
+  toJSON() {
+    return this.query();
+  }
+
+  private single(
+    op: SingleValOp,
+    field: F,
+    value: QueryValue,
+    options?: QueryOpOptions
+  ) {
+    const filter: IQueryOpSingleVal = {
+      ...options,
+      field,
+      value: serializeQueryValue(value),
+    };
+    this.statements[op] = [...(this.statements[op] ?? []), filter];
+    return this;
+  }
+
+  private multi(
+    op: MultiValOp,
+    field: F,
+    values: QueryValue[],
+    options?: QueryOpOptions
+  ) {
+    const filter: IQueryOpMultiVal = {
+      ...options,
+      field,
+      values: values.map(serializeQueryValue),
+    };
+    this.statements[op] = [...(this.statements[op] ?? []), filter];
+    return this;
+  }
+
+  private nullOp(filter: IQueryOp) {
+    this.statements.null = [...(this.statements.null ?? []), filter];
+    return this;
+  }
+}
+
+// Any query* SDK method accepts either a raw IQuery or a QueryBuilder
+export type QueryInput = IQuery | QueryBuilder<any, any>;
+
+export const toQuery = (query: QueryInput): IQuery =>
+  query instanceof QueryBuilder ? query.query() : query;
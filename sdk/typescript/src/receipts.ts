@@ -0,0 +1,193 @@
+import * as uuid from "uuid";
+import {
+  ITransactionReceipt,
+  ITransactionReceiptListener,
+  Logger,
+  PaladinWebSocketConfig,
+  WebSocketEvent,
+  WebSocketSender,
+} from "./interfaces";
+import PaladinClient from "./paladin";
+import { QueryBuilder } from "./query";
+import { PaladinWebSocketClient } from "./websocket";
+
+type ReceiptResolver = (receipt: ITransactionReceipt) => void;
+
+const TEMPORARY_LISTENER_PREFIX = "sdk-receipts-";
+
+// Creates the receipt listener if it does not exist, returning whether it was
+// created. Unless sequenceAbove is set, only receipts written from this point
+// onwards are delivered.
+export const ensureReceiptListener = async (
+  paladin: PaladinClient,
+  listener: ITransactionReceiptListener
+) => {
+  const existing = await paladin.ptx.getReceiptListener(listener.name);
+  if (existing != undefined) {
+    return false;
+  }
+  let sequenceAbove = listener.filters?.sequenceAbove;
+  if (sequenceAbove === undefined) {
+    const [latest] = await paladin.ptx.queryTransactionReceipts({
+      limit: 1,
+      sort: ["-sequence"],
+    });
+    sequenceAbove = latest?.sequence;
+  }
+  await paladin.ptx.createReceiptListener({
+    ...listener,
+    filters: { ...listener.filters, sequenceAbove },
+  });
+  return true;
+};
+
+// Resolves receipt waits from a single receipt listener subscription,
+// shared by every outstanding TransactionFuture on a PaladinClient.
+//
+// Unless a receiptListener is configured, this creates a temporary listener
+// on the node, which is only deleted by close() (see PaladinClient.close).
+// Temporary listeners that outlive their client are cleaned up by the next
+// client to start, once older than staleReceiptListenerAge.
+export class ReceiptWaiter {
+  private pending = new Map<string, Set<ReceiptResolver>>();
+  private started?: Promise<void>;
+  private client?: PaladinWebSocketClient;
+  private createdListener = false;
+  public readonly listenerName: string;
+
+  constructor(
+    private paladin: PaladinClient,
+    private options: PaladinWebSocketConfig,
+    private logger: Logger
+  ) {
+    this.listenerName =
+      options.receiptListener ?? `${TEMPORARY_LISTENER_PREFIX}${uuid.v4()}`;
+  }
+
+  async waitForReceipt(txID: string, waitMs: number, full?: boolean) {
+    await this.start();
+
+    let resolver: ReceiptResolver | undefined;
+    let timer: NodeJS.Timeout | undefined;
+    const pushed = new Promise<ITransactionReceipt | undefined>((resolve) => {
+      resolver = resolve;
+      timer = setTimeout(() => resolve(undefined), waitMs);
+    });
+    this.register(txID, resolver!);
+
+    try {
+      // The receipt may have been written before we registered
+      let receipt = await this.paladin.ptx.getTransactionReceipt(txID);
+      if (receipt == undefined) {
+        receipt = await pushed;
+      }
+      if (receipt == undefined) {
+        this.logger.error(`Failed while waiting for receipt: ${txID}`);
+        return undefined;
+      }
+      return full ? this.paladin.ptx.getTransactionReceiptFull(txID) : receipt;
+    } finally {
+      clearTimeout(timer);
+      this.unregister(txID, resolver!);
+    }
+  }
+
+  async close() {
+    await this.client?.close(true);
+    if (this.createdListener && this.options.receiptListener === undefined) {
+      await this.paladin.ptx.deleteReceiptListener(this.listenerName);
+    }
+    delete this.client;
+    delete this.started;
+    this.createdListener = false;
+  }
+
+  private start() {
+    if (this.started === undefined) {
+      this.started = this.connect().catch((err) => {
+        delete this.started;
+        throw err;
+      });
+    }
+    return this.started;
+  }
+
+  // Best-effort, as the listeners may be deleted by another client at the
+  // same time
+  private async deleteStaleListeners() {
+    const maxAge = this.options.staleReceiptListenerAge ?? 24 * 60 * 60 * 1000;
+    if (maxAge === -1) {
+      return;
+    }
+    try {
+      const listeners = await this.paladin.ptx.queryReceiptListeners(
+        new QueryBuilder()
+          .like("name", `${TEMPORARY_LISTENER_PREFIX}%`)
+          .limit(100)
+      );
+      const cutoff = Date.now() - maxAge;
+      for (const listener of listeners) {
+        const created = Date.parse(listener.created ?? "");
+        if (listener.name !== this.listenerName && created < cutoff) {
+          this.logger.log(`Deleting stale receipt listener ${listener.name}`);
+          await this.paladin.ptx.deleteReceiptListener(listener.name);
+        }
+      }
+    } catch (err: any) {
+      this.logger.warn(`Failed to clean up receipt listeners: ${err.message}`);
+    }
+  }
+
+  private async connect() {
+    if (this.options.receiptListener === undefined) {
+      await this.deleteStaleListeners();
+    }
+    if (
+      await ensureReceiptListener(this.paladin, { name: this.listenerName })
+    ) {
+      this.createdListener = true;
+    }
+
+    // Receipts are held by the listener until we subscribe, so there is no
+    // need to wait for the websocket to connect before polling once
+    this.client = new PaladinWebSocketClient(
+      {
+        ...this.options,
+        subscriptions: [{ type: "receipts", name: this.listenerName }],
+      },
+      (sender, event) => this.handleEvent(sender, event)
+    );
+  }
+
+  private handleEvent(sender: WebSocketSender, event: WebSocketEvent) {
+    if (
+      event.method !== "ptx_subscription" ||
+      !("receipts" in event.params.result)
+    ) {
+      return;
+    }
+    for (const receipt of event.params.result.receipts) {
+      for (const resolve of this.pending.get(receipt.id) ?? []) {
+        resolve(receipt);
+      }
+    }
+    sender.ack(event.params.subscription);
+  }
+
+  private register(txID: string, resolver: ReceiptResolver) {
+    let resolvers = this.pending.get(txID);
+    if (resolvers === undefined) {
+      resolvers = new Set();
+      this.pending.set(txID, resolvers);
+    }
+    resolvers.add(resolver);
+  }
+
+  private unregister(txID: string, resolver: ReceiptResolver) {
+    const resolvers = this.pending.get(txID);
+    resolvers?.delete(resolver);
+    if (resolvers?.size === 0) {
+      this.pending.delete(txID);
+    }
+  }
+}
@@ -0,0 +1,162 @@
+import {
+  PaladinCircuitOpenError,
+  PaladinRpcError,
+  PaladinTransportError,
+} from "./errors";
+import {
+  MethodIdempotency,
+  PaladinCircuitBreakerConfig,
+  PaladinRetryConfig,
+} from "./interfaces";
+
+const DEFAULT_RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+// Reads never change node state, so are always safe to repeat
+const READ_METHOD_REGEX =
+  /^[a-z]+_(get|query|list|resolve|reverse|decode|call|wallets|registries|nodeName|localTransport|peers|peerInfo)/;
+
+// Submissions are only safe to repeat when the node can de-duplicate them
+const KEYED_METHODS = new Set([
+  "ptx_sendTransaction",
+  "ptx_sendTransactions",
+  "ptx_prepareTransaction",
+  "ptx_prepareTransactions",
+  "pgroup_createGroup",
+  "pgroup_sendTransaction",
+]);
+
+const hasIdempotencyKey = (param: any): boolean =>
+  Array.isArray(param)
+    ? param.length > 0 && param.every(hasIdempotencyKey)
+    : !!(param?.idempotencyKey || param?.transactionOptions?.idempotencyKey);
+
+export const defaultIdempotency = (method: string): MethodIdempotency => {
+  if (READ_METHOD_REGEX.test(method)) {
+    return "idempotent";
+  }
+  return KEYED_METHODS.has(method) ? "keyed" : "unsafe";
+};
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Fails fast while a node is unreachable, allowing a single trial request
+// through once the reset timeout has passed
+export class CircuitBreaker {
+  private failures = 0;
+  private openedAt?: number;
+  private trialInFlight = false;
+
+  constructor(private config: PaladinCircuitBreakerConfig) {}
+
+  get state(): "closed" | "open" | "half-open" {
+    if (this.openedAt === undefined) {
+      return "closed";
+    }
+    return Date.now() - this.openedAt >= (this.config.resetTimeoutMs ?? 30000)
+      ? "half-open"
+      : "open";
+  }
+
+  async execute<T>(method: string, fn: () => Promise<T>) {
+    const state = this.state;
+    if (state === "open" || (state === "half-open" && this.trialInFlight)) {
+      throw new PaladinCircuitOpenError(
+        `Circuit open after ${this.failures} consecutive failures - not sending ${method}`,
+        { method }
+      );
+    }
+    this.trialInFlight = state === "half-open";
+    try {
+      const result = await fn();
+      this.failures = 0;
+      delete this.openedAt;
+      return result;
+    } catch (err) {
+      if (
+        err instanceof PaladinTransportError &&
+        (err.httpStatus === undefined || err.httpStatus >= 500)
+      ) {
+        this.failures++;
+        if (
+          state === "half-open" ||
+          this.failures >= (this.config.failureThreshold ?? 5)
+        ) {
+          this.openedAt = Date.now();
+        }
+      } else {
+        // Any other response means the node is reachable
+        this.failures = 0;
+        delete this.openedAt;
+      }
+      throw err;
+    } finally {
+      if (state === "half-open") {
+        this.trialInFlight = false;
+      }
+    }
+  }
+}
+
+export class RetryPolicy {
+  constructor(private config: PaladinRetryConfig) {}
+
+  canRetry(method: string, params: any[]) {
+    const idempotency =
+      this.config.idempotency?.[method] ?? defaultIdempotency(method);
+    switch (idempotency) {
+      case "idempotent":
+        return true;
+      case "keyed":
+        return hasIdempotencyKey(params[0]);
+      default:
+        return false;
+    }
+  }
+
+  isRetryable(err: PaladinRpcError) {
+    if (this.config.retryable !== undefined) {
+      return this.config.retryable(err);
+    }
+    if (err instanceof PaladinCircuitOpenError) {
+      return false;
+    }
+    const statuses = this.config.retryableStatuses ?? DEFAULT_RETRYABLE_STATUSES;
+    return (
+      err instanceof PaladinTransportError &&
+      (err.httpStatus === undefined || statuses.includes(err.httpStatus))
+    );
+  }
+
+  delay(attempt: number) {
+    const initial = this.config.initialDelayMs ?? 100;
+    const max = this.config.maxDelayMs ?? 10000;
+    const delay = Math.min(
+      max,
+      initial * Math.pow(this.config.factor ?? 2, attempt - 1)
+    );
+    // "Equal jitter" keeps at least half the backoff while spreading retries
+    return this.config.jitter === false
+      ? delay
+      : delay / 2 + (Math.random() * delay) / 2;
+  }
+
+  async execute<T>(method: string, params: any[], fn: () => Promise<T>) {
+    const maxAttempts = this.canRetry(method, params)
+      ? this.config.maxAttempts ?? 3
+      : 1;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn();
+      } catch (err) {
+        if (
+          attempt >= maxAttempts ||
+          !(err instanceof PaladinRpcError) ||
+          !this.isRetryable(err)
+        ) {
+          throw err;
+        }
+        await sleep(this.delay(attempt));
+      }
+    }
+  }
+}
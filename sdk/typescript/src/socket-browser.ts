@@ -0,0 +1,36 @@
+import {
+  PaladinSocket,
+  PaladinSocketHandlers,
+  PaladinSocketOptions,
+} from "./socket";
+
+// Substituted for socket-node via the "browser" field in package.json
+export function createSocket(
+  options: PaladinSocketOptions,
+  handlers: PaladinSocketHandlers
+): PaladinSocket {
+  // Browsers cannot set an Authorization header on a websocket, but do
+  // support credentials embedded in the URL
+  const url = new URL(options.url);
+  if (options.username && options.password) {
+    url.username = options.username;
+    url.password = options.password;
+  }
+  const socket = new WebSocket(url.toString());
+
+  socket.addEventListener("open", () => handlers.onOpen());
+  socket.addEventListener("error", () =>
+    handlers.onError(new Error(`Websocket error on ${options.url}`))
+  );
+  socket.addEventListener("close", () => handlers.onClose());
+  socket.addEventListener("message", (event) =>
+    handlers.onMessage(
+      typeof event.data === "string" ? event.data : `${event.data}`
+    )
+  );
+
+  return {
+    send: (data) => socket.send(data),
+    close: () => socket.close(),
+  };
+}
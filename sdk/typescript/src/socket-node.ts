@@ -0,0 +1,52 @@
+import { IncomingMessage } from "http";
+import { Transform } from "stream";
+import WebSocket from "ws";
+import {
+  PaladinSocket,
+  PaladinSocketHandlers,
+  PaladinSocketOptions,
+} from "./socket";
+
+export function createSocket(
+  options: PaladinSocketOptions,
+  handlers: PaladinSocketHandlers
+): PaladinSocket {
+  const auth =
+    options.username && options.password
+      ? `${options.username}:${options.password}`
+      : undefined;
+  const socket = new WebSocket(options.url, {
+    ...options.socketOptions,
+    auth,
+    handshakeTimeout: options.handshakeTimeout,
+  });
+
+  socket
+    .on("open", () => handlers.onOpen())
+    .on("error", (err) => handlers.onError(err))
+    .on("close", () => handlers.onClose())
+    .on("pong", () => handlers.onPong())
+    .on("unexpected-response", (req, res: IncomingMessage) => {
+      let responseData = "";
+      res.pipe(
+        new Transform({
+          transform(chunk, encoding, callback) {
+            responseData += chunk;
+            callback();
+          },
+          flush: () => {
+            handlers.onConnectError(
+              `Websocket connect error [${res.statusCode}]: ${responseData}`
+            );
+          },
+        })
+      );
+    })
+    .on("message", (data) => handlers.onMessage(data.toString()));
+
+  return {
+    send: (data) => socket.send(data),
+    close: () => socket.close(),
+    ping: (callback) => socket.ping("ping", true, callback),
+  };
+}
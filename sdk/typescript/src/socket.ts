@@ -0,0 +1,27 @@
+// Minimal socket abstraction, so the websocket clients can run on either the
+// "ws" package in Node.js or the native WebSocket in browsers
+
+export interface PaladinSocket {
+  send(data: string): void;
+  close(): void;
+  // Not available in browsers, where the runtime handles keepalive itself
+  ping?(callback: (err?: Error) => void): void;
+}
+
+export interface PaladinSocketHandlers {
+  onOpen(): void;
+  onClose(): void;
+  onError(err: Error): void;
+  onPong(): void;
+  onMessage(data: string): void;
+  // The server rejected the websocket upgrade
+  onConnectError(message: string): void;
+}
+
+export interface PaladinSocketOptions {
+  url: string;
+  username?: string;
+  password?: string;
+  handshakeTimeout?: number;
+  socketOptions?: object;
+}
@@ -1,4 +1,5 @@
 import PaladinClient from "./paladin";
+import { PreparedTransaction } from "./prepared";
 
 // Represents an in-flight transaction
 export class TransactionFuture {
@@ -12,6 +13,11 @@ export class TransactionFuture {
   }
 
   async waitForReceipt(waitMs = 5000, full = false) {
-    return this.paladin.pollForReceipt(await this.id, waitMs, full);
+    return this.paladin.waitForReceipt(await this.id, waitMs, full);
+  }
+
+  // For transactions submitted with ptx.prepareTransaction
+  async waitForPrepared(waitMs = 5000) {
+    return PreparedTransaction.waitFor(this.paladin, await this.id, waitMs);
   }
 }
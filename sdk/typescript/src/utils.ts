@@ -1,12 +1,23 @@
 import * as uuid from "uuid";
 import { IStateBase, IStateEncoded } from "./interfaces";
 
+// TextEncoder/TextDecoder rather than Buffer, so these also work in browsers
 export function encodeHex(data: string) {
-  return "0x" + Buffer.from(data, "utf8").toString("hex");
+  return (
+    "0x" +
+    Array.from(new TextEncoder().encode(data))
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("")
+  );
 }
 
 export function decodeHex(data: string) {
-  return Buffer.from(data.slice(2), "hex").toString("utf8");
+  const hex = data.slice(2);
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return new TextDecoder().decode(bytes);
 }
 
 export function newTransactionId() {
@@ -1,108 +1,305 @@
-import { IncomingMessage } from "http";
-import { Transform } from "stream";
-import WebSocket from "ws";
+import { EventEmitter } from "events";
+import {
+  newPaladinRpcError,
+  PaladinTimeoutError,
+  PaladinTransportError,
+} from "./errors";
+import { JsonRpcCallContext } from "./interfaces/paladin";
 import { Logger } from "./interfaces/logger";
 import {
+  IPrivacyGroupMessageBatch,
   PrivacyGroupWebSocketEvent,
+  TransactionEventBatch,
+  TransactionReceiptBatch,
   WebSocketClientOptions,
   WebSocketEvent,
-  WebSocketEventCallback
+  WebSocketEventCallback,
+  WebSocketStreamOptions,
+  WebSocketSubscription,
 } from "./interfaces/websocket";
+import { runMiddleware } from "./middleware";
+import { RetryPolicy } from "./retry";
+import { PaladinSocket } from "./socket";
+import { createSocket } from "./socket-node";
 
-abstract class PaladinWebSocketClientBase<
+interface StreamDelivery<TBatch> {
+  batch: TBatch;
+  subscription: string;
+}
+
+interface StreamClient {
+  ack(subscription: string): void;
+  nack(subscription: string): void;
+  unsubscribe(subscription: string): void;
+  remove(stream: WebSocketStream<any>): void;
+}
+
+// The batches of one subscription, as an async iterator - each batch is acked
+// when the next is requested, and nacked if the consumer stops early
+class WebSocketStream<TBatch> implements AsyncIterableIterator<TBatch> {
+  // Assigned from the subscribe reply, on each (re)connect
+  rpcId?: number;
+  subscription?: string;
+  private queue: StreamDelivery<TBatch>[] = [];
+  private current?: StreamDelivery<TBatch>;
+  private waiting?: (delivery?: StreamDelivery<TBatch>) => void;
+  private error?: Error;
+  private done = false;
+
+  constructor(
+    readonly type: string,
+    readonly name: string,
+    private maxInFlight: number,
+    private client: StreamClient
+  ) {}
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  deliver(batch: TBatch, subscription: string) {
+    const inFlight = this.queue.length + (this.current !== undefined ? 1 : 0);
+    if (this.done || inFlight >= this.maxInFlight) {
+      // Redelivered once the consumer catches up
+      this.client.nack(subscription);
+    } else if (this.waiting !== undefined) {
+      // Updated now, as a second batch may arrive before next() resumes
+      const waiting = this.waiting;
+      delete this.waiting;
+      this.current = { batch, subscription };
+      waiting(this.current);
+    } else {
+      this.queue.push({ batch, subscription });
+    }
+  }
+
+  fail(error: Error) {
+    this.error = error;
+    this.end();
+  }
+
+  end() {
+    this.done = true;
+    const waiting = this.waiting;
+    delete this.waiting;
+    waiting?.();
+  }
+
+  async next(): Promise<IteratorResult<TBatch>> {
+    if (this.current !== undefined) {
+      this.client.ack(this.current.subscription);
+      delete this.current;
+    }
+    let delivery = this.queue.shift();
+    if (delivery === undefined && !this.done) {
+      delivery = await new Promise<StreamDelivery<TBatch> | undefined>(
+        (resolve) => (this.waiting = resolve)
+      );
+    }
+    if (delivery === undefined) {
+      if (this.error !== undefined) {
+        throw this.error;
+      }
+      return { done: true, value: undefined };
+    }
+    this.current = delivery;
+    return { done: false, value: delivery.batch };
+  }
+
+  async return(): Promise<IteratorResult<TBatch>> {
+    for (const delivery of [
+      ...(this.current !== undefined ? [this.current] : []),
+      ...this.queue,
+    ]) {
+      this.client.nack(delivery.subscription);
+    }
+    delete this.current;
+    this.queue = [];
+    if (this.subscription !== undefined) {
+      this.client.unsubscribe(this.subscription);
+    }
+    this.client.remove(this);
+    this.end();
+    return { done: true, value: undefined };
+  }
+}
+
+interface PendingRequest {
+  method: string;
+  resolve: (result: any) => void;
+  reject: (err: Error) => void;
+  timer: NodeJS.Timeout;
+  // Whether it has been written to the socket (rather than queued)
+  sent: boolean;
+}
+
+interface QueuedMessage {
+  data: string;
+  id?: number;
+  method?: string;
+}
+
+const subscriptionKey = (sub: WebSocketSubscription<string>) =>
+  `${sub.type}:${sub.name}`;
+
+declare interface PaladinWebSocketClientBase<
   TMessageTypes extends string,
-  TEvent
+  TEvent,
+  TBatches extends Record<TMessageTypes, object>
 > {
+  on(event: "connected", listener: (reconnected: boolean) => void): this;
+  on(event: "disconnected", listener: (reason: string) => void): this;
+  on(
+    event: "reconnecting",
+    listener: (attempt: number, delayMs: number) => void
+  ): this;
+  on(
+    event: "subscribed",
+    listener: (
+      subscription: WebSocketSubscription<TMessageTypes>,
+      id: string
+    ) => void
+  ): this;
+  on(event: "error", listener: (err: Error) => void): this;
+}
+
+abstract class PaladinWebSocketClientBase<
+  TMessageTypes extends string,
+  TEvent,
+  TBatches extends Record<TMessageTypes, object>
+> extends EventEmitter {
   private logger: Logger;
-  private socket: WebSocket | undefined;
+  private socket: PaladinSocket | undefined;
   private closed? = () => {};
   private pingTimer?: NodeJS.Timeout;
   private disconnectTimer?: NodeJS.Timeout;
   private reconnectTimer?: NodeJS.Timeout;
+  private reconnectAttempts = 0;
+  private reconnectPolicy: RetryPolicy;
   private disconnectDetected = false;
   private counter = 1;
+  private streams = new Set<WebSocketStream<any>>();
+  private connected = false;
+  // Messages sent while disconnected, to send once connected
+  private queue: QueuedMessage[] = [];
+  // Subscriptions to (re)establish on every connect
+  private subscriptions = new Map<
+    string,
+    WebSocketSubscription<TMessageTypes>
+  >();
+  // Subscriptions with a subscribe request awaiting a reply (or queued)
+  private subscribing = new Set<string>();
+  // Subscription IDs on the current connection
+  private active = new Map<string, string>();
+  // Requests awaiting a reply, by JSON-RPC id
+  private requests = new Map<number, PendingRequest>();
 
   constructor(
     private options: WebSocketClientOptions<TMessageTypes>,
-    private callback: WebSocketEventCallback<TEvent>
+    private callback?: WebSocketEventCallback<TEvent>
   ) {
+    super();
     this.logger = options.logger ?? console;
+    this.reconnectPolicy = new RetryPolicy({
+      initialDelayMs: options.reconnectDelay ?? 5000,
+      maxDelayMs: options.reconnect?.maxDelayMs ?? 60000,
+      factor: options.reconnect?.factor,
+      jitter: options.reconnect?.jitter,
+    });
+    for (const sub of options.subscriptions ?? []) {
+      this.subscriptions.set(subscriptionKey(sub), sub);
+    }
     this.connect();
   }
 
   private connect() {
     // Ensure we've cleaned up any old socket
-    this.close();
+    this.closeSocket();
     if (this.reconnectTimer) {
       clearTimeout(this.reconnectTimer);
       delete this.reconnectTimer;
     }
 
-    const auth =
-      this.options.username && this.options.password
-        ? `${this.options.username}:${this.options.password}`
-        : undefined;
-    const socket = (this.socket = new WebSocket(this.options.url, {
-      ...this.options.socketOptions,
-      auth,
-      handshakeTimeout: this.options.heartbeatInterval,
-    }));
     this.closed = undefined;
+    this.socket = createSocket(
+      {
+        url: this.options.url,
+        username: this.options.username,
+        password: this.options.password,
+        handshakeTimeout: this.options.heartbeatInterval,
+        socketOptions: this.options.socketOptions,
+      },
+      {
+        onOpen: () => {
+          const reconnected = this.disconnectDetected;
+          if (this.disconnectDetected) {
+            this.disconnectDetected = false;
+            this.logger.log("Connection restored");
+          } else {
+            this.logger.log("Connected");
+          }
+          this.connected = true;
+          this.reconnectAttempts = 0;
+          this.schedulePing();
+          for (const [key, sub] of this.subscriptions) {
+            // Automatically connect subscriptions, other than those already
+            // queued by subscribe()
+            if (!this.subscribing.has(key)) {
+              this.requestSubscription(sub);
+              this.logger.log(`Started listening on subscription ${sub.name}`);
+            }
+          }
+          for (const stream of this.streams) {
+            this.subscribeStream(stream);
+          }
+          const queued = this.queue;
+          this.queue = [];
+          for (const { data, id } of queued) {
+            this.socket?.send(data);
+            this.markSent(id);
+          }
+          this.emit("connected", reconnected);
+          if (this.options?.afterConnect !== undefined) {
+            this.options.afterConnect(this);
+          }
+        },
+        onError: (err) => {
+          this.logger.error("Error", err.stack);
+          this.emitError(err);
+        },
+        onClose: () => {
+          if (this.closed) {
+            this.logger.log("Closed");
+            this.closed(); // do this after all logging
+          } else {
+            this.disconnectDetected = true;
+            this.reconnect("Closed by peer");
+          }
+        },
+        onPong: () => {
+          this.logger.debug && this.logger.debug(`WS received pong`);
+          this.schedulePing();
+        },
+        onConnectError: (message) => this.reconnect(message),
+        onMessage: (data) => {
+          const event = JSON.parse(data);
+          if (this.settleRequest(event)) {
+            return;
+          }
+          if (!this.routeToStream(event)) {
+            this.callback?.(this, event as TEvent);
+          }
+        },
+      }
+    );
+  }
 
-    socket
-      .on("open", () => {
-        if (this.disconnectDetected) {
-          this.disconnectDetected = false;
-          this.logger.log("Connection restored");
-        } else {
-          this.logger.log("Connected");
-        }
-        this.schedulePing();
-        for (const sub of this.options.subscriptions ?? []) {
-          // Automatically connect subscriptions
-          this.subscribe(sub.type, sub.name);
-          this.logger.log(`Started listening on subscription ${sub.name}`);
-        }
-        if (this.options?.afterConnect !== undefined) {
-          this.options.afterConnect(this);
-        }
-      })
-      .on("error", (err) => {
-        this.logger.error("Error", err.stack);
-      })
-      .on("close", () => {
-        if (this.closed) {
-          this.logger.log("Closed");
-          this.closed(); // do this after all logging
-        } else {
-          this.disconnectDetected = true;
-          this.reconnect("Closed by peer");
-        }
-      })
-      .on("pong", () => {
-        this.logger.debug && this.logger.debug(`WS received pong`);
-        this.schedulePing();
-      })
-      .on("unexpected-response", (req, res: IncomingMessage) => {
-        let responseData = "";
-        res.pipe(
-          new Transform({
-            transform(chunk, encoding, callback) {
-              responseData += chunk;
-              callback();
-            },
-            flush: () => {
-              this.reconnect(
-                `Websocket connect error [${res.statusCode}]: ${responseData}`
-              );
-            },
-          })
-        );
-      })
-      .on("message", (data) => {
-        const event: TEvent = JSON.parse(data.toString());
-        this.callback(this, event);
-      });
+  // "error" is only emitted when there is a listener, as EventEmitter throws
+  // an unhandled "error" event
+  private emitError(err: Error) {
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", err);
+    }
   }
 
   private clearPingTimers() {
@@ -118,6 +315,10 @@ abstract class PaladinWebSocketClientBase<
 
   private schedulePing() {
     this.clearPingTimers();
+    if (this.socket?.ping === undefined) {
+      // Browser sockets do not expose ping/pong - the runtime keeps them alive
+      return;
+    }
     const heartbeatInterval = this.options.heartbeatInterval ?? 30000;
     this.disconnectTimer = setTimeout(
       () => this.reconnect("Heartbeat timeout"),
@@ -125,7 +326,7 @@ abstract class PaladinWebSocketClientBase<
     );
     this.pingTimer = setTimeout(() => {
       this.logger.debug && this.logger.debug(`WS sending ping`);
-      this.socket?.ping("ping", true, (err) => {
+      this.socket?.ping?.((err) => {
         if (err) this.reconnect(err.message);
       });
     }, heartbeatInterval);
@@ -133,35 +334,376 @@ abstract class PaladinWebSocketClientBase<
 
   private reconnect(msg: string) {
     if (!this.reconnectTimer) {
-      this.close();
+      const wasConnected = this.connected;
+      this.closeSocket();
       this.logger.error(`Websocket closed: ${msg}`);
+      if (wasConnected) {
+        this.emit("disconnected", msg);
+      }
+      const maxAttempts = this.options.reconnect?.maxAttempts;
       if (this.options.reconnectDelay === -1) {
         // do not attempt to reconnect
-      } else {
-        this.reconnectTimer = setTimeout(
-          () => this.connect(),
-          this.options.reconnectDelay ?? 5000
+      } else if (
+        maxAttempts !== undefined &&
+        this.reconnectAttempts >= maxAttempts
+      ) {
+        const err = new Error(
+          `Websocket not reconnected after ${this.reconnectAttempts} attempts: ${msg}`
         );
+        this.logger.error(err.message);
+        // Nothing more will be delivered or sent
+        for (const stream of this.streams) {
+          stream.fail(err);
+        }
+        this.streams.clear();
+        this.queue = [];
+        this.rejectRequests(err.message, false);
+        this.emitError(err);
+      } else {
+        const attempt = ++this.reconnectAttempts;
+        const delay = this.reconnectPolicy.delay(attempt);
+        this.emit("reconnecting", attempt, delay);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
       }
     }
   }
 
+  // Messages sent while disconnected are queued until reconnected. When the
+  // queue is full the oldest message is dropped - other than subscribes, which
+  // are always kept - and a request() it was sent for is rejected.
   send(json: object) {
-    if (this.socket !== undefined) {
-      this.socket.send(JSON.stringify(json));
+    const { id, method } = json as { id?: number; method?: string };
+    const message = { data: JSON.stringify(json), id, method };
+    if (this.connected && this.socket !== undefined) {
+      this.socket.send(message.data);
+      this.markSent(id);
+      return;
+    }
+    if (this.queue.length >= (this.options.maxQueuedMessages ?? 1000)) {
+      const index = this.queue.findIndex(
+        (queued) => queued.method !== this.subscribeMethod
+      );
+      if (index !== -1) {
+        this.drop(this.queue.splice(index, 1)[0]);
+      } else if (method !== this.subscribeMethod) {
+        this.drop(message);
+        return;
+      }
+    }
+    this.queue.push(message);
+  }
+
+  private drop({ id, method }: QueuedMessage) {
+    this.logger.warn(`Websocket queue full - dropped ${method}`);
+    if (id !== undefined) {
+      this.rejectRequest(id, "Websocket queue full");
+    }
+  }
+
+  private markSent(id?: number) {
+    const pending = id !== undefined ? this.requests.get(id) : undefined;
+    if (pending !== undefined) {
+      pending.sent = true;
     }
   }
 
   sendRpc(method: string, params: any[]) {
-    this.send({
+    return this.rpc(method, params).sent;
+  }
+
+  /**
+   * Call a JSON-RPC method over the websocket, resolving with its result, or
+   * rejecting with the JSON-RPC error. Requests made while disconnected are
+   * sent once reconnected, but those already sent when the connection drops
+   * are rejected, as the reply is lost.
+   */
+  request<T = any>(
+    method: string,
+    params: any[] = [],
+    timeout = this.options.requestTimeout ?? 30000
+  ): Promise<T> {
+    const ctx = this.context(method, params);
+    return runMiddleware(this.options.middleware ?? [], ctx, () =>
+      this.invoke<T>(ctx, timeout)
+    );
+  }
+
+  // The innermost step of the middleware chain for request()
+  private invoke<T>(ctx: JsonRpcCallContext, timeout: number) {
+    return new Promise<T>((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.requests.delete(ctx.id);
+        // Not sent if it is still queued
+        this.queue = this.queue.filter((queued) => queued.id !== ctx.id);
+        reject(
+          new PaladinTimeoutError(
+            `JSON-RPC request ${ctx.method} timed out after ${timeout}ms`,
+            { method: ctx.method, requestId: ctx.id }
+          )
+        );
+      }, timeout);
+      this.requests.set(ctx.id, {
+        method: ctx.method,
+        resolve,
+        reject,
+        timer,
+        sent: false,
+      });
+      this.send({
+        jsonrpc: ctx.jsonrpc,
+        id: ctx.id,
+        method: ctx.method,
+        params: ctx.params,
+      });
+    });
+  }
+
+  // Replies to request() are not passed to the callback, other than those to
+  // subscribe()
+  private settleRequest(message: any) {
+    const pending = this.requests.get(message.id);
+    if (message.id === undefined || pending === undefined) {
+      return false;
+    }
+    this.requests.delete(message.id);
+    clearTimeout(pending.timer);
+    if (message.error !== undefined) {
+      pending.reject(
+        newPaladinRpcError(message.error, {
+          method: pending.method,
+          requestId: message.id,
+        })
+      );
+    } else {
+      pending.resolve(message.result);
+    }
+    return pending.method !== this.subscribeMethod;
+  }
+
+  private rejectRequests(reason: string, sentOnly: boolean) {
+    for (const [id, pending] of this.requests) {
+      if (!sentOnly || pending.sent) {
+        this.rejectRequest(id, reason);
+      }
+    }
+  }
+
+  private rejectRequest(id: number, reason: string) {
+    const pending = this.requests.get(id);
+    if (pending === undefined) {
+      return;
+    }
+    this.requests.delete(id);
+    clearTimeout(pending.timer);
+    pending.reject(
+      new PaladinTransportError(
+        `JSON-RPC request ${pending.method} failed: ${reason}`,
+        { method: pending.method, requestId: id }
+      )
+    );
+  }
+
+  /**
+   * Subscribe now (or once connected), and again on every reconnect.
+   * Resolves with the subscription ID, or rejects if the request fails. If
+   * the node refuses the subscription it is not retried, and the error is
+   * also emitted as an "error" event, so the result need not be awaited.
+   */
+  subscribe(type: TMessageTypes, name: string) {
+    const sub = { type, name };
+    this.subscriptions.set(subscriptionKey(sub), sub);
+    return this.requestSubscription(sub);
+  }
+
+  unsubscribe(subscription: string) {
+    const key = this.active.get(subscription);
+    if (key !== undefined) {
+      this.active.delete(subscription);
+      this.subscriptions.delete(key);
+    }
+    this.sendForSubscription(this.unsubscribeMethod, subscription);
+  }
+
+  ack(subscription: string) {
+    this.sendForSubscription(this.ackMethod, subscription);
+  }
+
+  nack(subscription: string) {
+    this.sendForSubscription(this.nackMethod, subscription);
+  }
+
+  /**
+   * Iterate the batches delivered on a subscription. Each batch is acked once
+   * the loop body that received it completes. Leaving the loop early (by
+   * break, or by throwing) nacks the batch, so it will be redelivered.
+   *
+   * Batches that arrive while maxInFlight are waiting to be processed are
+   * nacked, so a slow consumer holds back delivery.
+   */
+  stream<T extends TMessageTypes>(
+    type: T,
+    name: string,
+    options?: WebSocketStreamOptions
+  ): AsyncIterableIterator<TBatches[T]> {
+    const stream = new WebSocketStream<TBatches[T]>(
+      type,
+      name,
+      options?.maxInFlight ?? 1,
+      {
+        ack: (subscription) => this.ack(subscription),
+        nack: (subscription) => this.nack(subscription),
+        unsubscribe: (subscription) => this.unsubscribe(subscription),
+        remove: (stream) => this.streams.delete(stream),
+      }
+    );
+    this.streams.add(stream);
+    if (this.connected) {
+      this.subscribeStream(stream);
+    }
+    return stream;
+  }
+
+  private requestSubscription(sub: WebSocketSubscription<TMessageTypes>) {
+    const key = subscriptionKey(sub);
+    this.subscribing.add(key);
+    const subscribed = this.request<string>(this.subscribeMethod, [
+      sub.type,
+      sub.name,
+    ]).then(
+      (id) => {
+        this.subscribing.delete(key);
+        this.active.set(id, key);
+        this.emit("subscribed", sub, id);
+        return id;
+      },
+      (err) => {
+        this.subscribing.delete(key);
+        const message = `Failed to subscribe to ${sub.type} '${sub.name}': ${err.message}`;
+        if (err instanceof PaladinTransportError) {
+          // Retried on reconnect
+          this.logger.warn(message);
+        } else {
+          this.subscriptions.delete(key);
+          this.logger.error(message);
+          this.emitError(err);
+        }
+        throw err;
+      }
+    );
+    // Handled by the caller, if at all
+    subscribed.catch(() => {});
+    return subscribed;
+  }
+
+  private subscribeStream(stream: WebSocketStream<any>) {
+    delete stream.subscription;
+    stream.rpcId = this.rpc(this.subscribeMethod, [
+      stream.type,
+      stream.name,
+    ]).id;
+  }
+
+  // Subscribe replies and batches for streams are not passed to the callback
+  private routeToStream(message: any) {
+    for (const stream of this.streams) {
+      if (message.id !== undefined && message.id === stream.rpcId) {
+        if (message.error !== undefined) {
+          this.streams.delete(stream);
+          stream.fail(
+            newPaladinRpcError(message.error, {
+              method: this.subscribeMethod,
+              requestId: message.id,
+            })
+          );
+        } else {
+          stream.subscription = message.result;
+          this.emit(
+            "subscribed",
+            { type: stream.type, name: stream.name },
+            message.result
+          );
+        }
+        return true;
+      }
+      const subscription = message.params?.subscription;
+      if (
+        subscription !== undefined &&
+        subscription === stream.subscription
+      ) {
+        stream.deliver(message.params.result, subscription);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Subscription IDs only last as long as the connection, so these are
+  // dropped rather than queued while disconnected - unacked batches are
+  // redelivered to the new subscription after reconnecting
+  private sendForSubscription(method: string, subscription: string) {
+    if (!this.connected) {
+      this.logger.debug &&
+        this.logger.debug(`WS dropped ${method} while disconnected`);
+      return;
+    }
+    this.rpc(method, [subscription], false);
+  }
+
+  private context(method: string, params: any[]): JsonRpcCallContext {
+    return {
       jsonrpc: "2.0",
       id: this.counter++,
       method,
       params,
+      headers: {},
+      transport: "websocket",
+      startTime: Date.now(),
+    };
+  }
+
+  // Send without waiting for the reply
+  protected rpc(method: string, params: any[], queue = true) {
+    const ctx = this.context(method, params);
+    const sent = runMiddleware(
+      this.options.middleware ?? [],
+      ctx,
+      async () => {
+        if (queue || this.connected) {
+          this.send({
+            jsonrpc: ctx.jsonrpc,
+            id: ctx.id,
+            method: ctx.method,
+            params: ctx.params,
+          });
+        }
+      }
+    ).catch((err) => {
+      this.logger.error(`Failed to send ${method}: ${err.message}`);
     });
+    return { id: ctx.id, method, sent };
   }
 
   async close(wait?: boolean): Promise<void> {
+    for (const stream of this.streams) {
+      stream.end();
+    }
+    this.streams.clear();
+    this.queue = [];
+    this.rejectRequests("Websocket closed", false);
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      delete this.reconnectTimer;
+    }
+    if (this.connected) {
+      this.emit("disconnected", "Closed by client");
+    }
+    return this.closeSocket(wait);
+  }
+
+  private async closeSocket(wait?: boolean): Promise<void> {
+    this.connected = false;
+    this.active.clear();
+    this.rejectRequests("Websocket disconnected", true);
     const closedPromise = new Promise<void>((resolve) => {
       this.closed = resolve;
     });
@@ -177,41 +719,33 @@ abstract class PaladinWebSocketClientBase<
     }
   }
 
-  abstract subscribe(type: TMessageTypes, name: string): void;
-  abstract ack(subscription: string): void;
-  abstract nack(subscription: string): void;
+  protected abstract readonly subscribeMethod: string;
+  protected abstract readonly unsubscribeMethod: string;
+  protected abstract readonly ackMethod: string;
+  protected abstract readonly nackMethod: string;
 }
 
 export class PaladinWebSocketClient extends PaladinWebSocketClientBase<
   "receipts" | "blockchainevents",
-  WebSocketEvent
-> {
-  subscribe(type: "receipts" | "blockchainevents", name: string) {
-    this.sendRpc("ptx_subscribe", [type, name]);
-  }
-
-  ack(subscription: string) {
-    this.sendRpc("ptx_ack", [subscription]);
-  }
-
-  nack(subscription: string) {
-    this.sendRpc("ptx_nack", [subscription]);
+  WebSocketEvent,
+  {
+    receipts: TransactionReceiptBatch;
+    blockchainevents: TransactionEventBatch;
   }
+> {
+  protected readonly subscribeMethod = "ptx_subscribe";
+  protected readonly unsubscribeMethod = "ptx_unsubscribe";
+  protected readonly ackMethod = "ptx_ack";
+  protected readonly nackMethod = "ptx_nack";
 }
 
 export class PrivacyGroupWebSocketClient extends PaladinWebSocketClientBase<
   "messages",
-  PrivacyGroupWebSocketEvent
+  PrivacyGroupWebSocketEvent,
+  { messages: IPrivacyGroupMessageBatch }
 > {
-  subscribe(type: "messages", name: string) {
-    this.sendRpc("pgroup_subscribe", [type, name]);
-  }
-
-  ack(subscription: string) {
-    this.sendRpc("pgroup_ack", [subscription]);
-  }
-
-  nack(subscription: string) {
-    this.sendRpc("pgroup_nack", [subscription]);
-  }
+  protected readonly subscribeMethod = "pgroup_subscribe";
+  protected readonly unsubscribeMethod = "pgroup_unsubscribe";
+  protected readonly ackMethod = "pgroup_ack";
+  protected readonly nackMethod = "pgroup_nack";
 }
@@ -0,0 +1,84 @@
+import PaladinClient, { PaladinRpcError } from "../src";
+import { MockPaladinServer } from "../src/mock";
+import { publicTransaction, quietLogger } from "./utils";
+
+describe("PaladinClient.batch", () => {
+  let mock: MockPaladinServer;
+  let paladin: PaladinClient;
+
+  beforeEach(async () => {
+    mock = new MockPaladinServer();
+    await mock.start();
+    paladin = new PaladinClient({ url: mock.url, logger: quietLogger });
+  });
+
+  afterEach(async () => {
+    await paladin.close();
+    await mock.stop();
+  });
+
+  it("sends every call in one request", async () => {
+    const id = await paladin.ptx.sendTransaction(publicTransaction());
+    const sent = mock.requests.length;
+    const [nodeName, tx] = await paladin.batch((b) => [
+      b.transport.nodeName(),
+      b.ptx.getTransaction(id),
+    ]);
+    expect(nodeName).toBe("node1");
+    expect(tx?.id).toBe(id);
+    expect(mock.requests.slice(sent).map((r) => r.method)).toEqual([
+      "transport_nodeName",
+      "ptx_getTransaction",
+    ]);
+  });
+
+  it("rejects with the error of the call that failed", async () => {
+    const unhandled = jest.fn();
+    process.on("unhandledRejection", unhandled);
+    try {
+      const failed = paladin.batch((b) => [
+        b.transport.nodeName(),
+        b.ptx.startReceiptListener("missing"),
+      ]);
+      await expect(failed).rejects.toBeInstanceOf(PaladinRpcError);
+      await expect(failed).rejects.toMatchObject({
+        method: "ptx_startReceiptListener",
+      });
+
+      // Calls whose promises the builder discards still fail the batch
+      await expect(
+        paladin.batch((b) => {
+          b.ptx.startReceiptListener("missing");
+          b.transport.nodeName();
+        })
+      ).rejects.toMatchObject({ method: "ptx_startReceiptListener" });
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(unhandled).not.toHaveBeenCalled();
+    } finally {
+      process.off("unhandledRejection", unhandled);
+    }
+  });
+
+  it("settles each call from its own reply when every call fails", async () => {
+    let calls: Promise<unknown>[] = [];
+    await expect(
+      paladin.batch((b) => {
+        calls = [
+          b.ptx.startReceiptListener("one"),
+          b.pgroup.startMessageListener("two"),
+        ];
+        return calls;
+      })
+    ).rejects.toBeInstanceOf(PaladinRpcError);
+    const results = await Promise.allSettled(calls);
+    expect(
+      results.map((result) => {
+        const err = (result as PromiseRejectedResult).reason;
+        return [err.method, err.message];
+      })
+    ).toEqual([
+      ["ptx_startReceiptListener", expect.stringContaining("one")],
+      ["pgroup_startMessageListener", expect.stringContaining("two")],
+    ]);
+  });
+});
@@ -0,0 +1,232 @@
+import PaladinClient, {
+  BlockchainEventListener,
+  BlockchainEventListenerBuilder,
+  IBlockchainEventListenerStatus,
+} from "../src";
+import { MockPaladinServer } from "../src/mock";
+import { quietLogger } from "./utils";
+
+describe("BlockchainEventListener", () => {
+  let mock: MockPaladinServer;
+  let paladin: PaladinClient;
+  let errors: string[];
+
+  beforeEach(async () => {
+    mock = new MockPaladinServer();
+    await mock.start();
+    errors = [];
+    paladin = new PaladinClient({
+      url: mock.url,
+      logger: quietLogger,
+      onError: (method) => {
+        errors.push(method);
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await paladin.close();
+    await mock.stop();
+  });
+
+  const create = () =>
+    new BlockchainEventListenerBuilder(paladin, "events")
+      .source(["event Changed(uint256 value)"])
+      .create();
+
+  it("waits until the listener has caught up", async () => {
+    const listener = await create();
+    expect(await listener.waitUntilCaughtUp(1000, 10)).toMatchObject({
+      started: true,
+      catchup: false,
+      caughtUp: true,
+      percent: 100,
+    });
+  });
+
+  describe("with scripted progress", () => {
+    let statuses: IBlockchainEventListenerStatus[];
+
+    // Each status call returns the next status, then repeats the last one
+    beforeEach(() => {
+      statuses = [];
+      mock.handle("bidx_getConfirmedBlockHeight", () => 1000);
+      mock.handle("ptx_getBlockchainEventListenerStatus", () =>
+        statuses.length > 1 ? statuses.shift() : statuses[0]
+      );
+    });
+
+    // Without a block number, the listener has not processed any blocks
+    const status = (catchup: boolean, blockNumber = -1) => ({
+      catchup,
+      checkpoint: { blockNumber },
+    });
+
+    const createFrom = (fromBlock: number) =>
+      new BlockchainEventListenerBuilder(paladin, "events")
+        .source(["event Changed(uint256 value)"])
+        .fromBlock(fromBlock)
+        .create();
+
+    it("measures progress from the start block", async () => {
+      const listener = await createFrom(200);
+      const progress = async (catchup: boolean, blockNumber?: number) => {
+        statuses = [status(catchup, blockNumber)];
+        const { caughtUp, percent } = await listener.status();
+        return { caughtUp, percent };
+      };
+      expect(await progress(true, 600)).toEqual({
+        caughtUp: false,
+        percent: 50,
+      });
+      expect(await progress(true)).toEqual({ caughtUp: false, percent: 0 });
+      expect(await progress(true, 100)).toEqual({
+        caughtUp: false,
+        percent: 0,
+      });
+      // Not complete until the node reports the catch-up has finished
+      expect(await progress(true, 1000)).toEqual({
+        caughtUp: false,
+        percent: 99,
+      });
+      // Nor before the catch-up has started
+      expect(await progress(false)).toEqual({ caughtUp: false, percent: 0 });
+      expect(await progress(false, 1000)).toEqual({
+        caughtUp: true,
+        percent: 100,
+      });
+    });
+
+    it("waits for the checkpoint to reach the block height", async () => {
+      const listener = await createFrom(0);
+      statuses = [
+        status(false),
+        status(true, 250),
+        status(true, 900),
+        status(false, 1000),
+      ];
+      expect(await listener.waitUntilCaughtUp(1000, 10)).toMatchObject({
+        caughtUp: true,
+        blockHeight: 1000,
+        checkpoint: { blockNumber: 1000 },
+      });
+      expect(
+        mock.requests.filter(
+          (r) => r.method === "ptx_getBlockchainEventListenerStatus"
+        )
+      ).toHaveLength(4);
+    });
+
+    it("gives up waiting after waitMs", async () => {
+      const listener = await createFrom(0);
+      statuses = [status(true, 500)];
+      await expect(listener.waitUntilCaughtUp(50, 10)).rejects.toThrow(
+        "Blockchain event listener 'events' still catching up after 50ms (50%)"
+      );
+    });
+
+    it("stops waiting once the listener is stopped", async () => {
+      const listener = await createFrom(0);
+      statuses = [status(true, 100), status(true, 250)];
+      const waiting = listener.waitUntilCaughtUp(5000, 10);
+      await paladin.ptx.stopBlockchainEventListener("events");
+      await expect(waiting).rejects.toThrow(
+        "Blockchain event listener 'events' is stopped"
+      );
+    });
+  });
+
+  it("fails to wait for a stopped listener", async () => {
+    const listener = await create();
+    await paladin.ptx.stopBlockchainEventListener("events");
+    expect((await listener.status()).started).toBe(false);
+    await expect(listener.waitUntilCaughtUp(1000, 10)).rejects.toThrow(
+      "is stopped"
+    );
+  });
+
+  it("reports a missing listener", async () => {
+    const listener = await create();
+    await listener.delete();
+    expect(
+      await paladin.ptx.getBlockchainEventListenerStatus("events")
+    ).toBeUndefined();
+    await expect(listener.status()).rejects.toThrow("not found");
+    expect(
+      await BlockchainEventListener.get(paladin, "events")
+    ).toBeUndefined();
+    expect(errors).toEqual([]);
+  });
+});
+
+describe("BlockchainEventListenerBuilder", () => {
+  // Only build() is used, which does not call the node
+  const paladin = new PaladinClient({ url: "http://127.0.0.1:1" });
+  const builder = () => new BlockchainEventListenerBuilder(paladin, "events");
+
+  const abi = [
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "event Approval(address indexed owner, address indexed spender, uint256 value)",
+    "event Changed(uint256 value)",
+    "event Changed(uint256 value, string reason)",
+  ];
+
+  it("selects events by name or signature", () => {
+    const definition = builder()
+      .source(abi, {
+        events: [
+          "Transfer",
+          "Changed(uint256)",
+          "Transfer(address,address,uint256)",
+        ],
+        addresses: ["0x" + "AB".repeat(20), "0x" + "ab".repeat(20)],
+      })
+      .fromBlock(10n)
+      .batchSize(5)
+      .build();
+    expect(definition.options).toEqual({ fromBlock: "10", batchSize: 5 });
+    // One source per address, in lower case and without duplicates
+    expect(definition.sources).toHaveLength(1);
+    expect(definition.sources[0].address).toBe("0x" + "ab".repeat(20));
+    expect(definition.sources[0].abi.map((e) => e.name)).toEqual([
+      "Transfer",
+      "Changed",
+    ]);
+  });
+
+  it("rejects ambiguous and missing events", () => {
+    const select = (events: string[]) => () =>
+      builder().source(abi, { events }).build();
+    expect(select(["Changed"])).toThrow(
+      "Event 'Changed' for listener 'events' is ambiguous"
+    );
+    expect(select(["Minted"])).toThrow(
+      "Event 'Minted' for listener 'events' not in ABI"
+    );
+    expect(() =>
+      builder().source(["function set(uint256 value)"]).build()
+    ).toThrow("ABI for listener 'events' has no events");
+    expect(() => builder().source("not json").build()).toThrow(
+      "Invalid ABI for listener 'events'"
+    );
+    expect(() => builder().build()).toThrow("No sources for listener 'events'");
+  });
+
+  it("rejects invalid addresses", () => {
+    expect(() =>
+      builder().source(abi, { addresses: ["0x1234"] }).build()
+    ).toThrow("Invalid address '0x1234' for listener 'events'");
+  });
+
+  it("rejects invalid start blocks and batch sizes", () => {
+    for (const block of [-1, 1.5, -1n, NaN]) {
+      expect(() => builder().fromBlock(block)).toThrow(
+        `Invalid start block ${block}`
+      );
+    }
+    expect(builder().fromBlock("latest").source(abi).build().options).toEqual({
+      fromBlock: "latest",
+    });
+    expect(() => builder().batchSize(0)).toThrow("Invalid batch size 0");
+  });
+});
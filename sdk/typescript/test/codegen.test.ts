@@ -0,0 +1,64 @@
+import { execFileSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import ts from "typescript";
+
+const SDK_MODULE = "@lfdecentralizedtrust-labs/paladin-sdk";
+
+describe("codegen", () => {
+  let outDir: string;
+
+  // Under node_modules, so the generated code can resolve the SDK dependencies
+  const cacheDir = path.join(__dirname, "../node_modules/.cache");
+
+  beforeEach(() => {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    outDir = fs.mkdtempSync(path.join(cacheDir, "paladin-codegen-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  const generate = () => {
+    execFileSync(
+      process.execPath,
+      [
+        path.join(__dirname, "../scripts/codegen.mjs"),
+        "--out",
+        outDir,
+        path.join(__dirname, "fixtures/Counter.json"),
+      ],
+      { stdio: "pipe" }
+    );
+    return fs.readFileSync(path.join(outDir, "Counter.ts"), "utf8");
+  };
+
+  it("generates a typed contract class from an artifact", () => {
+    expect(generate()).toMatchSnapshot();
+  });
+
+  it("generates code that compiles against the SDK", () => {
+    const file = path.join(outDir, "Counter.ts");
+    fs.writeFileSync(
+      file,
+      generate().replace(
+        JSON.stringify(SDK_MODULE),
+        JSON.stringify(path.join(__dirname, "../src"))
+      )
+    );
+    const program = ts.createProgram([file], {
+      target: ts.ScriptTarget.ES2020,
+      module: ts.ModuleKind.CommonJS,
+      esModuleInterop: true,
+      resolveJsonModule: true,
+      strict: true,
+      skipLibCheck: true,
+      noEmit: true,
+    });
+    const errors = ts
+      .getPreEmitDiagnostics(program)
+      .map((d) => ts.flattenDiagnosticMessageText(d.messageText, "\n"));
+    expect(errors).toEqual([]);
+  }, 60000);
+});
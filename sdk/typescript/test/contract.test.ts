@@ -0,0 +1,50 @@
+import PaladinClient, { PublicContract } from "../src";
+import { MockPaladinServer } from "../src/mock";
+import { quietLogger } from "./utils";
+
+const abi = [
+  {
+    type: "function",
+    name: "balanceOf",
+    inputs: [{ name: "owner", type: "address" }],
+    outputs: [{ name: "", type: "uint256" }],
+    stateMutability: "view",
+  },
+] as const;
+
+describe("PublicContract", () => {
+  let mock: MockPaladinServer;
+  let paladin: PaladinClient;
+  let contract: PublicContract<typeof abi>;
+
+  beforeEach(async () => {
+    mock = new MockPaladinServer();
+    await mock.start();
+    paladin = new PaladinClient({ url: mock.url, logger: quietLogger });
+    contract = new PublicContract(paladin, abi, "0x" + "22".repeat(20));
+  });
+
+  afterEach(async () => {
+    await paladin.close();
+    await mock.stop();
+  });
+
+  it("calls functions in the ABI", async () => {
+    mock.handle("ptx_call", ([call]) => ({ 0: `${call.function}:100` }));
+    const { 0: balance } = await contract.call.balanceOf({
+      owner: "0x" + "33".repeat(20),
+    });
+    expect(balance).toBe("balanceOf:100");
+  });
+
+  it("only exposes functions in the ABI", async () => {
+    const send = contract.send as any;
+    const call = contract.call as any;
+    expect(send.missing).toBeUndefined();
+    expect(call.missing).toBeUndefined();
+    expect(send[Symbol.toPrimitive]).toBeUndefined();
+    // Not thenable, so can be returned from async functions
+    expect(send.then).toBeUndefined();
+    expect(await Promise.resolve(contract.call)).toBe(contract.call);
+  });
+});
@@ -0,0 +1,74 @@
+import PaladinClient, { DomainInstance } from "../src";
+import { MockPaladinServer, MockRpcError } from "../src/mock";
+import { quietLogger } from "./utils";
+
+const abi = [
+  {
+    type: "function",
+    name: "mint",
+    inputs: [
+      { name: "to", type: "string" },
+      { name: "amount", type: "uint256" },
+    ],
+    outputs: [],
+    stateMutability: "nonpayable",
+  },
+] as const;
+
+class Widget extends DomainInstance<typeof abi> {
+  readonly abi = abi;
+}
+
+describe("DomainInstance", () => {
+  let mock: MockPaladinServer;
+  let paladin: PaladinClient;
+  let widget: Widget;
+
+  beforeEach(async () => {
+    mock = new MockPaladinServer({ confirmDelayMs: 1 });
+    await mock.start();
+    paladin = new PaladinClient({ url: mock.url, logger: quietLogger });
+    widget = new Widget(paladin, "0x" + "44".repeat(20), "widget");
+  });
+
+  afterEach(async () => {
+    await paladin.close();
+    await mock.stop();
+  });
+
+  const mint = async () => {
+    const tx = widget.send.mint("alice", { to: "bob", amount: 5 });
+    const receipt = await tx.waitForReceipt(5000);
+    expect(receipt?.success).toBe(true);
+    return receipt!.id;
+  };
+
+  it("only exposes functions in the ABI", async () => {
+    const proxies: any[] = [widget.send, widget.call, widget.prepare];
+    for (const methods of proxies) {
+      expect(methods.missing).toBeUndefined();
+      expect(methods.then).toBeUndefined();
+      expect(typeof methods.mint).toBe("function");
+    }
+  });
+
+  it("decodes receipts from domains that do not build them", async () => {
+    const txID = await mint();
+    mock.handle("ptx_getDomainReceipt", () => {
+      throw new MockRpcError(
+        "PD020302: Unimplemented plugin request *prototk.BuildReceiptRequest"
+      );
+    });
+    const receipt = await widget.decodeReceipt(txID);
+    expect(receipt?.success).toBe(true);
+    expect(receipt?.domainReceipt).toBeUndefined();
+  });
+
+  it("fails to decode receipts on other errors", async () => {
+    const txID = await mint();
+    mock.handle("ptx_getDomainReceipt", () => {
+      throw new MockRpcError("PD011600: Domain \"widget\" not found");
+    });
+    await expect(widget.decodeReceipt(txID)).rejects.toThrow("PD011600");
+  });
+});
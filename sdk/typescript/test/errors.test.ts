@@ -0,0 +1,114 @@
+import { AxiosError } from "axios";
+import { ethers } from "ethers";
+import PaladinClient, {
+  newPaladinRpcError,
+  PaladinNotFoundError,
+  PaladinRevertError,
+  PaladinRpcError,
+  PaladinTimeoutError,
+  PaladinTransportError,
+  toPaladinRpcError,
+} from "../src";
+import { MockPaladinServer, MockRpcError } from "../src/mock";
+import { quietLogger } from "./utils";
+
+describe("newPaladinRpcError", () => {
+  const classify = (message: string, httpStatus?: number) =>
+    newPaladinRpcError(
+      { code: -32603, message },
+      { method: "ptx_test", requestId: 1, httpStatus }
+    );
+
+  it("classifies not found errors by message key or status", () => {
+    const err = classify("PD012244: Transaction not found");
+    expect(err).toBeInstanceOf(PaladinNotFoundError);
+    expect(err).toMatchObject({
+      method: "ptx_test",
+      requestId: 1,
+      code: -32603,
+      messageKey: "PD012244",
+      name: "PaladinNotFoundError",
+    });
+    expect(classify("Not found", 404)).toBeInstanceOf(PaladinNotFoundError);
+  });
+
+  it("classifies reverts, extracting the revert data", () => {
+    const err = classify("PD011513: Reverted: 0x08c379a0" + "00".repeat(32));
+    expect(err).toBeInstanceOf(PaladinRevertError);
+    expect((err as PaladinRevertError).revertData).toBe(
+      "0x08c379a0" + "00".repeat(32)
+    );
+  });
+
+  it("leaves other errors as the base class", () => {
+    const err = classify("PD012200: Something else");
+    expect(err.constructor).toBe(PaladinRpcError);
+    expect(err.messageKey).toBe("PD012200");
+    expect(classify("no key").messageKey).toBeUndefined();
+  });
+});
+
+describe("toPaladinRpcError", () => {
+  it("classifies HTTP failures as transport errors", () => {
+    const timeout = toPaladinRpcError(
+      new AxiosError("timeout", "ECONNABORTED"),
+      "ptx_test"
+    );
+    expect(timeout).toBeInstanceOf(PaladinTimeoutError);
+    const refused = toPaladinRpcError(
+      new AxiosError("connect ECONNREFUSED", "ECONNREFUSED"),
+      "ptx_test"
+    );
+    expect(refused).toBeInstanceOf(PaladinTransportError);
+    expect(refused).not.toBeInstanceOf(PaladinTimeoutError);
+    expect(refused.cause).toBeInstanceOf(AxiosError);
+  });
+
+  it("passes through errors that are already classified", () => {
+    const err = new PaladinNotFoundError("gone", { method: "ptx_test" });
+    expect(toPaladinRpcError(err, "other")).toBe(err);
+  });
+});
+
+describe("PaladinClient errors", () => {
+  let mock: MockPaladinServer;
+  let paladin: PaladinClient;
+
+  beforeEach(async () => {
+    mock = new MockPaladinServer();
+    await mock.start();
+    paladin = new PaladinClient({ url: mock.url, logger: quietLogger });
+  });
+
+  afterEach(async () => {
+    await paladin.close();
+    await mock.stop();
+  });
+
+  it("rejects with the JSON-RPC error from the node", async () => {
+    const err = await paladin.ptx
+      .startReceiptListener("missing")
+      .catch((err) => err);
+    expect(err).toBeInstanceOf(PaladinNotFoundError);
+    expect(err.method).toBe("ptx_startReceiptListener");
+  });
+
+  it("keeps the HTTP status of a failed request", async () => {
+    mock.failNext("transport_nodeName", { httpStatus: 503, message: "down" });
+    await expect(paladin.transport.nodeName()).rejects.toMatchObject({
+      httpStatus: 503,
+    });
+  });
+
+  it("decodes the revert reason", async () => {
+    const revertData = new ethers.Interface([
+      "error Error(string)",
+    ]).encodeErrorResult("Error", ["insufficient funds"]);
+    mock.handle("ptx_call", () => {
+      throw new MockRpcError(`PD011513: Reverted: ${revertData}`);
+    });
+    const err = await paladin.ptx.call({} as any).catch((err) => err);
+    expect(err).toBeInstanceOf(PaladinRevertError);
+    expect(err.decoded?.summary).toBe('Error("insufficient funds")');
+  });
+});
@@ -0,0 +1,140 @@
+import PaladinClient, {
+  IStateBase,
+  NotoInstance,
+  PaladinVerifier,
+  TransactionType,
+} from "../src";
+import { MockPaladinServer } from "../src/mock";
+import { quietLogger } from "./utils";
+
+const DOMAIN = "noto";
+const CONTRACT = "0x" + "c1".repeat(20);
+const OTHER_CONTRACT = "0x" + "c2".repeat(20);
+
+describe("NotoInstance.history", () => {
+  let mock: MockPaladinServer;
+  let paladin: PaladinClient;
+
+  beforeEach(async () => {
+    mock = new MockPaladinServer({ confirmDelayMs: 1 });
+    await mock.start();
+    paladin = new PaladinClient({ url: mock.url, logger: quietLogger });
+  });
+
+  afterEach(async () => {
+    await paladin.close();
+    await mock.stop();
+  });
+
+  it("walks the transactions on the token's coins", async () => {
+    const coin = mock.node.addSchema(
+      DOMAIN,
+      {
+        name: "NotoCoin",
+        components: [
+          { name: "owner", type: "string" },
+          { name: "amount", type: "uint256" },
+        ],
+      },
+      ["owner", "amount"]
+    ).id;
+    const lockedCoin = mock.node.addSchema(
+      DOMAIN,
+      { name: "NotoLockedCoin" },
+      ["lockId", "owner"]
+    ).id;
+    const address = (name: string) =>
+      paladin.ptx.resolveVerifier(name, "ecdsa:secp256k1", "eth_address");
+    const alice = await address("alice");
+    const bob = await address("bob");
+
+    let counter = 0;
+    const state = (
+      schema: string,
+      data: object,
+      contractAddress = CONTRACT
+    ): IStateBase => ({
+      id: "0x" + (++counter).toString(16).padStart(64, "0"),
+      created: new Date().toISOString(),
+      domain: DOMAIN,
+      schema,
+      contractAddress,
+      data,
+    });
+    const lockId = "0x" + "ab".repeat(32);
+    const minted = state(coin, { owner: alice, amount: "100" });
+    const change = state(coin, { owner: alice, amount: "70" });
+    const locked = state(lockedCoin, { owner: alice, amount: "20", lockId });
+    const remaining = state(coin, { owner: alice, amount: "50" });
+    const outcomes: { states: any; domainReceipt?: any; to?: string }[] = [
+      { states: { confirmed: [minted] } },
+      {
+        states: {
+          spent: [minted],
+          confirmed: [state(coin, { owner: bob, amount: "30" }), change],
+        },
+        domainReceipt: {
+          transfers: [{ from: alice, to: bob, amount: "30" }],
+        },
+      },
+      // On another contract, so not read
+      {
+        states: { confirmed: [state(coin, { owner: alice }, OTHER_CONTRACT)] },
+        to: OTHER_CONTRACT,
+      },
+      { states: { spent: [change], confirmed: [locked, remaining] } },
+      {
+        states: {
+          unavailable: { spent: ["0xdead"] },
+          confirmed: [state(coin, { owner: alice, amount: "15" })],
+        },
+        domainReceipt: {
+          transfers: [{ from: bob, to: alice, amount: "15" }],
+        },
+      },
+      {
+        states: {
+          spent: [locked],
+          confirmed: [state(coin, { owner: bob, amount: "20" })],
+        },
+      },
+      { states: { spent: [remaining], confirmed: [] } },
+    ];
+    for (const outcome of outcomes) {
+      mock.node.nextTransaction(outcome);
+      const id = await paladin.ptx.sendTransaction({
+        type: TransactionType.PRIVATE,
+        domain: DOMAIN,
+        to: outcome.to ?? CONTRACT,
+        from: "alice",
+        function: "transfer",
+        data: {},
+      });
+      await paladin.waitForReceipt(id, 5000);
+    }
+    const sent = mock.requests.length;
+
+    const history = await new NotoInstance(paladin, CONTRACT).history(
+      new PaladinVerifier(paladin, "alice")
+    );
+    expect(
+      history.entries.map((e) => [e.type, e.amount, e.counterparties])
+    ).toEqual([
+      ["mint", "100", []],
+      ["transfer-out", "30", [bob.toLowerCase()]],
+      ["lock", "20", []],
+      ["transfer-in", "15", [bob.toLowerCase()]],
+      ["unlock", "20", [bob.toLowerCase()]],
+      ["burn", "50", []],
+    ]);
+    expect(history.balance).toBe("15");
+    expect(history.lockedBalance).toBe("0");
+
+    const methods = mock.requests.slice(sent).map((r) => r.method);
+    expect(
+      methods.filter((m) => m === "ptx_getTransactionReceiptFull")
+    ).toHaveLength(6);
+    expect(methods).not.toContain("ptx_getStateReceipt");
+    expect(methods).not.toContain("ptx_getDomainReceipt");
+  });
+});
@@ -0,0 +1,200 @@
+import PaladinClient, {
+  BlockchainEventListenerBuilder,
+  ITransactionReceipt,
+  ListenerCheckpoint,
+  ManagedListener,
+  MemoryCheckpointStore,
+  TransactionType,
+} from "../src";
+import { MockPaladinServer } from "../src/mock";
+import { publicTransaction, quietLogger, waitFor } from "./utils";
+
+describe("ManagedListener", () => {
+  let mock: MockPaladinServer;
+  let paladin: PaladinClient;
+  let store: MemoryCheckpointStore;
+  let received: number[];
+  let listeners: { stop(): Promise<void> }[];
+
+  // Stopped after each test, even if it fails
+  const track = <T extends { stop(): Promise<void> }>(listener: T) => {
+    listeners.push(listener);
+    return listener;
+  };
+
+  const listener = () =>
+    track(
+      new ManagedListener(
+        paladin,
+        {
+          type: "receipts",
+          listener: {
+            name: "managed",
+            filters: { type: TransactionType.PUBLIC },
+          },
+          store,
+          retryDelay: 10,
+        },
+        (receipts: ITransactionReceipt[]) => {
+          received.push(...receipts.map((r) => r.sequence));
+        }
+      )
+    );
+
+  beforeEach(async () => {
+    mock = new MockPaladinServer({ confirmDelayMs: 10, nackRetryDelayMs: 10 });
+    await mock.start();
+    paladin = new PaladinClient({
+      url: mock.url,
+      logger: quietLogger,
+      websocket: { url: mock.wsUrl, logger: quietLogger, reconnectDelay: 10 },
+    });
+    store = new MemoryCheckpointStore();
+    received = [];
+    listeners = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(listeners.map((l) => l.stop()));
+    await paladin.close();
+    await mock.stop();
+  });
+
+  it("creates the listener and records checkpoints", async () => {
+    const managed = listener();
+    await managed.start();
+    expect(await paladin.ptx.getReceiptListener("managed")).toMatchObject({
+      name: "managed",
+      filters: { type: "public" },
+    });
+
+    await paladin.ptx.sendTransaction(publicTransaction());
+    await paladin.ptx.sendTransaction(publicTransaction());
+    await waitFor(() => received.length === 2);
+    await waitFor(() => managed.checkpoint?.sequence === received[1]);
+    expect((await store.get("managed"))?.sequence).toBe(received[1]);
+
+    await managed.stop(true);
+    expect(await paladin.ptx.getReceiptListener("managed")).toBeNull();
+    expect(await store.get("managed")).toBeUndefined();
+  });
+
+  it("resumes after the checkpoint when re-created", async () => {
+    let managed = listener();
+    await managed.start();
+    await paladin.ptx.sendTransaction(publicTransaction());
+    await waitFor(() => managed.checkpoint?.sequence !== undefined);
+    await managed.stop();
+
+    // Deleted on the node while stopped
+    await paladin.ptx.deleteReceiptListener("managed");
+    await paladin.ptx.sendTransaction(publicTransaction());
+    managed = listener();
+    await managed.start();
+    await waitFor(() => received.length === 2);
+    expect(new Set(received).size).toBe(2);
+    expect(
+      (await paladin.ptx.getReceiptListener("managed"))?.filters?.sequenceAbove
+    ).toBe(received[0]);
+    await managed.stop();
+  });
+
+  it("re-creates the listener when its definition changes", async () => {
+    await paladin.ptx.createReceiptListener({
+      name: "managed",
+      filters: { type: TransactionType.PRIVATE },
+    });
+    const managed = listener();
+    await managed.start();
+    expect(
+      (await paladin.ptx.getReceiptListener("managed"))?.filters?.type
+    ).toBe("public");
+    await managed.stop();
+  });
+
+  it("skips receipts redelivered after the checkpoint", async () => {
+    // Processed and checkpointed, but not acked before a restart
+    await paladin.ptx.createReceiptListener({
+      name: "managed",
+      filters: { type: TransactionType.PUBLIC },
+    });
+    const first = await paladin.ptx.sendTransaction(publicTransaction());
+    const second = await paladin.ptx.sendTransaction(publicTransaction());
+    const [r1, r2] = await Promise.all([
+      paladin.pollForReceipt(first, 5000),
+      paladin.pollForReceipt(second, 5000),
+    ]);
+    await store.put("managed", {
+      batchId: 1,
+      sequence: r1!.sequence,
+      updated: new Date().toISOString(),
+    });
+
+    const managed = listener();
+    await managed.start();
+    await waitFor(() => managed.checkpoint?.sequence === r2!.sequence);
+    expect(received).toEqual([r2!.sequence]);
+    await managed.stop();
+  });
+
+  it("stores the checkpoint before acking the batch", async () => {
+    const acked: (number | undefined)[] = [];
+    const put = store.put.bind(store);
+    store.put = async (name: string, checkpoint: ListenerCheckpoint) => {
+      const { checkpoint: committed } = mock.node.requireListener(
+        "receipts",
+        name
+      );
+      acked.push(committed >= checkpoint.sequence! ? committed : undefined);
+      await put(name, checkpoint);
+    };
+    const managed = listener();
+    await managed.start();
+    await paladin.ptx.sendTransaction(publicTransaction());
+    await waitFor(() => received.length === 1);
+    await waitFor(() => acked.length === 1);
+    // The node had not committed the batch when the checkpoint was stored
+    expect(acked).toEqual([undefined]);
+    await managed.stop();
+  });
+
+  it("keeps an unchanged blockchain event listener", async () => {
+    const definition = new BlockchainEventListenerBuilder(paladin, "events")
+      .source(["event Changed(address indexed by, uint256 value)"])
+      .fromBlock(0)
+      .build();
+    // The node omits the false "anonymous" and "indexed" fields of the ABI
+    mock.handle("ptx_getBlockchainEventListener", ([name]) => {
+      const listener = mock.node.getListener("blockchainevents", name);
+      return JSON.parse(
+        JSON.stringify(listener, (_, value) =>
+          value === false ? undefined : value
+        )
+      );
+    });
+    const events = () =>
+      track(
+        new ManagedListener(
+          paladin,
+          { type: "blockchainevents", listener: definition, store },
+          () => {}
+        )
+      );
+
+    let managed = events();
+    await managed.start();
+    await managed.stop();
+    managed = events();
+    await managed.start();
+    expect(
+      mock.requests
+        .filter((r) => r.method.endsWith("BlockchainEventListener"))
+        .map((r) => r.method)
+    ).toEqual([
+      "ptx_getBlockchainEventListener",
+      "ptx_createBlockchainEventListener",
+      "ptx_getBlockchainEventListener",
+    ]);
+    await managed.stop();
+  });
+});
@@ -0,0 +1,97 @@
+import PaladinClient, { PaladinMiddleware, PaladinRpcError } from "../src";
+import { MockPaladinServer, MockRpcError } from "../src/mock";
+import { quietLogger } from "./utils";
+
+describe("middleware", () => {
+  let mock: MockPaladinServer;
+  let paladin: PaladinClient;
+
+  beforeEach(async () => {
+    mock = new MockPaladinServer();
+    await mock.start();
+  });
+
+  afterEach(async () => {
+    await paladin.close();
+    await mock.stop();
+  });
+
+  const connect = (middleware: PaladinMiddleware[] = []) =>
+    (paladin = new PaladinClient({
+      url: mock.url,
+      logger: quietLogger,
+      middleware,
+    }));
+
+  // Records entering and leaving, to check the order of the chain
+  const trace = (name: string, calls: string[]): PaladinMiddleware =>
+    async (ctx, next) => {
+      calls.push(`${name} > ${ctx.method}`);
+      const result = await next();
+      calls.push(`${name} <`);
+      return result;
+    };
+
+  it("runs the chain in order, with the first middleware outermost", async () => {
+    const calls: string[] = [];
+    connect([trace("a", calls), trace("b", calls)]).use(trace("c", calls));
+    expect(await paladin.transport.nodeName()).toBe("node1");
+    expect(calls).toEqual([
+      "a > transport_nodeName",
+      "b > transport_nodeName",
+      "c > transport_nodeName",
+      "c <",
+      "b <",
+      "a <",
+    ]);
+  });
+
+  it("short-circuits a call that does not reach next()", async () => {
+    const calls: string[] = [];
+    connect([
+      async (ctx, next) =>
+        ctx.method === "transport_nodeName" ? "cached" : next(),
+      trace("inner", calls),
+    ]);
+    expect(await paladin.transport.nodeName()).toBe("cached");
+    expect(calls).toEqual([]);
+    expect(mock.requests).toEqual([]);
+    // Other calls continue down the chain
+    expect(await paladin.transport.peers()).toEqual([]);
+    expect(calls).toEqual(["inner > transport_peers", "inner <"]);
+  });
+
+  it("sends the params as modified by the chain", async () => {
+    connect([
+      async (ctx, next) => {
+        if (ctx.method === "ptx_createReceiptListener") {
+          ctx.params = [{ ...ctx.params[0], name: "renamed" }];
+        }
+        return next();
+      },
+    ]);
+    await paladin.ptx.createReceiptListener({ name: "original" });
+    const listeners = await paladin.ptx.queryReceiptListeners({ limit: 10 });
+    expect(listeners.map((listener) => listener.name)).toEqual(["renamed"]);
+  });
+
+  it("sees and can replace errors from the node", async () => {
+    const seen: unknown[] = [];
+    mock.handle("transport_peers", () => {
+      throw new MockRpcError("PD012200: broken");
+    });
+    connect([
+      async (ctx, next) => {
+        try {
+          return await next();
+        } catch (err) {
+          seen.push(err);
+          return [];
+        }
+      },
+    ]);
+    expect(await paladin.transport.peers()).toEqual([]);
+    expect(seen).toHaveLength(1);
+    expect(seen[0]).toBeInstanceOf(PaladinRpcError);
+  });
+});
@@ -0,0 +1,88 @@
+import axios from "axios";
+import PaladinClient, { PaladinRpcError, QueryBuilder } from "../src";
+import { MockPaladinServer } from "../src/mock";
+import { publicTransaction, quietLogger } from "./utils";
+
+describe("MockPaladinServer", () => {
+  let mock: MockPaladinServer;
+  let paladin: PaladinClient;
+
+  beforeEach(async () => {
+    mock = new MockPaladinServer({ confirmDelayMs: 10 });
+    await mock.start();
+    paladin = new PaladinClient({ url: mock.url, logger: quietLogger });
+  });
+
+  afterEach(async () => {
+    await paladin.close();
+    await mock.stop();
+  });
+
+  it("confirms submitted transactions", async () => {
+    const id = await paladin.ptx.sendTransaction(publicTransaction());
+    const receipt = await paladin.waitForReceipt(id, 5000);
+    expect(receipt?.success).toBe(true);
+    expect(await paladin.ptx.getTransaction(id)).toMatchObject({
+      id,
+      from: "alice",
+    });
+  });
+
+  it("applies scripted outcomes", async () => {
+    mock.node.nextTransaction({ success: false, failureMessage: "boom" });
+    const failed = await paladin.ptx.sendTransaction(publicTransaction());
+    expect((await paladin.waitForReceipt(failed, 5000))?.failureMessage).toBe(
+      "boom"
+    );
+
+    mock.node.onTransaction((tx) =>
+      tx.from === "slow" ? { pending: true } : undefined
+    );
+    const pending = await paladin.ptx.sendTransaction(
+      publicTransaction("slow")
+    );
+    expect(await paladin.waitForReceipt(pending, 100)).toBeUndefined();
+    mock.node.confirm(pending);
+    expect((await paladin.waitForReceipt(pending, 5000))?.success).toBe(true);
+  });
+
+  it("filters queries", async () => {
+    await paladin.ptx.sendTransaction(publicTransaction("alice"));
+    await paladin.ptx.sendTransaction(publicTransaction("bob"));
+    const txs = await paladin.ptx.queryTransactions(
+      new QueryBuilder().eq("from", "bob").limit(10)
+    );
+    expect(txs.map((tx) => tx.from)).toEqual(["bob"]);
+  });
+
+  it("overrides and fails methods", async () => {
+    mock.handle("transport_nodeName", () => "other");
+    expect(await paladin.transport.nodeName()).toBe("other");
+
+    mock.failNext("transport_nodeName", { message: "PD000000: nope" });
+    await expect(paladin.transport.nodeName()).rejects.toBeInstanceOf(
+      PaladinRpcError
+    );
+    expect(
+      mock.requests.filter((r) => r.method === "transport_nodeName")
+    ).toHaveLength(2);
+  });
+
+  it("only fails a batch at the HTTP layer when every call fails", async () => {
+    const post = (body: any) =>
+      axios.post(mock.url, body, { validateStatus: () => true });
+    const ok = { jsonrpc: "2.0", id: 1, method: "transport_nodeName" };
+    const bad = { jsonrpc: "2.0", id: 2, method: "ptx_unknown" };
+
+    const mixed = await post([ok, bad]);
+    expect(mixed.status).toBe(200);
+    expect(mixed.data[0].result).toBeDefined();
+    expect(mixed.data[1].error.message).toMatch(/PD020702/);
+
+    const allFailed = await post([bad, { ...bad, id: 3 }]);
+    expect(allFailed.status).toBe(500);
+    expect(allFailed.data).toHaveLength(2);
+
+    expect((await post(bad)).status).toBe(500);
+  });
+});
@@ -0,0 +1,191 @@
+import PaladinClient, {
+  NotoInstance,
+  PaladinVerifier,
+  TransactionType,
+} from "../src";
+import { MockPaladinServer } from "../src/mock";
+import { quietLogger, sleep } from "./utils";
+
+const DOMAIN = "noto";
+const CONTRACT = "0x" + "c1".repeat(20);
+const ZERO_ADDRESS = "0x" + "00".repeat(20);
+
+describe("NotoInstance locks", () => {
+  let mock: MockPaladinServer;
+  let paladin: PaladinClient;
+  let noto: NotoInstance;
+  let alice: string;
+  let bob: string;
+  let lockedCoin: string;
+  let lockInfo: string;
+
+  const lockId = (n: number) => "0x" + `${n}`.repeat(64);
+
+  const addLockedCoin = (id: string, owner: string, amount: string) =>
+    mock.node.addState({
+      domain: DOMAIN,
+      schema: lockedCoin,
+      contractAddress: CONTRACT,
+      data: { salt: ethersSalt(), lockId: id, owner, amount },
+      confirmed: true,
+    });
+
+  const addLockInfo = (id: string, owner: string, delegate: string) =>
+    mock.node.addState({
+      domain: DOMAIN,
+      schema: lockInfo,
+      contractAddress: CONTRACT,
+      data: { salt: ethersSalt(), lockId: id, owner, delegate },
+      confirmed: true,
+    });
+
+  let salt = 0;
+  const ethersSalt = () => "0x" + (++salt).toString(16).padStart(64, "0");
+
+  beforeEach(async () => {
+    mock = new MockPaladinServer({ confirmDelayMs: 1 });
+    await mock.start();
+    paladin = new PaladinClient({ url: mock.url, logger: quietLogger });
+    noto = new NotoInstance(paladin, CONTRACT);
+    mock.node.addSchema(DOMAIN, { name: "NotoCoin" }, ["owner", "amount"]);
+    lockedCoin = mock.node.addSchema(DOMAIN, { name: "NotoLockedCoin" }, [
+      "lockId",
+      "owner",
+    ]).id;
+    lockInfo = mock.node.addSchema(DOMAIN, { name: "NotoLockInfo" }).id;
+    const address = (name: string) =>
+      paladin.ptx.resolveVerifier(name, "ecdsa:secp256k1", "eth_address");
+    alice = await address("alice");
+    bob = await address("bob");
+  });
+
+  afterEach(async () => {
+    await paladin.close();
+    await mock.stop();
+  });
+
+  it("reports the latest lock info for each lock", async () => {
+    addLockedCoin(lockId(1), alice, "20");
+    addLockedCoin(lockId(1), alice, "5");
+    addLockedCoin(lockId(2), bob, "9");
+    addLockInfo(lockId(1), alice, ZERO_ADDRESS);
+    await sleep(5);
+    addLockInfo(lockId(1), alice, bob);
+    // Not one of the locks with coins
+    addLockInfo(lockId(3), alice, bob);
+
+    // In no particular order
+    const locks = await noto.queryLocks();
+    locks.sort((a, b) => a.lockId.localeCompare(b.lockId));
+    expect(
+      locks.map((lock) => [
+        lock.lockId,
+        lock.owner,
+        lock.balance,
+        lock.delegate,
+      ])
+    ).toEqual([
+      [lockId(1), alice.toLowerCase(), "25", bob],
+      [lockId(2), bob.toLowerCase(), "9", undefined],
+    ]);
+    expect(await noto.queryLocks({ delegate: bob })).toHaveLength(1);
+    expect(await noto.getLock(lockId(3))).toBeUndefined();
+  });
+
+  const unlockParams = (id: string) => ({
+    lockId: id,
+    from: new PaladinVerifier(paladin, "alice"),
+    recipients: [{ to: new PaladinVerifier(paladin, "bob"), amount: 25 }],
+    data: "0x",
+  });
+
+  const signer = () => new PaladinVerifier(paladin, "alice");
+
+  const methods = () => mock.requests.map((r) => r.method);
+
+  it("finds the unlock prepared for a lock on request", async () => {
+    addLockedCoin(lockId(1), alice, "25");
+    // Only the latest successful prepareUnlock counts
+    mock.node.nextTransaction({
+      domainReceipt: { lockInfo: { lockId: lockId(1), unlockCall: "0x01" } },
+    });
+    await noto.prepareUnlock(signer(), unlockParams(lockId(1))).waitForReceipt();
+    await sleep(5);
+    mock.node.nextTransaction({
+      domainReceipt: {
+        lockInfo: { lockId: lockId(1), unlockCall: "0x1234" },
+        states: { preparedOutputs: [{ id: "0x01", data: { amount: "25" } }] },
+      },
+    });
+    // Recorded by the node with the signature of the function
+    const latest = await paladin.waitForReceipt(
+      await paladin.ptx.sendTransaction({
+        type: TransactionType.PRIVATE,
+        domain: DOMAIN,
+        abi: [
+          {
+            type: "function",
+            name: "prepareUnlock",
+            inputs: [{ name: "lockId", type: "bytes32" }],
+          },
+        ],
+        function: "prepareUnlock",
+        to: CONTRACT,
+        from: "alice",
+        data: { lockId: lockId(1) },
+      }),
+      5000
+    );
+    await sleep(5);
+    mock.node.nextTransaction({ success: false, failureMessage: "reverted" });
+    await noto.prepareUnlock(signer(), unlockParams(lockId(1))).waitForReceipt();
+    // Other functions with the same lockId are not prepared unlocks
+    await noto.unlock(signer(), unlockParams(lockId(1))).waitForReceipt();
+
+    mock.requests.length = 0;
+    expect((await noto.getLock(lockId(1)))?.preparedUnlock).toBeUndefined();
+    expect(methods()).not.toContain("ptx_queryTransactions");
+
+    const lock = await noto.getLock(lockId(1), { preparedUnlocks: true });
+    expect(lock?.preparedUnlock).toMatchObject({
+      transactionId: latest!.id,
+      unlockCall: "0x1234",
+      outputs: [{ id: "0x01" }],
+    });
+    // Receipts are read in one batch, with the domain receipt included
+    expect(
+      methods().filter((m) => m === "ptx_getTransactionReceiptFull")
+    ).toHaveLength(3);
+    expect(methods()).not.toContain("ptx_getTransactionReceipt");
+    expect(methods()).not.toContain("ptx_getDomainReceipt");
+  });
+
+  it("cancels a lock reading only its locked coins", async () => {
+    addLockedCoin(lockId(1), alice, "20");
+    addLockedCoin(lockId(1), alice, "5");
+    addLockedCoin(lockId(2), alice, "9");
+    const sent = new Promise<any>((resolve) =>
+      mock.node.onTransaction((tx) => {
+        resolve(tx);
+      })
+    );
+    await noto.cancelLock(signer(), lockId(1)).waitForReceipt();
+    const tx = await sent;
+    expect(tx.function).toMatch(/^unlock\b/);
+    expect(tx.data.recipients).toEqual([{ to: "alice", amount: "25" }]);
+    const stateQueries = mock.requests.filter(
+      (r) => r.method === "pstate_queryContractStates"
+    );
+    expect(stateQueries).toHaveLength(1);
+    expect(stateQueries[0].params[3].eq).toEqual([
+      { field: "lockId", value: lockId(1) },
+    ]);
+    expect(methods()).not.toContain("ptx_queryTransactions");
+  });
+
+  it("fails to cancel a lock with no coins", async () => {
+    await expect(
+      noto.cancelLock(signer(), lockId(9)).waitForReceipt()
+    ).rejects.toThrow(`Lock ${lockId(9)} not found`);
+  });
+});
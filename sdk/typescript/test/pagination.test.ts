@@ -0,0 +1,167 @@
+import { ethers } from "ethers";
+import PaladinClient, { IQuery, paginate } from "../src";
+import { MockPaladinServer } from "../src/mock";
+import { publicTransaction, quietLogger } from "./utils";
+
+const collect = async <T>(iterator: AsyncIterable<T>) => {
+  const items: T[] = [];
+  for await (const item of iterator) {
+    items.push(item);
+  }
+  return items;
+};
+
+describe("paginate", () => {
+  it("appends the cursor field to the sort as a tiebreaker", async () => {
+    const queries: IQuery[] = [];
+    const items = [
+      { id: "a", size: 1 },
+      { id: "b", size: 1 },
+      { id: "c", size: 2 },
+    ];
+    const pages = await collect(
+      paginate(
+        async (query) => {
+          queries.push(query);
+          return queries.length === 1 ? items.slice(0, 2) : items.slice(2);
+        },
+        { sort: ["size"] },
+        { pageSize: 2, cursorField: "id" }
+      )
+    );
+    expect(pages).toEqual(items);
+    expect(queries[0].sort).toEqual(["size", "id"]);
+    // Entries after (size 1, id "b"), in sort order
+    expect(queries[1].or).toEqual([
+      { gt: [{ field: "size", value: 1 }] },
+      {
+        eq: [{ field: "size", value: 1 }],
+        gt: [{ field: "id", value: "b" }],
+      },
+    ]);
+  });
+
+  it("does not repeat a field already in the sort", async () => {
+    const queries: IQuery[] = [];
+    await collect(
+      paginate(
+        async (query) => {
+          queries.push(query);
+          return [];
+        },
+        { sort: ["-id"] },
+        { cursorField: "id" }
+      )
+    );
+    expect(queries[0].sort).toEqual(["-id"]);
+  });
+
+  it("requires a sort or cursor field", async () => {
+    await expect(collect(paginate(async () => [], {}))).rejects.toThrow(
+      "Pagination requires a sort or cursorField"
+    );
+  });
+
+  it("rejects a sort on a field missing from the results", async () => {
+    const iterator = paginate(
+      async () => [{ id: "a" }],
+      { sort: ["size"] },
+      { pageSize: 1 }
+    );
+    await expect(collect(iterator)).rejects.toThrow(
+      'Cannot paginate on field "size", as it is not in the results'
+    );
+  });
+});
+
+describe("PaladinClient iterators", () => {
+  let mock: MockPaladinServer;
+  let paladin: PaladinClient;
+
+  beforeEach(async () => {
+    mock = new MockPaladinServer();
+    await mock.start();
+    paladin = new PaladinClient({ url: mock.url, logger: quietLogger });
+  });
+
+  afterEach(async () => {
+    await paladin.close();
+    await mock.stop();
+  });
+
+  it("iterates every transaction on the node", async () => {
+    const ids: string[] = [];
+    for (let i = 0; i < 5; i++) {
+      ids.push(await paladin.ptx.sendTransaction(publicTransaction()));
+    }
+    const txs = await collect(
+      paladin.ptx.iterateTransactions({}, { pageSize: 2 })
+    );
+    expect(txs.map((tx) => tx.id).sort()).toEqual(ids.sort());
+    expect(
+      mock.requests.filter((r) => r.method === "ptx_queryTransactions")
+    ).toHaveLength(3);
+  });
+
+  it("iterates public transactions", async () => {
+    for (let i = 0; i < 3; i++) {
+      await paladin.ptx.sendTransaction(publicTransaction());
+    }
+    const txs = await collect(
+      paladin.ptx.iteratePublicTransactions({}, { pageSize: 2 })
+    );
+    expect(txs.map((tx) => tx.localId)).toEqual([1, 2, 3]);
+  });
+
+  it("iterates states sorted on a field of the schema", async () => {
+    const schema = mock.node.addSchema("coins", {
+      name: "Coin",
+      components: [{ name: "amount", type: "uint256" }],
+    });
+    for (const amount of [30, 10, 20, 10]) {
+      mock.node.addState({
+        domain: "coins",
+        contractAddress: "0x" + "11".repeat(20),
+        schema: schema.id,
+        data: { amount, salt: ethers.hexlify(ethers.randomBytes(8)) },
+      });
+    }
+    const states = await collect(
+      paladin.pstate.iterateStates(
+        "coins",
+        schema.id,
+        { sort: ["amount"] },
+        "all",
+        { pageSize: 2 }
+      )
+    );
+    expect(states.map((state: any) => state.data.amount)).toEqual([
+      10, 10, 20, 30,
+    ]);
+    const [, second] = mock.requests.filter(
+      (r) => r.method === "pstate_queryStates"
+    );
+    expect(second.params[2].or[0]).toEqual({
+      gt: [{ field: "amount", value: 10 }],
+    });
+  });
+
+  it("iterates registry entries sorted on a property", async () => {
+    for (const [name, rank] of [
+      ["a", "2"],
+      ["b", "1"],
+      ["c", "3"],
+    ]) {
+      mock.node.addRegistryEntry("nodes", { name, properties: { rank } });
+    }
+    const entries = await collect(
+      paladin.reg.iterateEntriesWithProps(
+        "nodes",
+        { sort: ["rank"] },
+        "active",
+        { pageSize: 2 }
+      )
+    );
+    expect(entries.map((entry) => entry.name)).toEqual(["b", "a", "c"]);
+  });
+});
@@ -0,0 +1,345 @@
+import { ethers } from "ethers";
+import PaladinClient, {
+  Algorithms,
+  ITransactionReceipt,
+  MemoryCheckpointStore,
+  PENTE_FORKED_FROM,
+  PENTE_FORKED_FROM_ADDRESS,
+  PenteFactory,
+  PentePrivacyGroup,
+  PenteReceiptListenerOptions,
+  PenteReceiptSubscription,
+  Verifiers,
+} from "../src";
+import { MockPaladinServer, MockRpcError } from "../src/mock";
+import { quietLogger, sleep, waitFor } from "./utils";
+
+const DOMAIN = "pente";
+
+const storage = {
+  abi: [
+    {
+      type: "constructor",
+      inputs: [{ name: "initial", type: "uint256" }],
+    },
+    {
+      type: "function",
+      name: "set",
+      inputs: [{ name: "value", type: "uint256" }],
+      outputs: [],
+    },
+  ],
+  bytecode: "0x6080",
+};
+
+describe("PentePrivacyGroup", () => {
+  let mock: MockPaladinServer;
+  let paladin: PaladinClient;
+  let group: PentePrivacyGroup;
+
+  beforeEach(async () => {
+    mock = new MockPaladinServer({ confirmDelayMs: 1, nackRetryDelayMs: 10 });
+    await mock.start();
+    paladin = new PaladinClient({
+      url: mock.url,
+      logger: quietLogger,
+      websocket: { url: mock.wsUrl, logger: quietLogger, reconnectDelay: 10 },
+    });
+
+    // Pente returns the address of a contract deployed in a group in its
+    // domain receipt
+    mock.node.onTransaction((tx) =>
+      tx.function === "deploy" && tx.to !== undefined
+        ? {
+            domainReceipt: {
+              receipt: {
+                contractAddress: ethers.hexlify(ethers.randomBytes(20)),
+              },
+            },
+          }
+        : undefined
+    );
+
+    const deployed = await new PenteFactory(paladin, DOMAIN)
+      .newPrivacyGroup({
+        name: "group1",
+        members: ["alice@node1", "bob@node2"],
+        evmVersion: "shanghai",
+        endorsementType: "group_scoped_identities",
+        externalCallsEnabled: true,
+      })
+      .waitForDeploy(5000);
+    group = deployed!;
+  });
+
+  afterEach(async () => {
+    await paladin.close();
+    await mock.stop();
+  });
+
+  const deploy = (initial: number) =>
+    group
+      .deploy({ ...storage, from: "alice", inputs: { initial } })
+      .waitForDeploy(5000);
+
+  const receiptsFetched = () =>
+    mock.requests
+      .filter((r) => r.method === "ptx_getTransactionReceiptFull")
+      .map((r) => r.params[0]);
+
+  it("lists contracts deployed in the group, fetching only their receipts", async () => {
+    const first = await deploy(1);
+    await group
+      .sendTransaction({
+        from: "alice",
+        to: first!,
+        methodAbi: storage.abi[1],
+        data: { value: 2 },
+      })
+      .waitForReceipt(5000);
+    mock.node.nextTransaction({ success: false });
+    await group
+      .deploy({ ...storage, from: "alice", inputs: { initial: 3 } })
+      .waitForReceipt(5000);
+    const second = await deploy(4);
+
+    const fetched = receiptsFetched().length;
+    const contracts = await group.deployedContracts();
+    expect(contracts.map((c) => c.address)).toEqual([first, second]);
+    expect(contracts.every((c) => c.from === "alice")).toBe(true);
+    // Not the receipt of the set() call
+    const deploys = (
+      await paladin.ptx.queryTransactions({ limit: 10 })
+    ).filter((tx) => tx.function === "deploy");
+    expect(receiptsFetched().slice(fetched).sort()).toEqual(
+      deploys.map((tx) => tx.id).sort()
+    );
+  });
+
+  it("lists no contracts without fetching receipts", async () => {
+    const fetched = receiptsFetched().length;
+    expect(await group.deployedContracts()).toEqual([]);
+    expect(receiptsFetched()).toHaveLength(fetched);
+  });
+
+  it("describes the group", async () => {
+    const contract = await deploy(1);
+    // Only identities local to this node resolve
+    mock.handle("ptx_resolveVerifier", ([lookup, algorithm, verifierType]) => {
+      if (lookup.includes("@node2")) {
+        throw new MockRpcError(`PD020000: Unable to resolve ${lookup}`);
+      }
+      return mock.node.resolveVerifier(lookup, algorithm, verifierType);
+    });
+
+    const description = await group.describe();
+    expect(description).toMatchObject({
+      id: group.group.id,
+      domain: DOMAIN,
+      name: "group1",
+      address: group.address,
+      endorsementType: "group_scoped_identities",
+      evmVersion: "shanghai",
+      externalCallsEnabled: true,
+      forkedFrom: undefined,
+    });
+    expect(description.members).toEqual([
+      {
+        lookup: "alice@node1",
+        address: mock.node.resolveVerifier(
+          "alice@node1",
+          Algorithms.ECDSA_SECP256K1,
+          Verifiers.ETH_ADDRESS
+        ),
+      },
+      { lookup: "bob@node2", address: undefined },
+    ]);
+    expect(description.contracts.map((c) => c.address)).toEqual([contract]);
+  });
+
+  it("forks the group with its contracts", async () => {
+    const first = await deploy(1);
+    const second = await deploy(2);
+    const migrated: string[][] = [];
+    const migrate = async (
+      source: { group: PentePrivacyGroup; address: string },
+      target: { group: PentePrivacyGroup; address: string }
+    ) => {
+      migrated.push([source.group.address, source.address, target.address]);
+    };
+
+    const fork = await group.fork({
+      members: ["alice@node1", "carol@node3"],
+      contracts: [
+        {
+          ...storage,
+          from: "alice",
+          address: first!,
+          inputs: { initial: 1 },
+        },
+        { ...storage, from: "alice", address: second!, migrate },
+      ],
+      properties: { purpose: "rotation" },
+      waitMs: 5000,
+    });
+
+    expect(fork.group.address).not.toBe(group.address);
+    expect(fork.group.members).toEqual(["alice@node1", "carol@node3"]);
+    expect(fork.group.group).toMatchObject({
+      name: "group1",
+      configuration: {
+        evmVersion: "shanghai",
+        endorsementType: "group_scoped_identities",
+        externalCallsEnabled: "true",
+      },
+      properties: {
+        purpose: "rotation",
+        [PENTE_FORKED_FROM]: group.group.id,
+        [PENTE_FORKED_FROM_ADDRESS]: group.address,
+      },
+    });
+
+    // Re-deployed in order, with only the second migrated
+    const redeployed = await fork.group.deployedContracts();
+    expect(redeployed.map((c) => c.address)).toEqual([
+      fork.contracts[first!],
+      fork.contracts[second!],
+    ]);
+    expect(migrated).toEqual([
+      [group.address, second, fork.contracts[second!]],
+    ]);
+    expect((await fork.group.describe()).forkedFrom).toBe(group.group.id);
+  });
+
+  it("fails a fork when a contract cannot be re-deployed", async () => {
+    const contract = await deploy(1);
+    const migrate = jest.fn();
+    mock.node.onTransaction((tx) =>
+      tx.function === "deploy" && tx.to !== undefined
+        ? { success: false }
+        : undefined
+    );
+    await expect(
+      group.fork({
+        members: ["alice@node1"],
+        contracts: [{ ...storage, from: "alice", address: contract!, migrate }],
+        waitMs: 5000,
+      })
+    ).rejects.toThrow(`Failed to re-deploy contract ${contract}`);
+    expect(migrate).not.toHaveBeenCalled();
+  });
+
+  describe("onReceipt", () => {
+    let subscriptions: PenteReceiptSubscription[];
+
+    beforeEach(() => {
+      subscriptions = [];
+    });
+
+    afterEach(async () => {
+      await Promise.all(subscriptions.map((s) => s.close()));
+    });
+
+    const subscribe = async (
+      handler: (receipt: ITransactionReceipt) => void | Promise<void>,
+      options: Partial<PenteReceiptListenerOptions> = {}
+    ) => {
+      const subscription = await group.onReceipt(handler, {
+        listenerName: "pente-receipts",
+        retryDelay: 10,
+        ...options,
+      });
+      subscriptions.push(subscription);
+      return subscription;
+    };
+
+    const set = async (value: number) =>
+      (await group
+        .sendTransaction({
+          from: "alice",
+          to: "0x" + "22".repeat(20),
+          methodAbi: storage.abi[1],
+          data: { value },
+        })
+        .waitForReceipt(5000))!.id;
+
+    it("receives the group's successful receipts, resuming from the stored checkpoint", async () => {
+      const other = await new PenteFactory(paladin, DOMAIN)
+        .newPrivacyGroup({ members: ["alice@node1"] })
+        .waitForDeploy(5000);
+      const store = new MemoryCheckpointStore();
+      const received: string[] = [];
+      const subscription = await subscribe(
+        (receipt) => {
+          received.push(receipt.id);
+        },
+        { store }
+      );
+
+      const first = await set(1);
+      mock.node.nextTransaction({ success: false });
+      await set(2);
+      await other!
+        .sendTransaction({
+          from: "alice",
+          to: "0x" + "22".repeat(20),
+          methodAbi: storage.abi[1],
+          data: { value: 3 },
+        })
+        .waitForReceipt(5000);
+      const second = await set(4);
+      await waitFor(() => received.includes(second));
+      expect(received).toEqual([group.group.genesisTransaction, first, second]);
+      await waitFor(
+        () => subscription.sequence !== undefined && subscription.sequence > 0
+      );
+      await subscription.close();
+      expect((await store.get("pente-receipts"))?.sequence).toBe(
+        subscription.sequence
+      );
+
+      // Without the listener on the node, the stored checkpoint is where a
+      // new subscription starts
+      await paladin.ptx.deleteReceiptListener("pente-receipts");
+      const third = await set(5);
+      received.length = 0;
+      await subscribe(
+        (receipt) => {
+          received.push(receipt.id);
+        },
+        { store }
+      );
+      await waitFor(() => received.includes(third));
+      expect(received).toEqual([third]);
+    });
+
+    it("redelivers after the retry delay, skipping receipts already handled", async () => {
+      const errors: unknown[] = [];
+      const attempts: { id: string; at: number }[] = [];
+      let failed: number | undefined;
+      const first = await set(1);
+      const second = await set(2);
+      await subscribe(
+        (receipt) => {
+          attempts.push({ id: receipt.id, at: Date.now() });
+          if (receipt.id === second && failed === undefined) {
+            failed = Date.now();
+            throw new Error("pop");
+          }
+        },
+        { retryDelay: 200, onError: (err) => errors.push(err) }
+      );
+
+      await waitFor(
+        () => attempts.filter((a) => a.id === second).length === 2
+      );
+      const ids = attempts.map((a) => a.id);
+      expect(ids.filter((id) => id === first)).toHaveLength(1);
+      expect(errors).toEqual([new Error("pop")]);
+      const retried = attempts[attempts.length - 1].at;
+      expect(retried - failed!).toBeGreaterThanOrEqual(200);
+      await sleep(50);
+      expect(attempts.map((a) => a.id)).toEqual(ids);
+    });
+  });
+});
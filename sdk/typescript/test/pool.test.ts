@@ -0,0 +1,92 @@
+import {
+  PaladinClientPool,
+  PaladinTimeoutError,
+  PaladinTransportError,
+} from "../src";
+import { MockPaladinServer } from "../src/mock";
+import { publicTransaction, quietLogger, sleep } from "./utils";
+
+describe("PaladinClientPool", () => {
+  let first: MockPaladinServer;
+  let second: MockPaladinServer;
+  let pool: PaladinClientPool;
+
+  const connect = (urls: string[]) => {
+    pool = new PaladinClientPool({
+      urls,
+      logger: quietLogger,
+      healthCheckInterval: -1,
+      requestConfig: { timeout: 200 },
+    });
+    return pool.checkHealth();
+  };
+
+  beforeEach(async () => {
+    first = new MockPaladinServer();
+    second = new MockPaladinServer();
+    await Promise.all([first.start(), second.start()]);
+  });
+
+  afterEach(async () => {
+    await pool?.close();
+    await Promise.all([first.stop(), second.stop()]);
+  });
+
+  const called = (mock: MockPaladinServer, method: string) =>
+    mock.requests.filter((r) => r.method === method).length;
+
+  it("fails reads over to the next endpoint", async () => {
+    await connect([first.url, second.url]);
+    first.failNext("transport_peers", { httpStatus: 503, message: "down" });
+    const peers = await pool.execute((client) => client.transport.peers(), {
+      readOnly: true,
+    });
+    expect(peers).toEqual([]);
+    expect(called(second, "transport_peers")).toBe(1);
+    expect(pool.status.map((e) => e.healthy)).toEqual([false, true]);
+  });
+
+  it("fails keyed transactions over to the next endpoint", async () => {
+    await connect([first.url, second.url]);
+    first.failNext("ptx_sendTransaction", { httpStatus: 503, message: "down" });
+    const id = await pool.sendTransaction({
+      ...publicTransaction(),
+      idempotencyKey: "key1",
+    });
+    expect(await second.node.getTransaction(id)).toBeDefined();
+  });
+
+  it("does not repeat a state-changing call that timed out", async () => {
+    await connect([first.url, second.url]);
+    first.handle("ptx_sendTransaction", async () => {
+      await sleep(500);
+      return "late";
+    });
+    const err = await pool
+      .sendTransaction(publicTransaction())
+      .catch((err) => err);
+    expect(err).toBeInstanceOf(PaladinTimeoutError);
+    expect(called(second, "ptx_sendTransaction")).toBe(0);
+  });
+
+  it("does not repeat state-changing calls by default", async () => {
+    await connect([first.url, second.url]);
+    first.failNext("ptx_stopReceiptListener", {
+      httpStatus: 503,
+      message: "down",
+    });
+    await expect(
+      pool.execute((client) => client.ptx.stopReceiptListener("listener"))
+    ).rejects.toThrow(PaladinTransportError);
+    expect(called(second, "ptx_stopReceiptListener")).toBe(0);
+  });
+
+  it("fails once every endpoint is down", async () => {
+    await connect(["http://127.0.0.1:1", "http://127.0.0.1:2"]);
+    expect(pool.status.map((e) => e.healthy)).toEqual([false, false]);
+    await expect(
+      pool.execute((client) => client.transport.peers(), { readOnly: true })
+    ).rejects.toThrow(PaladinTransportError);
+    expect(pool.status.every((e) => e.lastError !== undefined)).toBe(true);
+  });
+});
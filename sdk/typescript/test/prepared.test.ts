@@ -0,0 +1,182 @@
+import { ethers } from "ethers";
+import PaladinClient, {
+  ITransactionInput,
+  PreparedTransaction,
+  TransactionType,
+} from "../src";
+import { MockPaladinServer } from "../src/mock";
+import { quietLogger } from "./utils";
+
+const DOMAIN = "noto";
+const CONTRACT = "0x" + "3c".repeat(20);
+const RECIPIENT = "0x" + "4d".repeat(20);
+
+const transferABI = [
+  {
+    type: "function",
+    name: "transfer",
+    inputs: [
+      { name: "to", type: "address" },
+      { name: "amount", type: "uint256" },
+    ],
+    outputs: [],
+  },
+];
+
+describe("PreparedTransaction", () => {
+  let mock: MockPaladinServer;
+  let paladin: PaladinClient;
+  let schema: string;
+
+  beforeEach(async () => {
+    mock = new MockPaladinServer({ confirmDelayMs: 1 });
+    await mock.start();
+    paladin = new PaladinClient({ url: mock.url, logger: quietLogger });
+    schema = mock.node.addSchema(DOMAIN, { name: "NotoCoin" }).id;
+  });
+
+  afterEach(async () => {
+    await paladin.close();
+    await mock.stop();
+  });
+
+  const transfer: ITransactionInput = {
+    type: TransactionType.PRIVATE,
+    domain: DOMAIN,
+    from: "alice",
+    to: CONTRACT,
+    function: "transfer",
+    abi: transferABI,
+    data: { to: RECIPIENT, amount: "100" },
+  };
+
+  const prepare = async (input = transfer) => {
+    const id = await paladin.ptx.prepareTransaction(input);
+    return (await PreparedTransaction.waitFor(paladin, id))!;
+  };
+
+  const coin = (contractAddress = CONTRACT) =>
+    mock.node.addState({
+      domain: DOMAIN,
+      schema,
+      contractAddress,
+      data: { salt: ethers.hexlify(ethers.randomBytes(32)), amount: "100" },
+      confirmed: true,
+    });
+
+  it("waits for the prepared transaction", async () => {
+    const prepared = await prepare();
+    expect(prepared.prepared.to).toBe(CONTRACT);
+    expect(prepared.transaction.type).toBe(TransactionType.PUBLIC);
+    expect(
+      await PreparedTransaction.waitFor(paladin, "missing", 200)
+    ).toBeUndefined();
+  });
+
+  it("encodes the base ledger transaction", async () => {
+    const prepared = await prepare();
+    const { to, data } = await prepared.encodeForPublicSubmission();
+    expect(to).toBe(CONTRACT);
+    const decoded = new ethers.Interface(transferABI).decodeFunctionData(
+      "transfer",
+      data
+    );
+    expect(decoded.to.toLowerCase()).toBe(RECIPIENT);
+    expect(decoded.amount).toBe(100n);
+    expect(await prepared.toAtomOperation()).toEqual({
+      contractAddress: CONTRACT,
+      callData: data,
+    });
+  });
+
+  it("encodes positional inputs", async () => {
+    const prepared = await prepare({
+      ...transfer,
+      data: [RECIPIENT, "7"] as any,
+    });
+    const { data } = await prepared.encodeForPublicSubmission();
+    expect(
+      new ethers.Interface(transferABI).decodeFunctionData("transfer", data)
+        .amount
+    ).toBe(7n);
+  });
+
+  it("rejects transactions that cannot be encoded", async () => {
+    const prepared = await prepare();
+    const privateTx = new PreparedTransaction(paladin, {
+      ...prepared.prepared,
+      transaction: { ...prepared.transaction, type: TransactionType.PRIVATE },
+    });
+    await expect(privateTx.encodeForPublicSubmission()).rejects.toThrow(
+      "is a private transaction, and cannot be submitted to the base ledger"
+    );
+
+    const missingABI = new PreparedTransaction(paladin, {
+      ...prepared.prepared,
+      transaction: {
+        ...prepared.transaction,
+        abiReference: ethers.ZeroHash,
+      },
+    });
+    await expect(missingABI.encodeForPublicSubmission()).rejects.toThrow(
+      `ABI ${ethers.ZeroHash} for prepared transaction ${prepared.id} not found`
+    );
+
+    const missingFunction = new PreparedTransaction(paladin, {
+      ...prepared.prepared,
+      transaction: { ...prepared.transaction, function: "mint" },
+    });
+    await expect(missingFunction.encodeForPublicSubmission()).rejects.toThrow(
+      "Function 'mint' not found"
+    );
+  });
+
+  it("checks the states are still available", async () => {
+    const spent = coin();
+    const read = coin();
+    const foreign = coin("0x" + "5e".repeat(20));
+    const created = {
+      id: ethers.hexlify(ethers.randomBytes(32)),
+      created: new Date().toISOString(),
+      domain: DOMAIN,
+      schema,
+      contractAddress: CONTRACT,
+      data: { amount: "100" },
+    };
+    mock.node.nextTransaction({
+      states: { spent: [spent], read: [read], confirmed: [created, foreign] },
+    });
+    const prepared = await prepare();
+    expect(await prepared.verifyStates()).toEqual({
+      valid: false,
+      unavailable: [],
+      mismatched: [foreign.id],
+    });
+
+    // Spent by another transaction in the meantime
+    mock.node.nextTransaction({ states: { spent: [spent] } });
+    await paladin.pollForReceipt(
+      await paladin.ptx.sendTransaction(transfer),
+      5000
+    );
+    expect(await prepared.verifyStates()).toEqual({
+      valid: false,
+      unavailable: [spent.id],
+      mismatched: [foreign.id],
+    });
+  });
+
+  it("submits the transaction from another signer", async () => {
+    const prepared = await prepare();
+    const receipt = await prepared
+      .submitVia(paladin, "bob")
+      .waitForReceipt(5000);
+    expect(receipt?.success).toBe(true);
+    expect(await mock.node.getTransaction(receipt!.id)).toMatchObject({
+      type: TransactionType.PUBLIC,
+      from: "bob",
+      to: CONTRACT,
+      data: { to: RECIPIENT, amount: "100" },
+    });
+  });
+});
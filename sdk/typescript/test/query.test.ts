@@ -0,0 +1,103 @@
+import PaladinClient, { ITransaction, QueryBuilder } from "../src";
+import { MockPaladinServer } from "../src/mock";
+import { publicTransaction, quietLogger } from "./utils";
+
+describe("QueryBuilder", () => {
+  it("builds the filter JSON of each operator", () => {
+    const query = new QueryBuilder()
+      .eq("domain", "noto", { caseInsensitive: true })
+      .neq("from", "alice", { not: true })
+      .like("function", "transfer%")
+      .lt("nonce", 10)
+      .lte("nonce", 9)
+      .gt("created", 1)
+      .gte("created", 2)
+      .in("type", ["public", "private"])
+      .nin("id", ["a"])
+      .null("to")
+      .notNull("abiReference")
+      .query();
+    expect(query).toEqual({
+      eq: [{ field: "domain", value: "noto", caseInsensitive: true }],
+      neq: [{ field: "from", value: "alice", not: true }],
+      like: [{ field: "function", value: "transfer%" }],
+      lt: [{ field: "nonce", value: 10 }],
+      lte: [{ field: "nonce", value: 9 }],
+      gt: [{ field: "created", value: 1 }],
+      gte: [{ field: "created", value: 2 }],
+      in: [{ field: "type", values: ["public", "private"] }],
+      nin: [{ field: "id", values: ["a"] }],
+      null: [{ field: "to" }, { field: "abiReference", not: true }],
+    });
+  });
+
+  it("serializes values the way the node parses them", () => {
+    const query = new QueryBuilder()
+      .eq("amount", 10n ** 20n)
+      .gt("created", new Date("2025-01-02T03:04:05.000Z"))
+      .eq("hash", new Uint8Array([0, 1, 0xab]))
+      .in("sequence", [1n, 2])
+      .query();
+    expect(query).toEqual({
+      eq: [
+        { field: "amount", value: "100000000000000000000" },
+        { field: "hash", value: "0x0001ab" },
+      ],
+      gt: [{ field: "created", value: "2025-01-02T03:04:05.000Z" }],
+      in: [{ field: "sequence", values: ["1", 2] }],
+    });
+  });
+
+  it("builds each or branch separately", () => {
+    const query = new QueryBuilder<ITransaction>()
+      .eq("from", "alice")
+      .or(
+        (q) => q.eq("domain", "noto"),
+        (q) => q.eq("domain", "zeto").gt("created", "0")
+      )
+      .sort("-created", "id ASC")
+      .limit(5)
+      .query();
+    expect(query).toEqual({
+      eq: [{ field: "from", value: "alice" }],
+      or: [
+        { eq: [{ field: "domain", value: "noto" }] },
+        {
+          eq: [{ field: "domain", value: "zeto" }],
+          gt: [{ field: "created", value: "0" }],
+        },
+      ],
+      sort: ["-created", "id ASC"],
+      limit: 5,
+    });
+  });
+
+  it("leaves out an unset limit and sort", () => {
+    expect(new QueryBuilder().query()).toEqual({});
+    expect(JSON.stringify(new QueryBuilder().limit(0))).toBe('{"limit":0}');
+  });
+
+  it("is sent to the node as the filter JSON", async () => {
+    const mock = new MockPaladinServer();
+    await mock.start();
+    const paladin = new PaladinClient({ url: mock.url, logger: quietLogger });
+    try {
+      await paladin.ptx.sendTransaction(publicTransaction("alice"));
+      await paladin.ptx.sendTransaction(publicTransaction("bob"));
+      const query = new QueryBuilder<ITransaction>()
+        .eq("from", "bob")
+        .limit(10);
+      const txs = await paladin.ptx.queryTransactions(query);
+      expect(txs.map((tx) => tx.from)).toEqual(["bob"]);
+      const [request] = mock.requests.filter(
+        (r) => r.method === "ptx_queryTransactions"
+      );
+      expect(request.params).toEqual([
+        { eq: [{ field: "from", value: "bob" }], limit: 10 },
+      ]);
+    } finally {
+      await paladin.close();
+      await mock.stop();
+    }
+  });
+});
@@ -0,0 +1,97 @@
+import PaladinClient, { Logger, newTransactionId } from "../src";
+import { MockPaladinServer } from "../src/mock";
+import { publicTransaction, quietLogger, sleep } from "./utils";
+
+describe("ReceiptWaiter", () => {
+  let mock: MockPaladinServer;
+  let paladin: PaladinClient;
+  let errors: string[];
+
+  const connect = (websocket: object = {}) => {
+    const logger: Logger = {
+      ...quietLogger,
+      error: (message: string) => errors.push(message),
+    };
+    return new PaladinClient({
+      url: mock.url,
+      logger,
+      websocket: { url: mock.wsUrl, logger: quietLogger, ...websocket },
+    });
+  };
+
+  const receiptListeners = async () =>
+    (await paladin.ptx.queryReceiptListeners({ limit: 100 })).map(
+      (listener) => listener.name
+    );
+
+  beforeEach(async () => {
+    mock = new MockPaladinServer({ confirmDelayMs: 1 });
+    await mock.start();
+    errors = [];
+    paladin = connect();
+  });
+
+  afterEach(async () => {
+    await paladin.close();
+    await mock.stop();
+  });
+
+  it("resolves with a receipt pushed by the listener", async () => {
+    mock.node.onTransaction(() => ({ pending: true }));
+    const id = await paladin.ptx.sendTransaction(publicTransaction());
+    const waiting = paladin.waitForReceipt(id, 5000, true);
+    await sleep(50);
+    mock.node.confirm(id);
+    const receipt = await waiting;
+    expect(receipt?.id).toBe(id);
+    // Checked once on registering, then delivered over the websocket
+    expect(
+      mock.requests.filter((r) => r.method === "ptx_getTransactionReceipt")
+    ).toHaveLength(1);
+    expect(
+      mock.requests.filter((r) => r.method === "ptx_getTransactionReceiptFull")
+    ).toHaveLength(1);
+  });
+
+  it("returns a receipt written before the wait", async () => {
+    const id = await paladin.ptx.sendTransaction(publicTransaction());
+    await sleep(20);
+    expect((await paladin.waitForReceipt(id, 5000))?.id).toBe(id);
+  });
+
+  it("times out for a transaction with no receipt", async () => {
+    const id = newTransactionId();
+    const started = Date.now();
+    expect(await paladin.waitForReceipt(id, 100)).toBeUndefined();
+    expect(Date.now() - started).toBeGreaterThanOrEqual(100);
+    expect(errors).toEqual([`Failed while waiting for receipt: ${id}`]);
+  });
+
+  it("deletes its temporary listener on close", async () => {
+    await paladin.waitForReceipt(newTransactionId(), 10);
+    const [name] = await receiptListeners();
+    expect(name).toMatch(/^sdk-receipts-/);
+    await paladin.close();
+    expect(await receiptListeners()).toEqual([]);
+  });
+
+  it("deletes stale temporary listeners", async () => {
+    await paladin.ptx.createReceiptListener({ name: "sdk-receipts-stale" });
+    await paladin.ptx.createReceiptListener({ name: "other" });
+    await sleep(20);
+    const next = connect({ staleReceiptListenerAge: 10 });
+    await next.waitForReceipt(newTransactionId(), 10);
+    const names = await receiptListeners();
+    expect(names).toContain("other");
+    expect(names).not.toContain("sdk-receipts-stale");
+    await next.close();
+  });
+
+  it("keeps a configured receipt listener", async () => {
+    await paladin.ptx.createReceiptListener({ name: "mine" });
+    const configured = connect({ receiptListener: "mine" });
+    await configured.waitForReceipt(newTransactionId(), 10);
+    await configured.close();
+    expect(await receiptListeners()).toEqual(["mine"]);
+  });
+});
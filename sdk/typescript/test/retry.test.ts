@@ -0,0 +1,92 @@
+import PaladinClient, {
+  PaladinCircuitOpenError,
+  PaladinTransportError,
+} from "../src";
+import { MockPaladinServer } from "../src/mock";
+import { publicTransaction, quietLogger } from "./utils";
+
+describe("retry and circuit breaker", () => {
+  let mock: MockPaladinServer;
+
+  beforeEach(async () => {
+    mock = new MockPaladinServer();
+    await mock.start();
+  });
+
+  afterEach(async () => {
+    await mock.stop();
+  });
+
+  it("retries idempotent methods on retryable statuses", async () => {
+    const paladin = new PaladinClient({
+      url: mock.url,
+      logger: quietLogger,
+      retry: { initialDelayMs: 1 },
+    });
+    mock.failNext(
+      "transport_nodeName",
+      { httpStatus: 503, message: "down" },
+      2
+    );
+    expect(await paladin.transport.nodeName()).toBe("node1");
+
+    // Gives up after three attempts, leaving the fourth failure queued
+    mock.failNext(
+      "transport_nodeName",
+      { httpStatus: 503, message: "down" },
+      4
+    );
+    await expect(paladin.transport.nodeName()).rejects.toMatchObject({
+      httpStatus: 503,
+    });
+    const noRetry = new PaladinClient({ url: mock.url, logger: quietLogger });
+    await expect(noRetry.transport.nodeName()).rejects.toMatchObject({
+      httpStatus: 503,
+    });
+    expect(await noRetry.transport.nodeName()).toBe("node1");
+  });
+
+  it("only retries submissions carrying an idempotency key", async () => {
+    const paladin = new PaladinClient({
+      url: mock.url,
+      logger: quietLogger,
+      retry: { initialDelayMs: 1 },
+    });
+    const failure = { httpStatus: 503, message: "down" };
+    mock.failNext("ptx_sendTransaction", failure);
+    await expect(
+      paladin.ptx.sendTransaction(publicTransaction())
+    ).rejects.toBeInstanceOf(PaladinTransportError);
+
+    mock.failNext("ptx_sendTransaction", failure);
+    const id = await paladin.ptx.sendTransaction({
+      ...publicTransaction(),
+      idempotencyKey: "tx1",
+    });
+    expect(id).toBeDefined();
+  });
+
+  it("opens the circuit after consecutive failures", async () => {
+    const paladin = new PaladinClient({
+      url: mock.url,
+      logger: quietLogger,
+      circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 50 },
+    });
+    mock.failNext(
+      "transport_nodeName",
+      { httpStatus: 502, message: "down" },
+      2
+    );
+    for (let i = 0; i < 2; i++) {
+      await expect(paladin.transport.nodeName()).rejects.toBeInstanceOf(
+        PaladinTransportError
+      );
+    }
+    await expect(paladin.transport.nodeName()).rejects.toBeInstanceOf(
+      PaladinCircuitOpenError
+    );
+    // A trial request is let through after the reset timeout
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    expect(await paladin.transport.nodeName()).toBe("node1");
+  });
+});
@@ -0,0 +1,31 @@
+import { ITransactionInput, Logger, TransactionType } from "../src";
+
+export const quietLogger: Logger = {
+  log() {},
+  warn() {},
+  error() {},
+  debug() {},
+};
+
+export const sleep = (ms: number) =>
+  new Promise((resolve) => setTimeout(resolve, ms));
+
+// Poll until the condition holds, failing the test after waitMs
+export const waitFor = async (condition: () => boolean, waitMs = 5000) => {
+  const deadline = Date.now() + waitMs;
+  while (!condition()) {
+    if (Date.now() >= deadline) {
+      throw new Error(`Condition not met after ${waitMs}ms`);
+    }
+    await sleep(10);
+  }
+};
+
+export const publicTransaction = (from = "alice"): ITransactionInput => ({
+  type: TransactionType.PUBLIC,
+  from,
+  to: "0x" + "11".repeat(20),
+  function: "set",
+  data: {},
+  abi: [{ type: "function", name: "set", inputs: [] }],
+});
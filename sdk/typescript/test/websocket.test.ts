@@ -0,0 +1,225 @@
+import WebSocket from "ws";
+import PaladinClient, {
+  PaladinRpcError,
+  PaladinTimeoutError,
+  PaladinTransportError,
+  PaladinWebSocketClient,
+} from "../src";
+import { MockPaladinServer } from "../src/mock";
+import { publicTransaction, quietLogger, sleep, waitFor } from "./utils";
+
+// Drop every websocket connection to the mock
+const disconnect = (mock: MockPaladinServer) => {
+  for (const socket of (mock as any).wss.clients as Set<WebSocket>) {
+    socket.terminate();
+  }
+};
+
+describe("PaladinWebSocketClient", () => {
+  let mock: MockPaladinServer;
+  let paladin: PaladinClient;
+  let client: PaladinWebSocketClient;
+
+  beforeEach(async () => {
+    mock = new MockPaladinServer({ confirmDelayMs: 10, nackRetryDelayMs: 10 });
+    await mock.start();
+    paladin = new PaladinClient({ url: mock.url, logger: quietLogger });
+    await paladin.ptx.createReceiptListener({ name: "receipts" });
+    client = new PaladinWebSocketClient({
+      url: mock.wsUrl,
+      logger: quietLogger,
+      reconnectDelay: 10,
+    });
+  });
+
+  afterEach(async () => {
+    await client.close(true);
+    await paladin.close();
+    await mock.stop();
+  });
+
+  it("calls methods with request()", async () => {
+    // Queued until connected
+    const listener = await client.request("ptx_getReceiptListener", [
+      "receipts",
+    ]);
+    expect(listener.name).toBe("receipts");
+
+    await expect(
+      client.request("ptx_startReceiptListener", ["missing"])
+    ).rejects.toBeInstanceOf(PaladinRpcError);
+
+    mock.handle("ptx_slow", () => new Promise(() => {}));
+    await expect(client.request("ptx_slow", [], 200)).rejects.toBeInstanceOf(
+      PaladinTimeoutError
+    );
+  });
+
+  it("rejects requests sent before the connection dropped", async () => {
+    await client.request("transport_nodeName");
+    mock.handle("ptx_slow", () => new Promise(() => {}));
+    const lost = client.request("ptx_slow", [], 5000);
+    await waitFor(() => mock.requests.some((r) => r.method === "ptx_slow"));
+    disconnect(mock);
+    await expect(lost).rejects.toBeInstanceOf(PaladinTransportError);
+    expect(await client.request("transport_nodeName")).toBe("node1");
+  });
+
+  it("resolves subscribe() with the subscription, and replays it", async () => {
+    const subscribed: string[] = [];
+    client.on("subscribed", (_, id) => subscribed.push(id));
+    const id = await client.subscribe("receipts", "receipts");
+    expect(subscribed).toEqual([id]);
+
+    disconnect(mock);
+    await waitFor(() => subscribed.length === 2);
+    expect(subscribed[1]).not.toBe(id);
+  });
+
+  it("rejects subscribe() when the node refuses it", async () => {
+    const errors: Error[] = [];
+    client.on("error", (err) => errors.push(err));
+    await expect(
+      client.subscribe("receipts", "missing")
+    ).rejects.toBeInstanceOf(PaladinRpcError);
+    expect(errors).toHaveLength(1);
+    // Not awaited, without an unhandled rejection
+    client.subscribe("receipts", "missing");
+    await waitFor(() => errors.length === 2);
+
+    // Neither is replayed after a reconnect
+    const connected = new Promise((resolve) => client.on("connected", resolve));
+    disconnect(mock);
+    await connected;
+    await client.request("transport_nodeName");
+    expect(
+      mock.requests.filter((r) => r.method === "ptx_subscribe")
+    ).toHaveLength(2);
+  });
+
+  it("streams batches, resubscribing after a reconnect", async () => {
+    const received: number[] = [];
+    const consume = (async () => {
+      for await (const batch of client.stream("receipts", "receipts")) {
+        received.push(...batch.receipts.map((r) => r.sequence));
+        if (received.length === 1) {
+          disconnect(mock);
+        }
+        if (new Set(received).size === 3) {
+          break;
+        }
+      }
+    })();
+
+    await paladin.ptx.sendTransaction(publicTransaction());
+    await waitFor(() => received.length === 1);
+    await paladin.ptx.sendTransaction(publicTransaction());
+    await paladin.ptx.sendTransaction(publicTransaction());
+    await consume;
+    // The first batch was not acked before the disconnect, so is redelivered
+    expect(received[0]).toBe(received[1]);
+  });
+
+  it("delivers the next batch once the previous one is acked", async () => {
+    const stream = client.stream("receipts", "receipts", { maxInFlight: 1 });
+    await paladin.ptx.sendTransaction(publicTransaction());
+    const first = await stream.next();
+    await paladin.ptx.sendTransaction(publicTransaction());
+    // Nothing more is delivered until the first batch is acked
+    await sleep(50);
+    const second = await stream.next();
+    expect(first.value.receipts[0].sequence).toBeLessThan(
+      second.value.receipts[0].sequence
+    );
+    await stream.return!();
+  });
+
+  describe("with batches delivered back-to-back", () => {
+    // Written together, so both reach the client before next() resumes
+    const deliverTwo = (id: string) => {
+      const batch = (batchId: number) =>
+        JSON.stringify({
+          jsonrpc: "2.0",
+          method: "ptx_subscription",
+          params: { subscription: id, result: { batchId, receipts: [] } },
+        });
+      const [socket] = (mock as any).wss.clients as Set<WebSocket>;
+      socket.send(batch(1));
+      socket.send(batch(2));
+    };
+
+    const subscribed = () =>
+      new Promise<string>((resolve) =>
+        client.on("subscribed", (_, id) => resolve(id))
+      );
+
+    it("keeps both when they are within maxInFlight", async () => {
+      const subscription = subscribed();
+      const stream = client.stream("receipts", "receipts", { maxInFlight: 2 });
+      const first = stream.next();
+      deliverTwo(await subscription);
+      expect((await first).value.batchId).toBe(1);
+      expect((await stream.next()).value.batchId).toBe(2);
+      await stream.return!();
+    });
+
+    it("nacks the second beyond maxInFlight", async () => {
+      const subscription = subscribed();
+      const stream = client.stream("receipts", "receipts");
+      const first = stream.next();
+      const id = await subscription;
+      deliverTwo(id);
+      expect((await first).value.batchId).toBe(1);
+      await waitFor(() =>
+        mock.requests.some(
+          (r) => r.method === "ptx_nack" && r.params[0] === id
+        )
+      );
+      await stream.return!();
+    });
+  });
+
+  it("ends streams when the client is closed", async () => {
+    const stream = client.stream("receipts", "receipts");
+    const next = stream.next();
+    await client.close();
+    expect(await next).toEqual({ done: true, value: undefined });
+  });
+
+  describe("without a node", () => {
+    let offline: PaladinWebSocketClient;
+
+    afterEach(() => offline.close());
+
+    // Nothing listens on port 1
+    const connect = (options: object) =>
+      new PaladinWebSocketClient({
+        url: "ws://127.0.0.1:1",
+        logger: quietLogger,
+        requestTimeout: 5000,
+        ...options,
+      });
+
+    it("fails streams and requests once it stops reconnecting", async () => {
+      offline = connect({ reconnectDelay: 10, reconnect: { maxAttempts: 1 } });
+      const stream = offline.stream("receipts", "receipts");
+      const queued = offline.request("transport_nodeName");
+      await expect(stream.next()).rejects.toThrow("not reconnected");
+      await expect(queued).rejects.toBeInstanceOf(PaladinTransportError);
+    });
+
+    it("rejects requests dropped from a full queue", async () => {
+      offline = connect({ reconnectDelay: 60000, maxQueuedMessages: 2 });
+      offline.sendRpc("ptx_subscribe", ["receipts", "receipts"]);
+      const first = offline.request("transport_nodeName");
+      const second = offline.request("transport_nodeName");
+      // The subscribe is kept, so each request pushes out the one before
+      await expect(first).rejects.toThrow("Websocket queue full");
+      const third = offline.request("transport_nodeName").catch((err) => err);
+      await expect(second).rejects.toThrow("Websocket queue full");
+      // Still queued until closed
+      await offline.close();
+      expect((await third).message).toContain("Websocket closed");
+    });
+  });
+});
@@ -0,0 +1,200 @@
+import { ethers } from "ethers";
+import PaladinClient, {
+  algorithmZetoSnarkBJJ,
+  IDEN3_PUBKEY_BABYJUBJUB_COMPRESSED_0X,
+  IState,
+  PaladinVerifier,
+  ZetoInstance,
+} from "../src";
+import { MockPaladinServer } from "../src/mock";
+import { quietLogger, sleep } from "./utils";
+
+const DOMAIN = "zeto";
+const CONTRACT = "0x" + "2e".repeat(20);
+
+describe("ZetoInstance coin selection", () => {
+  let mock: MockPaladinServer;
+  let paladin: PaladinClient;
+  let zeto: ZetoInstance;
+  let alice: PaladinVerifier;
+  let aliceKey: string;
+  let coinSchema: string;
+
+  const unspent = () =>
+    mock.node
+      .queryStates(DOMAIN, CONTRACT, coinSchema, {}, "available")
+      .filter((state: IState) => (state.data as any).owner === aliceKey);
+
+  // Coins are created a few ms apart, so the oldest-first order is certain
+  const addCoin = async (
+    amount: number,
+    options?: { owner?: string; locked?: boolean; nullifier?: boolean }
+  ) => {
+    await sleep(2);
+    const state = mock.node.addState({
+      domain: DOMAIN,
+      schema: coinSchema,
+      contractAddress: CONTRACT,
+      data: {
+        salt: ethers.hexlify(ethers.randomBytes(32)),
+        owner: options?.owner ?? aliceKey,
+        amount: `${amount}`,
+        locked: options?.locked ?? false,
+      },
+      confirmed: true,
+    });
+    if (options?.nullifier) {
+      state.nullifier = {
+        domain: DOMAIN,
+        id: ethers.hexlify(ethers.randomBytes(32)),
+      };
+    }
+    return state;
+  };
+
+  const amounts = (states: IState[]) =>
+    states.map((state) => Number((state.data as any).amount));
+
+  beforeEach(async () => {
+    mock = new MockPaladinServer({ confirmDelayMs: 1 });
+    await mock.start();
+    paladin = new PaladinClient({ url: mock.url, logger: quietLogger });
+    zeto = new ZetoInstance(paladin, CONTRACT, DOMAIN);
+    alice = new PaladinVerifier(paladin, "alice");
+    aliceKey = await paladin.ptx.resolveVerifier(
+      "alice",
+      algorithmZetoSnarkBJJ(DOMAIN),
+      IDEN3_PUBKEY_BABYJUBJUB_COMPRESSED_0X
+    );
+    coinSchema = mock.node.addSchema(DOMAIN, { name: "ZetoCoin" }).id;
+
+    // Spend the oldest coins covering each transfer, as the node does
+    mock.node.onTransaction((tx) => {
+      if (tx.function !== "transfer") {
+        return;
+      }
+      const amount = BigInt(tx.data.transfers[0].amount);
+      const spent: IState[] = [];
+      let total = 0n;
+      for (const coin of unspent()) {
+        if (total >= amount) {
+          break;
+        }
+        spent.push(coin);
+        total += BigInt((coin.data as any).amount);
+      }
+      const output = {
+        id: ethers.hexlify(ethers.randomBytes(32)),
+        created: new Date().toISOString(),
+        domain: DOMAIN,
+        schema: coinSchema,
+        contractAddress: CONTRACT,
+        data: { owner: aliceKey, amount: `${total}`, locked: false },
+      };
+      return { states: { spent, confirmed: [output] } };
+    });
+  });
+
+  afterEach(async () => {
+    await paladin.close();
+    await mock.stop();
+  });
+
+  const preview = (amount: number, options?: object) =>
+    zeto.previewTransfer(
+      alice,
+      { transfers: [{ to: alice, amount, data: "0x" }] },
+      options
+    );
+
+  it("previews the oldest unlocked coins of the owner", async () => {
+    await addCoin(5);
+    await addCoin(100, { locked: true });
+    await addCoin(100, { owner: "0x" + "99".repeat(32) });
+    await addCoin(3);
+    await addCoin(4);
+    await addCoin(50);
+    const result = await preview(10);
+    expect(amounts(result.inputs)).toEqual([5, 3, 4]);
+    expect(result).toMatchObject({
+      amount: "10",
+      inputTotal: "12",
+      change: "2",
+      spendable: true,
+    });
+    expect(result.reason).toBeUndefined();
+  });
+
+  it("reports insufficient funds", async () => {
+    await addCoin(5);
+    await addCoin(3);
+    expect(await preview(10)).toMatchObject({
+      inputTotal: "8",
+      change: "0",
+      spendable: false,
+      reason: "insufficient-funds",
+    });
+  });
+
+  it("reports when the amount needs more inputs than allowed", async () => {
+    for (let i = 0; i < 4; i++) {
+      await addCoin(1);
+    }
+    const result = await preview(4, { maxInputs: 3 });
+    expect(amounts(result.inputs)).toEqual([1, 1, 1]);
+    expect(result).toMatchObject({ spendable: false, reason: "max-inputs" });
+  });
+
+  it("selects from the nullifiers of nullifier tokens", async () => {
+    await addCoin(5);
+    await addCoin(7, { nullifier: true });
+    const result = await preview(6, { useNullifiers: true });
+    expect(amounts(result.inputs)).toEqual([7]);
+    expect(
+      mock.requests.filter(
+        (r) => r.method === "pstate_queryContractNullifiers"
+      )
+    ).toHaveLength(1);
+  });
+
+  it("consolidates coins into one, maxInputs at a time", async () => {
+    for (const amount of [1, 2, 3, 4, 5]) {
+      await addCoin(amount);
+    }
+    const rounds: string[][] = [];
+    const receipts = await zeto.consolidate(alice, {
+      maxInputs: 3,
+      onProgress: ({ inputs, amount }) =>
+        rounds.push([...inputs.map((c) => c.data.amount), amount]),
+    });
+    expect(receipts).toHaveLength(2);
+    // The oldest three, then the remaining two with the merged coin
+    expect(rounds).toEqual([
+      ["1", "2", "3", "6"],
+      ["4", "5", "6", "15"],
+    ]);
+    expect(amounts(unspent())).toEqual([15]);
+  });
+
+  it("stops consolidating once the amount is spendable", async () => {
+    for (const amount of [1, 1, 5]) {
+      await addCoin(amount);
+    }
+    expect(
+      await zeto.consolidate(alice, { maxInputs: 2, amount: 2 })
+    ).toHaveLength(0);
+    const receipts = await zeto.consolidate(alice, {
+      maxInputs: 2,
+      amount: 6,
+    });
+    // Merging the two oldest makes 5 + 2 spendable in one transfer
+    expect(receipts).toHaveLength(1);
+    expect(amounts(unspent())).toEqual([5, 2]);
+  });
+
+  it("rejects a maxInputs too small to merge coins", async () => {
+    await expect(zeto.consolidate(alice, { maxInputs: 1 })).rejects.toThrow(
+      "Consolidation requires maxInputs of at least 2"
+    );
+  });
+});